@@ -3,7 +3,11 @@ import { OrbitControls } from 'https://cdn.jsdelivr.net/npm/three@0.145.0/exampl
 import Renderer from './renderer.js';
 import MainCamera from './cameras/mainCamera.js';
 import SolarSystem from './models/solarSystem.js';
+import BodyCatalog from './models/bodyCatalog.js';
 import { HandTracker } from './handTracking.js';
+import { MEDIAPIPE_CDN_PATH } from './tracking/mediaPipeBackend.js';
+import ARController from './xr/arController.js';
+import VRController from './xr/vrController.js';
 import * as TWEEN from 'https://cdn.jsdelivr.net/npm/@tweenjs/tween.js@18.6.4/dist/tween.esm.js';
 
 console.log('Starting Solar System Application...');
@@ -47,19 +51,47 @@ controls.maxDistance = 100;
 controls.screenSpacePanning = false;
 controls.maxPolarAngle = Math.PI / 2;
 
+// Load planet and moon definitions (data/bodies.json)
+let bodyCatalog;
+try {
+    bodyCatalog = await BodyCatalog.load();
+} catch (error) {
+    console.error('Failed to load body catalog:', error);
+    document.getElementById('error-message').innerText = 'Planet catalog failed to load: ' + error.message;
+    document.getElementById('error-message').style.display = 'block';
+    bodyCatalog = new BodyCatalog();
+}
+
 // Create solar system
 console.log('Creating solar system...');
-const solarSystem = new SolarSystem(scene, camera, renderer);
+const solarSystem = new SolarSystem(scene, camera, renderer, bodyCatalog);
 solarSystem.controls = controls;
 
 // Setup click events
 solarSystem.setupClickEvents(camera, renderer);
 
+// Initialize AR and VR (both fall back to the desktop view when WebXR is unavailable)
+const arController = new ARController(renderer, scene, camera, solarSystem);
+const vrController = new VRController(renderer, scene, camera, solarSystem);
+vrController.createButton();
+
 // webcam initialization
 let webcamStream = null;
 const webcamElement = document.getElementById('webcam');
 let handTracker = null;
 
+// Hand tracking backend chosen in the page URL: ?hands=mediapipe, ?hands=handpose, or
+// ?hands=playback&recording=path/to/recording.json to replay recorded hands without a webcam.
+// Without it the best available model is used. MediaPipe only loads from the local assets unless
+// ?mediapipe=cdn allows the CDN when they are missing.
+function getHandTrackingOptions() {
+  const params = new URLSearchParams(window.location.search);
+  const backend = params.get('hands') || 'auto';
+  const backendOptions = {};
+  if (params.has('recording')) backendOptions.url = params.get('recording');
+  if (params.get('mediapipe') === 'cdn') backendOptions.fallbackPath = MEDIAPIPE_CDN_PATH;
+  return { backend, backendOptions };
+}
 
 async function initWebcam() {
   try {
@@ -84,16 +116,22 @@ async function initWebcam() {
 }
 
 // Initialize hand tracking
-async function startHandTracking(stream) {
+async function startHandTracking(stream, options = {}) {
     console.log('Initializing hand tracking...');
     try {
-      handTracker = new HandTracker(scene, camera, solarSystem, stream);
+      handTracker = new HandTracker(scene, camera, solarSystem, stream, null, options);
       
       // Make handTracker globally available for sensitivity controls
       window.handTracker = handTracker;
       
       await handTracker.start();
       
+      // Guided calibration of the gesture thresholds for the user's hand
+      const calibrateButton = document.getElementById('calibrate-hands');
+      if (calibrateButton) {
+        calibrateButton.addEventListener('click', () => handTracker.calibrate());
+      }
+      
       // // Set callback for throw detection
       // handTracker.setThrowCallback((position, velocity) => {
       //   console.log('Throw gesture detected!', position, velocity);
@@ -124,10 +162,13 @@ async function startHandTracking(stream) {
 
 // Setup toggle gesture button
 
-// Animation loop
-function animate() {
-    requestAnimationFrame(animate);
-    controls.update();
+// Animation loop (driven by renderer.setAnimationLoop so it also runs inside XR sessions)
+function animate(time, frame) {
+    arController.update(frame);
+    vrController.update();
+    if (!renderer.xr.isPresenting) {
+        controls.update();
+    }
     TWEEN.update();
     // physics.update();
     solarSystem.update();
@@ -166,15 +207,43 @@ function showHandTrackingStatus(message, isError = false) {
   }, 5000);
 }
 
+// Show the AR entry button only when the device supports immersive AR
+async function setupARButton() {
+    const arButton = document.getElementById('enter-ar');
+    if (!arButton) return;
+
+    const supported = await arController.isSupported();
+    if (!supported) {
+        console.log('Immersive AR not supported, using desktop view');
+        arButton.style.display = 'none';
+        return;
+    }
+
+    arButton.style.display = 'block';
+    arButton.addEventListener('click', async () => {
+        if (arController.session) {
+            await arController.end();
+            return;
+        }
+        const started = await arController.start();
+        if (!started) {
+            showHandTrackingStatus('Could not start AR. Staying in desktop view.', true);
+        }
+    });
+}
+
 // Initialize everything
 async function main() {
     try {
-        animate();
+        renderer.setAnimationLoop(animate);
+        setupARButton();
         
         // Initialize webcam and hand tracking
         try {
-            const stream = await initWebcam();
-            const tracker = await startHandTracking(stream);
+            const handTrackingOptions = getHandTrackingOptions();
+            // Recorded hands need no camera
+            const stream = handTrackingOptions.backend === 'playback' ? null : await initWebcam();
+            const tracker = await startHandTracking(stream, handTrackingOptions);
             showHandTrackingStatus('Hand tracking active! Make gestures with your hand.');
         } catch (error) {
             console.warn('Hand tracking initialization failed:', error);
@@ -1,9 +1,19 @@
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.145.0/build/three.module.js';
 // import { PlanetEnvironment } from './planetEnvironment.js';
-import SolarSystem from './models/solarSystem.js';
+import { loadHandBackend } from './tracking/handBackends.js';
+import HandRecorder from './tracking/handRecorder.js';
+import GestureRegistry from './tracking/gestureRegistry.js';
+import { DEFAULT_GESTURES } from './tracking/defaultGestures.js';
+import CalibrationWizard from './tracking/calibrationWizard.js';
+import { loadCalibrationProfile, clearCalibrationProfile } from './tracking/calibration.js';
 
 export class HandTracker {
-  constructor(scene, camera, solarSystem, webcamStream, loadingCallback = null) {
+  // options.backend picks the hand model: 'auto' (default: MediaPipe, else handpose), 'mediapipe',
+  // 'handpose', 'playback' or a backend object (see tracking/handBackends.js). options.backendOptions
+  // go to the backend, e.g. { url } of a recording for playback. options.gestures replaces the
+  // built-in one-hand gestures (tracking/defaultGestures.js). options.calibrationProfile is applied
+  // instead of the one saved by the calibration wizard (null: none).
+  constructor(scene, camera, solarSystem, webcamStream, loadingCallback = null, options = {}) {
     // Core properties
     this.scene = scene;
     this.camera = camera;
@@ -11,6 +21,7 @@ export class HandTracker {
     this.stream = webcamStream;
     this.loadingCallback = loadingCallback;
     this.currentGesture = 'idle';
+    this.gestures = new GestureRegistry(options.gestures || DEFAULT_GESTURES);
 
     // Video element setup
     this.video = document.getElementById('webcam') || this.createVideoElement();
@@ -22,9 +33,28 @@ export class HandTracker {
     this.tapTimer = null;
 
     // Hand tracking state
-    this.handpose = null;
-    this.predictions = [];
+    this.backendChoice = options.backend || 'auto';
+    this.backendOptions = options.backendOptions || {};
+    this.backend = null;            // Loaded by start()
+    this.maxHands = 2;
+    this.predictions = [];          // Hands in the last frame: { landmarks, handedness, score, role }
+    this.frameTime = 0;             // Timestamp (ms) of the frame being processed; gesture timing uses it
+    this.recorder = null;           // HandRecorder while a session is being recorded
+    this.primaryHandedness = null;  // Which hand the one-hand gestures were read from last frame
     this.isTracking = false;
+
+    // What each hand does when both are up: the 'aim' hand holds, aims and throws the ball (and
+    // makes all the one-hand gestures), the 'force' hand sets the throw speed. See setDominantHand().
+    this.handRoles = { aim: 'Right', force: 'Left' };
+
+    // Two open hands in the solar system view: spread to zoom, twist to orbit, raise/lower to tilt
+    this.twoHandState = {
+      active: false,
+      startSpread: 0,     // Distance between the hands when the gesture began (video px)
+      startDistance: 0,   // Camera distance from the orbit target at that moment
+      lastAngle: 0,       // Angle of the line between the hands last frame (rad)
+      lastMidY: 0         // Height of the point between the hands last frame (0-1 of the frame)
+    };
     
     // Gesture history buffers
     this.lastPositions = [];          // For tap detection
@@ -37,7 +67,11 @@ export class HandTracker {
       pinch: 0.5,
       tap: 0.04,
       grab: 0.08,
-      rotation: 0.9
+      rotation: 0.9,
+      forceSpreadMin: 0.2,  // Thumb-index gap of the force hand, in hand sizes: slowest throw
+      forceSpreadMax: 1.2,  // ... and fastest throw
+      twoHandOrbit: 1.5,    // Camera turn per radian of two-hand twist
+      twoHandTilt: 3        // Camera tilt per frame height the hands move up or down
     };
     // Calibration for mapping video coordinates
     this.calibration = {
@@ -46,6 +80,11 @@ export class HandTracker {
       scaleFactorX: 1,  // Horizontal scaling factor
       scaleFactorY: 1   // Vertical scaling factor (if needed)
     };
+    // What calibrate() starts from and resetCalibration() goes back to
+    this.defaultThresholds = { ...this.gestureThresholds };
+    this.defaultCalibration = { ...this.calibration };
+    this.calibrationProfile = null;   // Applied profile, see tracking/calibration.js
+    this.calibrationWizard = null;
 
     this.indexFingerHistory = [];
     this.smoothingWindow = 5; // Average over 5 frames
@@ -56,14 +95,13 @@ export class HandTracker {
       pinchStartDistance: 0,
       pinchStartZoom: 0,
       lastPinchDistance: 0,
-      isGrabbing: false,
-      lastGrabTime: 0,
       isRotating: false,
       lastRotationTime: 0,
       rotationStartPosition: null,
       tapDetected: false,
       lastTapTime: 0,
-      tapInProgress: false
+      tapInProgress: false,
+      threeFingerTapUntil: 0      // Frame time until which a new three-finger entry is ignored
     };
 
     this.smoothingFactors = {
@@ -95,10 +133,13 @@ export class HandTracker {
     this.angleAdjustmentStep = 5; // Degrees to adjust per gesture
     this.minTrajectoryAngle = 0;
     this.maxTrajectoryAngle = 90;
-    this.lastThumbGestureTime = 0;
-    this.thumbGestureCooldown = 500; // Milliseconds between angle adjustments
 
     this.createStatusOverlay();
+
+    const profile = options.calibrationProfile !== undefined ? options.calibrationProfile : loadCalibrationProfile();
+    if (profile) {
+      this.applyCalibrationProfile(profile);
+    }
   }
 
   // ---------------------------
@@ -123,29 +164,96 @@ export class HandTracker {
     this.pickupCallback = callback;
   }
 
+  // Adds a one-hand gesture: `fingers` says which fingers are extended (true) or curled (false),
+  // e.g. { index: true, pinky: true, middle: false, ring: false }, and `options` the rest of its
+  // definition, at least an action (see tracking/gestureRegistry.js). this.gestures can also
+  // disable, remove or remap any gesture.
+  addGesture(name, fingers, options = {}) {
+    return this.gestures.add({ ...options, name, fingers });
+  }
+
+  // Opens the calibration wizard; until it is done or cancelled the hands calibrate instead of
+  // making gestures. options go to CalibrationWizard (e.g. onFinish).
+  calibrate(options = {}) {
+    if (this.calibrationWizard) {
+      this.calibrationWizard.cancel();
+    }
+    this.calibrationWizard = new CalibrationWizard(this, options);
+    this.calibrationWizard.start();
+    return this.calibrationWizard;
+  }
+
+  // Uses a calibration profile's thresholds and horizontal offset (a fraction of the frame there);
+  // planet selection only reads across the frame, so the vertical calibration stays as it was
+  applyCalibrationProfile(profile) {
+    const width = this.video.width || this.video.videoWidth || 640;
+    Object.assign(this.gestureThresholds, profile.thresholds);
+    this.calibration = {
+      ...this.defaultCalibration,
+      offsetX: profile.calibration.offsetX * width,
+      scaleFactorX: profile.calibration.scaleFactorX
+    };
+    this.calibrationProfile = profile;
+  }
+
+  // Back to the default thresholds, and forgets the saved profile
+  resetCalibration() {
+    this.gestureThresholds = { ...this.defaultThresholds };
+    this.calibration = { ...this.defaultCalibration };
+    this.calibrationProfile = null;
+    clearCalibrationProfile();
+  }
+
+  // Which hand aims and throws ('Left' or 'Right'); the other one sets the force
+  setDominantHand(handedness) {
+    this.handRoles = handedness === 'Left'
+      ? { aim: 'Left', force: 'Right' }
+      : { aim: 'Right', force: 'Left' };
+  }
+
+  // Starts saving every frame the backend reports (see tracking/handRecorder.js)
+  startRecording() {
+    this.recorder = new HandRecorder();
+    this.recorder.start({
+      width: this.video.width || this.video.videoWidth,
+      height: this.video.height || this.video.videoHeight
+    });
+  }
+
+  // Stops recording and returns the recording; with a filename it is also downloaded as JSON
+  stopRecording(filename = null) {
+    if (!this.recorder) return null;
+    const recording = this.recorder.stop();
+    this.recorder = null;
+    if (filename) {
+      HandRecorder.download(recording, filename);
+    }
+    return recording;
+  }
+
   async start() {
     try {
-      this.reportProgress(10, "Loading HandPose model");
+      this.reportProgress(10, "Loading hand tracking model");
+      this.backend = await this.loadBackend();
 
-      if (!window.handpose) {
-        throw new Error('Handpose model not loaded. Make sure the script is included.');
-      }
-
-      this.handpose = await window.handpose.load({
-        maxContinuousChecks: 13,
-        detectionConfidence: 0.8,
-        iouThreshold: 0.4,
-        scoreThreshold: 0.5
-      });
+      if (this.backend.needsCamera) {
+        this.reportProgress(30, "Initializing video stream");
 
-      this.reportProgress(30, "Initializing video stream");
+        if (!this.stream) {
+          throw new Error('Webcam stream not provided');
+        }
 
-      if (!this.stream) {
-        throw new Error('Webcam stream not provided');
+        this.video.srcObject = this.stream;
+        await this.setupVideoPlayback();
+      } else if (this.backend.frameSize) {
+        // No camera: the gesture code measures in the pixels of the recorded video
+        this.video.width = this.backend.frameSize.width;
+        this.video.height = this.backend.frameSize.height;
+      }
+      if (this.calibrationProfile) {
+        // The offsets are in pixels of the video, whose size is only known now
+        this.applyCalibrationProfile(this.calibrationProfile);
       }
-
-      this.video.srcObject = this.stream;
-      await this.setupVideoPlayback();
 
       this.reportProgress(70, "Starting tracking");
       this.isTracking = true;
@@ -166,6 +274,10 @@ export class HandTracker {
 
   stop() {
     this.isTracking = false;
+    if (this.backend) {
+      this.backend.close();
+      this.backend = null;
+    }
 
     if (this.stream) {
       this.stream.getTracks().forEach(track => track.stop());
@@ -194,6 +306,57 @@ export class HandTracker {
   }
 
 
+  // ---------------------------
+  // Hand Models
+  // ---------------------------
+  async loadBackend() {
+    const choice = this.backendChoice;
+    if (typeof choice === 'object') {
+      await choice.load();
+      return choice;
+    }
+    const backend = await loadHandBackend(choice, { maxHands: this.maxHands, ...this.backendOptions });
+    console.log(`Hand tracking backend: ${backend.name}`);
+    return backend;
+  }
+
+  // Hands in the current frame: { landmarks (21 [x, y, z] in video pixels), handedness ('Left' /
+  // 'Right', null when the model can't tell), score }. Backends give 0-1 of the frame; the gesture
+  // code works in video pixels.
+  async estimateHands(timestamp = performance.now()) {
+    const hands = await this.backend.estimate(this.video, timestamp);
+    if (this.recorder?.isRecording) {
+      this.recorder.addFrame(timestamp, hands);
+    }
+    return this.toVideoPixels(hands);
+  }
+
+  // Backend hands (0-1 of the frame) with their landmarks in video pixels
+  toVideoPixels(hands) {
+    const width = this.video.width || this.video.videoWidth;
+    const height = this.video.height || this.video.videoHeight;
+    return hands.map(hand => ({
+      ...hand,
+      landmarks: hand.landmarks.map(([x, y, z]) => [x * width, y * height, z * width])
+    }));
+  }
+
+  // Sets hand.role on each hand and returns { aim, force }. A lone hand does everything. With two,
+  // the one matching handRoles.aim aims and the other sets the force; without handedness (or when
+  // both got the same label) the first detected hand aims.
+  assignHandRoles(hands) {
+    const aim = hands.find(hand => hand.handedness === this.handRoles.aim) || hands[0] || null;
+    const force = hands.find(hand => hand !== aim) || null;
+    if (aim) aim.role = 'aim';
+    if (force) force.role = 'force';
+    return { aim, force };
+  }
+
+  // The hand with `role` ('aim' or 'force') in the last frame, or null
+  getHand(role) {
+    return this.predictions.find(hand => hand.role === role) || null;
+  }
+
   // ---------------------------
   // Smoothing Helper
   // ---------------------------
@@ -256,7 +419,7 @@ areAllFingersOpen(landmarks) {
     const rawX = indexFinger[0];
   
     // Normalize the x coordinate relative to the video width using calibration.
-    let normalizedX = (rawX - this.calibration.offsetX) / (this.video.videoWidth * this.calibration.scaleFactorX);
+    let normalizedX = (rawX - this.calibration.offsetX) / ((this.video.videoWidth || this.video.width) * this.calibration.scaleFactorX);
     normalizedX = Math.max(0, Math.min(normalizedX, 1)); // Clamp between 0 and 1
   
     // Map the normalized x coordinate to a planet index from the SolarSystem's planetOrder array.
@@ -292,7 +455,7 @@ areAllFingersOpen(landmarks) {
     const avgX = (indexFinger[0] + middleFinger[0]) / 2;
     
     // 2. Normalize using video dimensions and calibration values.
-    let normalizedX = (avgX - this.calibration.offsetX) / (this.video.videoWidth * this.calibration.scaleFactorX);
+    let normalizedX = (avgX - this.calibration.offsetX) / ((this.video.videoWidth || this.video.width) * this.calibration.scaleFactorX);
     normalizedX = Math.max(0, Math.min(normalizedX, 1));  // Clamp between 0 and 1
     
     // Debug: log normalized value and computed index.
@@ -342,7 +505,7 @@ areAllFingersOpen(landmarks) {
       const avgX = (indexFinger[0] + middleFinger[0]) / 2;
       
       // 2. Normalize using video dimensions and calibration values.
-      let normalizedX = (avgX - this.calibration.offsetX) / (this.video.videoWidth * this.calibration.scaleFactorX);
+      let normalizedX = (avgX - this.calibration.offsetX) / ((this.video.videoWidth || this.video.width) * this.calibration.scaleFactorX);
       normalizedX = Math.max(0, Math.min(normalizedX, 1)); // Clamp between 0 and 1
       
       // Debug: log normalized value and computed index.
@@ -362,17 +525,15 @@ areAllFingersOpen(landmarks) {
         }
         
         // 4. Check for the three-finger gesture.
-        // Use a flag so that this entry event is processed only once per gesture occurrence.
-        if (this.isThreeFingersExtended(landmarks) && !this.gestureState.threeFingerTapHandled) {
-          this.gestureState.threeFingerTapHandled = true;
+        // Processed once per gesture occurrence: ignored for a short while after it fired.
+        if (this.isThreeFingersExtended(landmarks) && this.frameTime >= this.gestureState.threeFingerTapUntil) {
+          this.gestureState.threeFingerTapUntil = this.frameTime + 500;
           console.log(`Three-finger gesture detected on ${planetName}`);
           
           if (typeof this.solarSystem.enterPlanet === 'function') {
             this.solarSystem.enterPlanet(planetMesh);
           }
           
-          // Reset the flag after a short timeout (adjust delay as needed).
-          setTimeout(() => { this.gestureState.threeFingerTapHandled = false; }, 500);
           return true;
         }
       }
@@ -392,121 +553,96 @@ areAllFingersOpen(landmarks) {
   // ---------------------------
   // Main Gesture Detection
   // ---------------------------
+  // The aim hand's gesture this frame, from the gesture registry, which also runs its action
   detectAndHandleGestures(landmarks, timestamp) {
-    const env = this.solarSystem?.planetEnvironment;
-    const indexFinger = landmarks[8];
-    
-    // Priority 1: Three-finger entry gesture
-    if (!env?.character && this.isThreeFingersExtended(landmarks)) {
-      // Use a flag so that the three-finger entry is processed only once per gesture occurrence.
-      if (!this.gestureState.threeFingerEntryProcessed) {
-        this.gestureState.threeFingerEntryProcessed = true;
-        this.solarSystem.enterPlanet(this.solarSystem.currentlyHighlightedOrderedPlanet);
-        // shorten debounce so it feels snappier
-        setTimeout(() => {
-          this.gestureState.threeFingerEntryProcessed = false;
-        }, 300);
-      }
-      this.currentGesture = 'threeFingerEntry';
-      return 'ThreeFingerEntry';
-    }
-    
-    // Priority 2: Two-finger highlighting and tap
-    if (!env?.character && this.isTwoFingersExtended(landmarks)) {
-      this.currentGesture = 'tapping';
-      // Update highlighted planet based on horizontal movement.
-      this.attemptPlanetSelectionOrderedTwoFingers(landmarks);
-      return 'Tap';
-    } else {
-      if (this.currentGesture === 'tapping') {
-        this.tapCount = 0;
-        this.tapStarted = false;
-        this.currentGesture = 'idle';
-      }
+    const gesture = this.gestures.detect(this, landmarks, timestamp) || 'idle';
+    if (gesture !== this.currentGesture && gesture !== 'idle') {
+      console.log(`Gesture: ${gesture} detected.`);
     }
-    
-    // Priority 3: Other gestures (pinch, grab, rotate)
-    if (
-      !this.areMidRingPinkyExtended(landmarks) &&
-      this.detectPinchZoom(landmarks[4], indexFinger, landmarks)
-    ) {
-      if (this.currentGesture !== 'pinching') {
-        this.currentGesture = 'pinching';
-        console.log("Gesture: Pinch/Zoom detected.");
-      }
-      return 'Pinch/Zoom';
-    }
-    
-    // Reset pinch state if we leave it
-    if (
-      this.currentGesture === 'pinching' &&
-      !this.areMidRingPinkyExtended(landmarks) &&
-      !this.detectPinchZoom(landmarks[4], indexFinger, landmarks)
-    ) {
-      this.currentGesture = 'idle';
-    }
-    if (
-      env?.character &&
-      !env.isHoldingBall &&     // hand not already holding
-      !env.ballThrown &&        // ball is on the ground
-      this.detectGrab(landmarks, timestamp)
-    ) {
-      if (this.currentGesture !== 'grabbing') {
-        this.currentGesture = 'grabbing';
-        console.log("Gesture: Grab detected.");
-        this.handlePickup();
-      }
-      return 'Grab';
+    this.currentGesture = gesture;
+    return gesture;
+  }
+
+  // Hands the throw to the throw callback if one is set, otherwise to the planet environment
+  handleThrow(velocity, env = this.solarSystem?.planetEnvironment) {
+    console.log("Gesture: Throw detected", velocity);
+    if (typeof this.throwCallback === 'function') {
+      this.throwCallback(velocity);
+    } else if (typeof env?.throwBall === 'function') {
+      env.throwBall(velocity);
     }
-    
-    if (this.currentGesture === 'grabbing' && !this.detectGrab(landmarks, timestamp)) {
-      this.currentGesture = 'idle';
+  }
+  
+  // ---------------------------
+  // Two-Hand Gestures
+  // ---------------------------
+  // Both palms open in the solar system view. Moving the hands apart zooms in and together zooms
+  // out (the camera distance follows the spread), twisting the line between them like a steering
+  // wheel orbits around the target, and raising or lowering both tilts the view.
+  detectTwoHandGesture(first, second) {
+    const state = this.twoHandState;
+    const controls = this.solarSystem?.controls;
+    if (!controls || !this.areAllFingersOpen(first) || !this.areAllFingersOpen(second)) {
+      state.active = false;
+      return false;
     }
 
-    // 5) THROW: open hand (five fingers) + velocity
-  // —————————————
-    if (env?.character && env.isHoldingBall && this.areFiveFingersExtended(landmarks)) {
-      // compute smoothed palm velocity
-      const velocity = this.computeThrowVelocity();
-      if (velocity.length() > this.gestureThresholds.throw) {
-        if (this.currentGesture !== 'throwing') {
-          this.currentGesture = 'throwing';
-          console.log("Gesture: Throw detected", velocity);
-          // call your throw callback or planetEnvironment.throwBall
-          if (typeof this.throwCallback === 'function') {
-            this.throwCallback(velocity);
-          } else if (typeof env.throwBall === 'function') {
-            env.throwBall(velocity);
-          }
-        }
-        return 'Throw';
-      }
-    }
-    
-    if (this.areAllFingersOpen(landmarks)) {
-      if (this.currentGesture !== 'rotating') {
-        this.currentGesture = 'rotating';
-        console.log("Gesture: Rotate detected.");
-      }
-      this.handleRotation(landmarks);
-      return 'Rotate';
+    // Middle finger knuckles: steadier than the fingertips while the hands move
+    const a = first[9];
+    const b = second[9];
+    const spread = Math.hypot(b[0] - a[0], b[1] - a[1]);
+    const angle = Math.atan2(b[1] - a[1], b[0] - a[0]);
+    const midY = (a[1] + b[1]) / 2 / (this.video.height || this.video.videoHeight);
+    if (!state.active) {
+      state.active = true;
+      state.startSpread = spread;
+      state.startDistance = controls.target.distanceTo(this.camera.position);
+      state.lastAngle = angle;
+      state.lastMidY = midY;
+      return true;
     }
-    
-    if (this.currentGesture === 'rotating' && !this.areAllFingersOpen(landmarks)) {
-      this.currentGesture = 'idle';
+
+    let twist = angle - state.lastAngle;
+    twist = Math.atan2(Math.sin(twist), Math.cos(twist));
+    // A jump this big is the two hands swapping places in the detection order, not a twist
+    if (Math.abs(twist) > 0.5) twist = 0;
+    const tilt = midY - state.lastMidY;
+    const distance = THREE.MathUtils.clamp(state.startDistance * state.startSpread / Math.max(spread, 1), 3, 150);
+
+    const offset = new THREE.Vector3().subVectors(this.camera.position, controls.target);
+    const spherical = new THREE.Spherical().setFromVector3(offset);
+    spherical.radius = THREE.MathUtils.lerp(spherical.radius, distance, this.smoothingFactors.zoom * 0.3);
+    spherical.theta -= twist * this.gestureThresholds.twoHandOrbit;
+    spherical.phi = THREE.MathUtils.clamp(spherical.phi - tilt * this.gestureThresholds.twoHandTilt, 0.01, Math.PI - 0.01);
+    offset.setFromSpherical(spherical);
+    this.camera.position.copy(controls.target).add(offset);
+    this.camera.lookAt(controls.target);
+    if (typeof controls.update === 'function') {
+      controls.update();
     }
-    
-    if (this.isThumbUp(landmarks)) {
-        this.adjustTrajectoryAngle(true); // INCREASE angle (reversed)
-        this.updateGestureOverlay('thumbUp');
-    } else if (this.isThumbDown(landmarks)) {
-        this.adjustTrajectoryAngle(false); // DECREASE angle (reversed)
-        this.updateGestureOverlay('thumbDown');
+
+    state.lastAngle = angle;
+    state.lastMidY = midY;
+    return true;
+  }
+
+  // The force hand sets the throw speed while the aim hand holds the ball: thumb and index tips
+  // together for the slowest throw, spread wide for the fastest. The gap is measured in hand sizes
+  // (wrist to middle knuckle) so it doesn't change with the distance from the camera.
+  handleForceHand(landmarks) {
+    const env = this.solarSystem?.planetEnvironment;
+    if (!env?.isHoldingBall || env.ballThrown || typeof env.setThrowForce !== 'function') return;
+    const handSize = this.distance3D(landmarks[0], landmarks[9]);
+    if (handSize <= 0) return;
+    const gap = this.distance3D(landmarks[4], landmarks[8]) / handSize;
+    const { forceSpreadMin, forceSpreadMax } = this.gestureThresholds;
+    const t = THREE.MathUtils.clamp((gap - forceSpreadMin) / (forceSpreadMax - forceSpreadMin), 0, 1);
+    const force = Math.round(THREE.MathUtils.lerp(env.minThrowForce, env.maxThrowForce, t) * 2) / 2;
+    if (force !== env.throwForce) {
+      env.setThrowForce(force);
     }
-    
-    return this.currentGesture || 'idle';
   }
-  
+
     // Only returns true when thumb, index, middle, ring and pinky are all extended
   areFiveFingersExtended(landmarks) {
     return this.isFingerExtended(landmarks, 1, 4) &&   // Thumb
@@ -517,37 +653,34 @@ areAllFingersOpen(landmarks) {
   }
 
   // ---------------------------
-  // (Keep your existing pinch, grab, rotate, and other helper functions as-is)
+  // Pinch and rotate helpers (the gestures themselves are in tracking/defaultGestures.js)
   // ---------------------------
-  detectPinchZoom(thumb, indexFinger, landmarks) {
-    const thumbPos = new THREE.Vector3(thumb[0], thumb[1], thumb[2]);
-    const indexPos = new THREE.Vector3(indexFinger[0], indexFinger[1], indexFinger[2]);
-    const dist = thumbPos.distanceTo(indexPos);
-    const normDist = dist / this.video.width;
-    if (this.areAllFingersOpen(landmarks)) {
-      if (this.gestureState.isPinching) {
-        this.gestureState.isPinching = false;
-      }
-      return false;
-    }
-    if (!this.gestureState.isPinching && normDist < this.gestureThresholds.pinch) {
+  // Thumb to index tip gap in frame widths
+  getPinchDistance(landmarks) {
+    return this.distance3D(landmarks[4], landmarks[8]) / this.video.width;
+  }
+
+  // Whether thumb and index are pinched: closer than the pinch threshold, or up to twice it when
+  // `held` (the pinch was already going on), so opening the pinch to zoom doesn't end it. Only looks.
+  isPinchClosed(landmarks, held = false) {
+    if (this.areAllFingersOpen(landmarks)) return false;
+    const normDist = this.getPinchDistance(landmarks);
+    return held ? normDist <= this.gestureThresholds.pinch * 2 : normDist < this.gestureThresholds.pinch;
+  }
+
+  // Zooms the camera by how far the pinch has opened or closed since it `started`
+  applyPinchZoom(landmarks, started) {
+    const normDist = this.getPinchDistance(landmarks);
+    if (started || !this.gestureState.isPinching) {
       this.gestureState.isPinching = true;
       this.gestureState.pinchStartDistance = normDist;
       if (this.solarSystem?.controls) {
-        this.gestureState.pinchStartZoom = 
+        this.gestureState.pinchStartZoom =
           this.solarSystem.controls.target.distanceTo(this.camera.position);
       }
-      return true;
-    }
-    if (this.gestureState.isPinching) {
-      if (normDist > this.gestureThresholds.pinch * 2) {
-        this.gestureState.isPinching = false;
-      } else {
-        this.handlePinchZoom(normDist);
-        return true;
-      }
+      return;
     }
-    return false;
+    this.handlePinchZoom(normDist);
   }
 
   handlePinchZoom(normDist) {
@@ -569,40 +702,6 @@ areAllFingersOpen(landmarks) {
     }
   }
 
-  detectGrab(landmarks, timestamp) {
-    // 1) Only allow grab when index+middle are extended and ring+pinky are not
-    if (!this.isTwoFingersExtended(landmarks)) {
-      // reset if we were in a grab state
-      if (this.gestureState.isGrabbing) {
-        this.gestureState.isGrabbing = false;
-        console.log("Grab state reset (not two‑finger).");
-      }
-      return false;
-    }
-  
-    // 2) Debounce so it only fires once per gesture
-    const sinceLast = timestamp - this.gestureState.lastGrabTime;
-    if (!this.gestureState.isGrabbing && sinceLast > 500) {
-      this.gestureState.isGrabbing = true;
-      this.gestureState.lastGrabTime = timestamp;
-      console.log("Two‑finger grab detected.");
-  
-      // 3) Invoke pickup
-      if (typeof this.pickupCallback === 'function') {
-        this.pickupCallback();
-      } else if (this.solarSystem?.planetEnvironment && 
-                 !this.solarSystem.planetEnvironment.isHoldingBall) {
-        this.solarSystem.planetEnvironment.pickupBall();
-      }
-  
-      return true;
-    }
-  
-    return false;
-  }
-  
-  
-
   handleRotation(landmarks) {
     const palm = landmarks[0];
     const x = (palm[0] / this.video.width) * 2 - 1;
@@ -703,10 +802,12 @@ areAllFingersOpen(landmarks) {
 
   resetGestureStates() {
     this.gestureState.isPinching = false;
-    this.gestureState.isGrabbing = false;
     this.gestureState.isRotating = false;
     this.lastPalmPositions = [];
     this.lastFourFingerMidpoint = null;
+    this.twoHandState.active = false;
+    this.primaryHandedness = null;
+    this.gestures.reset();
   }
 
   handleTrackingError() {
@@ -882,8 +983,9 @@ areAllFingersOpen(landmarks) {
     this.debug.lastDetectedGesture = gesture;
   }
 
+  // 21 landmark markers per hand
   createDebugVisuals() {
-    for (let i = 0; i < 21; i++) {
+    for (let i = 0; i < 21 * this.maxHands; i++) {
       const geometry = new THREE.SphereGeometry(0.02, 8, 8);
       const material = new THREE.MeshBasicMaterial({ color: this.getLandmarkColor(i) });
       const marker = new THREE.Mesh(geometry, material);
@@ -899,7 +1001,7 @@ areAllFingersOpen(landmarks) {
   }
 
   getLandmarkColor(index) {
-    switch (index) {
+    switch (index % 21) {
       case 0: return 0xff0000; // Palm - red
       case 4: return 0x00ff00; // Thumb - green
       case 8: return 0x0000ff; // Index - blue
@@ -907,14 +1009,17 @@ areAllFingersOpen(landmarks) {
     }
   }
 
-  updateDebugVisuals(landmarks, gesture) {
-    for (let i = 0; i < landmarks.length && i < this.debug.handMarkers.length; i++) {
-      const marker = this.debug.handMarkers[i];
+  // `handIndex` picks the marker set; only the aim hand (0) gets the gesture indicator and label
+  updateDebugVisuals(landmarks, gesture, handIndex = 0) {
+    const first = handIndex * 21;
+    for (let i = 0; i < landmarks.length && first + i < this.debug.handMarkers.length; i++) {
+      const marker = this.debug.handMarkers[first + i];
       const screenPos = this.landmarkToScreenPosition(landmarks[i]);
       marker.position.copy(screenPos);
       marker.visible = true;
       marker.material.color.set(this.getLandmarkColor(i));
     }
+    if (handIndex > 0) return;
     if (this.debug.gestureIndicator && gesture) {
       const palmPos = this.landmarkToScreenPosition(landmarks[0]);
       this.debug.gestureIndicator.position.copy(palmPos);
@@ -933,7 +1038,7 @@ areAllFingersOpen(landmarks) {
         document.body.appendChild(this.debug.indexLabel);
       }
       const smoothed = this.getSmoothedIndexFinger(landmarks[8]);
-      let normalizedX = (smoothed[0] - this.calibration.offsetX) / (this.video.videoWidth * this.calibration.scaleFactorX);
+      let normalizedX = (smoothed[0] - this.calibration.offsetX) / ((this.video.videoWidth || this.video.width) * this.calibration.scaleFactorX);
       normalizedX = Math.min(Math.max(normalizedX, 0), 1);
       const order = this.solarSystem?.planetOrder || [];
       const planetIndex = order.length ? Math.floor(normalizedX * order.length) : -1;
@@ -949,6 +1054,7 @@ areAllFingersOpen(landmarks) {
       case 'Tap': return 0x0000ff;
       case 'Grab': return 0xff00ff;
       case 'Throw': return 0xff0000;
+      case 'TwoHandZoomOrbit': return 0x00ffff;
       default: return 0xffff00;
     }
   }
@@ -987,6 +1093,10 @@ areAllFingersOpen(landmarks) {
     requestAnimationFrame(animatePulse);
   }
 
+  hideHandMarkers(handIndex) {
+    this.debug.handMarkers.slice(handIndex * 21, (handIndex + 1) * 21).forEach(marker => marker.visible = false);
+  }
+
   hideDebugVisuals() {
     this.debug.handMarkers.forEach(marker => marker.visible = false);
     if (this.debug.gestureIndicator) {
@@ -1034,21 +1144,8 @@ areAllFingersOpen(landmarks) {
     this.frameControl.lastFrameTime = now;
     this.frameControl.frameSkip = !this.frameControl.frameSkip;
     try {
-      this.predictions = await this.handpose.estimateHands(this.video);
-      if (this.predictions.length > 0) {
-        const hand = this.predictions[0];
-        const landmarks = hand.landmarks;
-        this.updatePositionHistory(landmarks);
-        const detectedGesture = this.detectAndHandleGestures(landmarks, now);
-        this.updateGestureOverlay(detectedGesture);
-        if (this.debug.enabled) {
-          this.updateDebugVisuals(landmarks, detectedGesture);
-        }
-      } else {
-        this.resetGestureStates();
-        this.updateGestureOverlay(null);
-        this.hideDebugVisuals();
-      }
+      const hands = await this.estimateHands(now);
+      this.processHands(hands, now);
       requestAnimationFrame(() => this.track());
     } catch (error) {
       console.error('Tracking error:', error);
@@ -1056,6 +1153,55 @@ areAllFingersOpen(landmarks) {
     }
   }
 
+  // Runs one frame of hands (landmarks in video pixels, as from estimateHands()) through role
+  // assignment and the gesture detectors at time `now` (ms). Returns the detected gesture, if any.
+  // The live loop and replayRecording() both come through here, so a replay sees what tracking saw.
+  processHands(hands, now) {
+    this.frameTime = now;
+    this.predictions = hands;
+    if (this.calibrationWizard?.active) {
+      this.calibrationWizard.handleFrame(hands, now);
+      this.updateGestureOverlay(hands.length > 0 ? 'Calibrating' : null);
+      return null;
+    }
+    let detectedGesture = null;
+    if (this.predictions.length > 0) {
+      const { aim, force } = this.assignHandRoles(this.predictions);
+      const env = this.solarSystem?.planetEnvironment;
+      if (force && !env?.character && this.detectTwoHandGesture(aim.landmarks, force.landmarks)) {
+        detectedGesture = 'TwoHandZoomOrbit';
+      } else {
+        if (aim.handedness !== this.primaryHandedness) {
+          // Another hand took over: the old hand's motion would read as a throw
+          this.lastPositions = [];
+          this.lastPalmPositions = [];
+          this.lastSmoothedPosition = null;
+          this.lastPalmScreenPos = null;
+        }
+        this.updatePositionHistory(aim.landmarks);
+        detectedGesture = this.detectAndHandleGestures(aim.landmarks, now);
+        if (force && env?.character) {
+          this.handleForceHand(force.landmarks);
+        }
+      }
+      this.primaryHandedness = aim.handedness;
+      this.updateGestureOverlay(detectedGesture);
+      if (this.debug.enabled) {
+        this.updateDebugVisuals(aim.landmarks, detectedGesture);
+        if (force) {
+          this.updateDebugVisuals(force.landmarks, null, 1);
+        } else {
+          this.hideHandMarkers(1);
+        }
+      }
+    } else {
+      this.resetGestureStates();
+      this.updateGestureOverlay(null);
+      this.hideDebugVisuals();
+    }
+    return detectedGesture;
+  }
+
   // Add method to detect thumb position
   isThumbUp(landmarks) {
     if (!landmarks || landmarks.length < 21) return false;
@@ -1081,19 +1227,18 @@ areAllFingersOpen(landmarks) {
 
   // Add trajectory angle adjustment method
   adjustTrajectoryAngle(isIncreasing) {
-    const now = Date.now();
-    if (now - this.lastThumbGestureTime < this.thumbGestureCooldown) {
-        return; // Prevent too frequent adjustments
+    // In the target challenge the thumbs set the answer instead
+    const env = this.solarSystem?.planetEnvironment;
+    if (env?.challenge?.target && typeof env.stepChallengeAnswer === 'function') {
+      env.stepChallengeAnswer(isIncreasing ? 1 : -1);
+      return;
     }
-    
     if (isIncreasing) {
         this.trajectoryAngle = Math.min(this.trajectoryAngle + this.angleAdjustmentStep, this.maxTrajectoryAngle);
     } else {
         this.trajectoryAngle = Math.max(this.trajectoryAngle - this.angleAdjustmentStep, this.minTrajectoryAngle);
     }
     
-    this.lastThumbGestureTime = now;
-    
     // Update the UI to show current angle
     this.updateTrajectoryAngleDisplay();
     
@@ -1103,6 +1248,15 @@ areAllFingersOpen(landmarks) {
     }
   }
 
+  // Steps the solar system clock along its signed rate ladder (reverse ... paused ... forward)
+  adjustTimeScale(step) {
+    const clock = this.solarSystem?.clock;
+    if (!clock) return;
+
+    clock.stepRate(step);
+    console.log(`Gesture: simulation time ${clock.getRateLabel()}`);
+  }
+
   // Add method to update UI with current angle
   updateTrajectoryAngleDisplay() {
     const angleDisplay = document.getElementById('trajectory-angle-display') || this.createTrajectoryAngleDisplay();
@@ -0,0 +1,97 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.145.0/build/three.module.js';
+import { orbitalPosition } from '../utils/kepler.js';
+
+const tempPosition = new THREE.Vector3();
+
+// A belt of small bodies (main asteroid belt, Kuiper belt) drawn as a single InstancedMesh.
+// Every body gets its own random Keplerian orbit and is moved by the simulation clock.
+export default class AsteroidBelt {
+    constructor(options = {}) {
+        this.name = options.name || 'belt';
+        this.count = options.count || 2000;
+        this.innerAU = options.innerAU ?? 2.1;
+        this.outerAU = options.outerAU ?? 3.3;
+        this.maxEccentricity = options.maxEccentricity ?? 0.15;
+        this.maxInclination = options.maxInclination ?? 10; // degrees
+        this.size = options.size ?? 0.12;
+        this.color = options.color ?? 0x888070;
+        // Maps a distance in AU to scene units, so belts line up with the compressed planet layout
+        this.toScene = options.toScene || ((au) => au);
+
+        this.bodies = [];
+        this.mesh = null;
+        this.create();
+    }
+
+    create() {
+        const geometry = new THREE.IcosahedronGeometry(this.size, 0);
+        const material = new THREE.MeshPhongMaterial({
+            color: this.color,
+            shininess: 5,
+            flatShading: true
+        });
+
+        this.mesh = new THREE.InstancedMesh(geometry, material, this.count);
+        this.mesh.name = this.name;
+        this.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        // Belts are decorative: skip them when picking planets, raycasting thousands of instances is slow
+        this.mesh.raycast = () => {};
+        // The bounding sphere only covers the base geometry at the origin, not the spread-out instances
+        this.mesh.frustumCulled = false;
+
+        const matrix = new THREE.Matrix4();
+        const rotation = new THREE.Quaternion();
+        const euler = new THREE.Euler();
+        const scale = new THREE.Vector3();
+
+        for (let i = 0; i < this.count; i++) {
+            const semiMajorAxis = THREE.MathUtils.lerp(this.innerAU, this.outerAU, Math.random());
+            const elements = {
+                semiMajorAxis,
+                eccentricity: Math.random() * this.maxEccentricity,
+                inclination: (Math.random() - 0.5) * 2 * this.maxInclination,
+                longitudeOfAscendingNode: Math.random() * 360,
+                argumentOfPerihelion: Math.random() * 360,
+                meanAnomalyAtEpoch: Math.random() * 360
+            };
+            this.bodies.push({
+                elements,
+                displayScale: this.toScene(semiMajorAxis) / semiMajorAxis
+            });
+
+            // Fixed random tumble and size; only the translation changes per frame
+            euler.set(Math.random() * Math.PI, Math.random() * Math.PI, Math.random() * Math.PI);
+            rotation.setFromEuler(euler);
+            const s = 0.5 + Math.random();
+            scale.set(s, s * (0.6 + Math.random() * 0.4), s);
+            matrix.compose(tempPosition.set(0, 0, 0), rotation, scale);
+            this.mesh.setMatrixAt(i, matrix);
+        }
+    }
+
+    // Moves every body to its position at the given Julian date
+    update(julianDate) {
+        const array = this.mesh.instanceMatrix.array;
+        for (let i = 0; i < this.bodies.length; i++) {
+            const body = this.bodies[i];
+            orbitalPosition(body.elements, julianDate, tempPosition).multiplyScalar(body.displayScale);
+            // Write the translation column directly instead of recomposing the whole matrix
+            const offset = i * 16;
+            array[offset + 12] = tempPosition.x;
+            array[offset + 13] = tempPosition.y;
+            array[offset + 14] = tempPosition.z;
+        }
+        this.mesh.instanceMatrix.needsUpdate = true;
+    }
+
+    dispose() {
+        if (!this.mesh) return;
+        if (this.mesh.parent) {
+            this.mesh.parent.remove(this.mesh);
+        }
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+        this.mesh = null;
+        this.bodies = [];
+    }
+}
@@ -0,0 +1,269 @@
+// Body catalog: one description per planet or moon covering how it looks, how it orbits and
+// what its surface is like. SolarSystem and PlanetEnvironment both read from it, so a custom or
+// fictional body can be added by editing data/bodies.json (format: data/bodies.schema.json).
+
+import { TERRAIN_STYLES } from '../utils/terrain.js';
+
+export const DEFAULT_CATALOG_URL = new URL('../data/bodies.json', import.meta.url).href;
+
+// Surface used when a body (or the whole catalog) is unavailable
+export const DEFAULT_SURFACE = {
+    gravity: 9.81,
+    atmosphereDensity: 1.225,
+    restitution: 0.6,
+    skyColor: '#000020',
+    terrainColor: '#808080',
+    roughness: 0.8,
+    metalness: 0.2
+};
+
+const BODY_TYPES = ['planet', 'moon'];
+const ORBIT_FIELDS = ['semiMajorAxis', 'eccentricity', 'inclination', 'longitudeOfAscendingNode', 'argumentOfPerihelion', 'meanAnomalyAtEpoch'];
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const NAME_PATTERN = /^[a-z0-9_-]+$/;
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Checks one body against the schema. Returns a list of human-readable problems (empty when valid).
+function validateBody(body, label) {
+    const errors = [];
+    const fail = (message) => errors.push(`${label}: ${message}`);
+
+    if (!isObject(body)) {
+        fail('must be an object');
+        return errors;
+    }
+    if (typeof body.name !== 'string' || !NAME_PATTERN.test(body.name)) {
+        fail('name must be a lower-case id (letters, digits, "-" or "_")');
+    }
+    if (!BODY_TYPES.includes(body.type)) {
+        fail(`type must be one of ${BODY_TYPES.join(', ')}`);
+    }
+    if (body.type === 'moon' && typeof body.parent !== 'string') {
+        fail('moons need a parent planet name');
+    }
+
+    const visual = body.visual;
+    if (!isObject(visual)) {
+        fail('visual is missing');
+    } else {
+        if (!isNumber(visual.radius) || visual.radius <= 0) fail('visual.radius must be a positive number');
+        if (!isNumber(visual.distance) || visual.distance <= 0) fail('visual.distance must be a positive number');
+        if (!COLOR_PATTERN.test(visual.color)) fail('visual.color must look like "#RRGGBB"');
+        ['texture', 'normalMap', 'specularMap', 'nightTexture'].forEach(field => {
+            if (visual[field] !== undefined && typeof visual[field] !== 'string') fail(`visual.${field} must be a path`);
+        });
+        if (visual.rotationSpeed !== undefined && !isNumber(visual.rotationSpeed)) fail('visual.rotationSpeed must be a number');
+        if (visual.atmosphere !== undefined && typeof visual.atmosphere !== 'boolean') {
+            const atmosphere = visual.atmosphere;
+            if (!isObject(atmosphere)) {
+                fail('visual.atmosphere must be true/false or an object');
+            } else {
+                if (atmosphere.color !== undefined && !COLOR_PATTERN.test(atmosphere.color)) fail('visual.atmosphere.color must look like "#RRGGBB"');
+                if (atmosphere.intensity !== undefined && (!isNumber(atmosphere.intensity) || atmosphere.intensity < 0)) fail('visual.atmosphere.intensity must be a number >= 0');
+                if (atmosphere.power !== undefined && (!isNumber(atmosphere.power) || atmosphere.power <= 0)) fail('visual.atmosphere.power must be a positive number');
+            }
+        }
+        if (visual.clouds !== undefined) {
+            const clouds = visual.clouds;
+            if (!isObject(clouds) || typeof clouds.texture !== 'string') {
+                fail('visual.clouds must be an object with a texture path');
+            } else {
+                if (clouds.opacity !== undefined && (!isNumber(clouds.opacity) || clouds.opacity < 0 || clouds.opacity > 1)) fail('visual.clouds.opacity must be between 0 and 1');
+                if (clouds.rotationSpeed !== undefined && !isNumber(clouds.rotationSpeed)) fail('visual.clouds.rotationSpeed must be a number');
+            }
+        }
+        if (visual.rings !== undefined) {
+            const rings = visual.rings;
+            if (!isObject(rings)) {
+                fail('visual.rings must be an object');
+            } else {
+                if (!isNumber(rings.innerRadius) || !isNumber(rings.outerRadius) || rings.innerRadius <= 0 || rings.outerRadius <= rings.innerRadius) {
+                    fail('visual.rings needs 0 < innerRadius < outerRadius');
+                }
+                if (rings.color !== undefined && !COLOR_PATTERN.test(rings.color)) fail('visual.rings.color must look like "#RRGGBB"');
+                if (rings.bands !== undefined && (!Array.isArray(rings.bands) ||
+                    !rings.bands.every(band => Array.isArray(band) && band.length === 3 && band.every(v => isNumber(v) && v >= 0 && v <= 1)))) {
+                    fail('visual.rings.bands must be a list of [start, end, opacity] values between 0 and 1');
+                }
+            }
+        }
+    }
+
+    const orbit = body.orbit;
+    if (!isObject(orbit)) {
+        fail('orbit is missing');
+    } else {
+        ORBIT_FIELDS.forEach(field => {
+            if (!isNumber(orbit[field])) fail(`orbit.${field} must be a number`);
+        });
+        if (isNumber(orbit.semiMajorAxis) && orbit.semiMajorAxis <= 0) fail('orbit.semiMajorAxis must be positive');
+        if (isNumber(orbit.eccentricity) && (orbit.eccentricity < 0 || orbit.eccentricity >= 1)) {
+            fail('orbit.eccentricity must be in [0, 1) (closed orbits only)');
+        }
+        if (orbit.period !== undefined && (!isNumber(orbit.period) || orbit.period <= 0)) fail('orbit.period must be a positive number of days');
+        // Moon semi-major axes are in km, so Kepler's third law for the Sun can't supply the period
+        if (body.type === 'moon' && orbit.period === undefined) fail('orbit.period (days) is required for moons');
+    }
+
+    const surface = body.surface;
+    if (!isObject(surface)) {
+        fail('surface is missing');
+    } else {
+        if (!isNumber(surface.gravity) || surface.gravity <= 0) fail('surface.gravity must be a positive number (m/s²)');
+        if (surface.atmosphereDensity !== undefined && (!isNumber(surface.atmosphereDensity) || surface.atmosphereDensity < 0)) {
+            fail('surface.atmosphereDensity must be a number >= 0 (kg/m³)');
+        }
+        ['restitution', 'roughness', 'metalness'].forEach(field => {
+            const value = surface[field];
+            if (value !== undefined && (!isNumber(value) || value < 0 || value > 1)) fail(`surface.${field} must be between 0 and 1`);
+        });
+        ['skyColor', 'terrainColor'].forEach(field => {
+            if (surface[field] !== undefined && !COLOR_PATTERN.test(surface[field])) fail(`surface.${field} must look like "#RRGGBB"`);
+        });
+        if (surface.terrainTexture !== undefined && typeof surface.terrainTexture !== 'string') fail('surface.terrainTexture must be a path');
+        if (surface.terrain !== undefined) {
+            const terrain = surface.terrain;
+            if (!isObject(terrain)) {
+                fail('surface.terrain must be an object');
+            } else {
+                if (terrain.style !== undefined && !TERRAIN_STYLES.includes(terrain.style)) fail(`surface.terrain.style must be one of ${TERRAIN_STYLES.join(', ')}`);
+                if (terrain.seed !== undefined && !Number.isInteger(terrain.seed)) fail('surface.terrain.seed must be an integer');
+                ['amplitude', 'flatRadius'].forEach(field => {
+                    const value = terrain[field];
+                    if (value !== undefined && (!isNumber(value) || value < 0)) fail(`surface.terrain.${field} must be a number >= 0 (m)`);
+                });
+                if (terrain.scale !== undefined && (!isNumber(terrain.scale) || terrain.scale <= 0)) fail('surface.terrain.scale must be a positive number (m)');
+                if (terrain.craters !== undefined && (!Number.isInteger(terrain.craters) || terrain.craters < 0)) fail('surface.terrain.craters must be a whole number >= 0');
+                if (terrain.slope !== undefined) {
+                    const slope = terrain.slope;
+                    if (!isObject(slope) || !['x', 'z', 'radius', 'height'].every(field => isNumber(slope[field])) || slope.radius <= 0) {
+                        fail('surface.terrain.slope needs numbers x, z, height and a positive radius');
+                    }
+                }
+            }
+        }
+        if (surface.cloudDeck !== undefined) {
+            const deck = surface.cloudDeck;
+            if (!isObject(deck)) {
+                fail('surface.cloudDeck must be an object');
+            } else {
+                // Deeper than this and PhysicsHandler's kill height removes projectiles before they reach the clouds
+                if (deck.depth !== undefined && (!isNumber(deck.depth) || deck.depth < 5 || deck.depth > 45)) fail('surface.cloudDeck.depth must be between 5 and 45 (m)');
+                if (deck.platformRadius !== undefined && (!isNumber(deck.platformRadius) || deck.platformRadius < 2)) fail('surface.cloudDeck.platformRadius must be at least 2 (m)');
+                if (deck.bands !== undefined && (!Array.isArray(deck.bands) || deck.bands.length === 0 || !deck.bands.every(color => COLOR_PATTERN.test(color)))) {
+                    fail('surface.cloudDeck.bands must be a list of "#RRGGBB" colours');
+                }
+                if (deck.cloudColor !== undefined && !COLOR_PATTERN.test(deck.cloudColor)) fail('surface.cloudDeck.cloudColor must look like "#RRGGBB"');
+                if (deck.windSpeed !== undefined && (!isNumber(deck.windSpeed) || deck.windSpeed < 0)) fail('surface.cloudDeck.windSpeed must be a number >= 0 (m/s)');
+                if (deck.windDirection !== undefined && !isNumber(deck.windDirection)) fail('surface.cloudDeck.windDirection must be a number (degrees)');
+            }
+        }
+    }
+
+    return errors;
+}
+
+export default class BodyCatalog {
+    constructor(bodies = [], errors = []) {
+        this.bodies = new Map();
+        bodies.forEach(body => this.bodies.set(body.name, body));
+        this.errors = errors; // Validation problems; the offending bodies are left out of the catalog
+    }
+
+    // Fetches and validates a catalog. Invalid bodies are dropped and reported in catalog.errors;
+    // a missing or unreadable file throws.
+    static async load(url = DEFAULT_CATALOG_URL) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load body catalog ${url} (HTTP ${response.status})`);
+        }
+
+        let data;
+        try {
+            data = await response.json();
+        } catch (error) {
+            throw new Error(`Body catalog ${url} is not valid JSON: ${error.message}`);
+        }
+        return BodyCatalog.fromData(data);
+    }
+
+    static fromData(data) {
+        const { bodies, errors } = BodyCatalog.validate(data);
+        if (errors.length > 0) {
+            console.warn('Body catalog problems:\n' + errors.join('\n'));
+        }
+        return new BodyCatalog(bodies, errors);
+    }
+
+    // Returns { bodies, errors }: the bodies that passed validation and a list of problems
+    static validate(data) {
+        const errors = [];
+        if (!isObject(data) || !Array.isArray(data.bodies)) {
+            return { bodies: [], errors: ['catalog must be an object with a "bodies" array'] };
+        }
+        if (data.version !== 1) {
+            errors.push(`unsupported catalog version ${data.version} (expected 1)`);
+        }
+
+        const valid = [];
+        const names = new Set();
+        data.bodies.forEach((body, index) => {
+            const label = `bodies[${index}]${typeof body?.name === 'string' ? ` (${body.name})` : ''}`;
+            const bodyErrors = validateBody(body, label);
+            if (bodyErrors.length === 0 && names.has(body.name)) {
+                bodyErrors.push(`${label}: duplicate name`);
+            }
+            if (bodyErrors.length > 0) {
+                errors.push(...bodyErrors);
+                return;
+            }
+            names.add(body.name);
+            valid.push(body);
+        });
+
+        // Moons can only be placed around a planet that made it into the catalog
+        const planetNames = new Set(valid.filter(body => body.type === 'planet').map(body => body.name));
+        const bodies = valid.filter(body => {
+            if (body.type === 'moon' && !planetNames.has(body.parent)) {
+                errors.push(`${body.name}: parent planet "${body.parent}" not found`);
+                return false;
+            }
+            return true;
+        });
+
+        return { bodies, errors };
+    }
+
+    getBody(name) {
+        if (!name) return null;
+        return this.bodies.get(name.toLowerCase()) || null;
+    }
+
+    // Planets in catalog order (this is also the gesture selection order)
+    getPlanets() {
+        return [...this.bodies.values()].filter(body => body.type === 'planet');
+    }
+
+    getMoons() {
+        return [...this.bodies.values()].filter(body => body.type === 'moon');
+    }
+
+    getDisplayName(name) {
+        const body = this.getBody(name);
+        if (body?.displayName) return body.displayName;
+        return name ? name.charAt(0).toUpperCase() + name.slice(1) : '';
+    }
+
+    // Surface properties with defaults filled in for anything the body leaves out
+    getSurface(name) {
+        const body = this.getBody(name);
+        return { ...DEFAULT_SURFACE, ...(body?.surface || {}) };
+    }
+}
@@ -0,0 +1,210 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.145.0/build/three.module.js';
+import * as CANNON from 'https://cdn.jsdelivr.net/npm/cannon-es@0.20.0/dist/cannon-es.js';
+import { createRandom, createNoise } from '../utils/terrain.js';
+
+// Gas giants have no ground to stand on, so instead of a terrain the visitor rides a balloon
+// gondola floating above the cloud tops (surface.cloudDeck in data/bodies.json). The gondola is the
+// only solid thing: a ball that misses it falls, through the air and the wind, into the cloud deck
+// `depth` m below and is lost there instead of bouncing. The sky is drawn in the planet's bands and
+// the cloud layers stream past with the wind.
+//
+// The balloon drifts with the jet streams (Jupiter ~150 m/s, Neptune ~600 m/s), so the wind felt on
+// board is only the gusts and shear relative to it: windSpeed is that, not the jet speed.
+
+export const DEFAULT_CLOUD_DECK = {
+    depth: 40,             // m from the top of the gondola down to the cloud tops
+    platformRadius: 6,     // m
+    bands: ['#C8A27A', '#EAD9B8'], // Sky colours from the horizon up, repeated
+    cloudColor: '#FFFFFF',
+    windSpeed: 0,          // m/s, becomes the default of the air resistance panel
+    windDirection: 90      // Where it blows, in degrees from the throw direction: 90 = across the throw
+};
+
+const CLOUD_LAYERS = [
+    { below: 0, opacity: 0.9, shade: 1 },     // Cloud tops, where a falling ball is lost
+    { below: 6, opacity: 0.6, shade: 0.8 },
+    { below: 12, opacity: 0.4, shade: 0.6 }
+];
+const CLOUD_SIZE = 600;        // m across each layer
+const CLOUD_SEGMENTS = 40;
+const CLOUD_SCALE = 60;        // m, size of the largest billows
+const CLOUD_BILLOW = 1.5;      // m up and down from the layer height
+
+export default class CloudDeck {
+    constructor(scene, physicsHandler, options = {}) {
+        this.scene = scene;
+        this.physicsHandler = physicsHandler;
+        this.settings = { ...DEFAULT_CLOUD_DECK, ...options };
+        this.depth = this.settings.depth;
+        this.platformRadius = this.settings.platformRadius;
+        this.drift = new THREE.Vector2();  // How far the wind has carried the clouds, m
+        this.nextLayer = 0;                // Layer reshaped on the next update (one per frame)
+        this.noise = createNoise(createRandom(7));
+
+        this.group = new THREE.Group();
+        this.group.name = 'cloud-deck';
+        this.scene.add(this.group);
+
+        this.createSky();
+        this.createClouds();
+        this.createGondola();
+    }
+
+    // Sky sphere striped in the planet's bands, wavy like the belts and zones seen from orbit
+    createSky() {
+        const geometry = new THREE.SphereGeometry(500, 64, 48);
+        const bands = this.settings.bands.map(color => new THREE.Color(color));
+        const position = geometry.attributes.position;
+        const colors = new Float32Array(position.count * 3);
+        const color = new THREE.Color();
+        for (let i = 0; i < position.count; i++) {
+            const elevation = position.getY(i) / 500;
+            const azimuth = Math.atan2(position.getZ(i), position.getX(i));
+            const u = Math.max(elevation, 0) * bands.length * 2 + 0.2 * Math.sin(azimuth * 3 + elevation * 12);
+            const index = Math.floor(Math.max(u, 0));
+            color.copy(bands[index % bands.length]).lerp(bands[(index + 1) % bands.length], Math.max(u, 0) - index);
+            colors.set([color.r, color.g, color.b], i * 3);
+        }
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        this.sky = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+            vertexColors: true,
+            side: THREE.BackSide,
+            fog: false
+        }));
+        this.group.add(this.sky);
+    }
+
+    createClouds() {
+        const base = new THREE.Color(this.settings.cloudColor);
+        this.clouds = CLOUD_LAYERS.map(layer => {
+            const geometry = new THREE.PlaneGeometry(CLOUD_SIZE, CLOUD_SIZE, CLOUD_SEGMENTS, CLOUD_SEGMENTS);
+            const mesh = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+                color: base.clone().multiplyScalar(layer.shade),
+                roughness: 1,
+                transparent: true,
+                opacity: layer.opacity,
+                depthWrite: layer.below === 0,
+                side: THREE.DoubleSide
+            }));
+            mesh.rotation.x = -Math.PI / 2;
+            mesh.position.y = -this.depth - layer.below;
+            mesh.receiveShadow = true;
+            this.group.add(mesh);
+            return { mesh, offset: layer.below * 13.7 };
+        });
+        this.clouds.forEach(cloud => this.shapeCloud(cloud));
+    }
+
+    // Billows a layer from noise sampled at the current drift, so the clouds move with the wind
+    shapeCloud({ mesh, offset }) {
+        const position = mesh.geometry.attributes.position;
+        for (let i = 0; i < position.count; i++) {
+            // Laid flat by rotation.x, so local (x, y) is world (x, -z) and local z is height
+            const x = (position.getX(i) - this.drift.x) / CLOUD_SCALE + offset;
+            const z = (-position.getY(i) - this.drift.y) / CLOUD_SCALE;
+            position.setZ(i, CLOUD_BILLOW * this.noise(x, z));
+        }
+        position.needsUpdate = true;
+        mesh.geometry.computeVertexNormals();
+    }
+
+    // Round deck with a rail, hanging from a balloon; its top is at y = 0
+    createGondola() {
+        const radius = this.platformRadius;
+        const deck = new THREE.Mesh(
+            new THREE.CylinderGeometry(radius, radius * 0.9, 1, 32),
+            new THREE.MeshStandardMaterial({ color: 0x8d6e63, roughness: 0.9 })
+        );
+        deck.position.y = -0.5;
+        deck.castShadow = true;
+        deck.receiveShadow = true;
+        this.group.add(deck);
+
+        const railMaterial = new THREE.MeshStandardMaterial({ color: 0xb0bec5, metalness: 0.6, roughness: 0.4 });
+        const rail = new THREE.Mesh(new THREE.TorusGeometry(radius - 0.1, 0.06, 8, 48), railMaterial);
+        rail.rotation.x = Math.PI / 2;
+        rail.position.y = 1.1;
+        this.group.add(rail);
+
+        const balloon = new THREE.Mesh(
+            new THREE.SphereGeometry(12, 32, 24),
+            new THREE.MeshStandardMaterial({ color: 0xe53935, roughness: 0.6 })
+        );
+        balloon.scale.y = 1.2;
+        balloon.position.y = 32;
+        balloon.castShadow = true;
+        this.group.add(balloon);
+
+        const ropes = [];
+        for (let i = 0; i < 8; i++) {
+            const angle = (i * Math.PI) / 4;
+            const edge = new THREE.Vector3(Math.cos(angle) * (radius - 0.1), 1.1, Math.sin(angle) * (radius - 0.1));
+            ropes.push(edge, new THREE.Vector3(Math.cos(angle) * 5, 20, Math.sin(angle) * 5));
+        }
+        this.group.add(new THREE.LineSegments(
+            new THREE.BufferGeometry().setFromPoints(ropes),
+            new THREE.LineBasicMaterial({ color: 0x5d4037 })
+        ));
+
+        // Windsock on a pole at the rail, turned to where the wind blows
+        const pole = new THREE.Mesh(new THREE.CylinderGeometry(0.05, 0.05, 3, 8), railMaterial);
+        pole.position.set(0, 1.5, -(radius - 0.3));
+        this.group.add(pole);
+        this.windsock = new THREE.Mesh(
+            new THREE.ConeGeometry(0.3, 1.6, 16, 1, true),
+            new THREE.MeshStandardMaterial({ color: 0xff9800, side: THREE.DoubleSide })
+        );
+        this.windsock.position.set(0, 3, -(radius - 0.3));
+        this.windsock.visible = false;
+        this.group.add(this.windsock);
+
+        this.body = new CANNON.Body({ mass: 0, material: this.physicsHandler.materials.ground });
+        this.body.addShape(new CANNON.Cylinder(radius, radius, 1, 16));
+        this.body.position.set(0, -0.5, 0);
+        this.physicsHandler.addBody(this.body);
+    }
+
+    isOverPlatform(x, z) {
+        return Math.hypot(x, z) <= this.platformRadius;
+    }
+
+    // What a falling ball comes down on: the gondola, or else the cloud tops it disappears into
+    heightAt(x, z) {
+        return this.isOverPlatform(x, z) ? 0 : -this.depth;
+    }
+
+    // Pulls `position` (x, z) back inside the rail, `margin` m from it
+    keepOnDeck(position, margin = 1) {
+        const limit = this.platformRadius - margin;
+        const distance = Math.hypot(position.x, position.z);
+        if (distance > limit) {
+            position.x *= limit / distance;
+            position.z *= limit / distance;
+        }
+        return position;
+    }
+
+    // Moves the clouds and turns the windsock. `wind` is the world-space wind in m/s (null: calm).
+    update(deltaTime, wind) {
+        if (wind) {
+            this.drift.x += wind.x * deltaTime;
+            this.drift.y += wind.z * deltaTime;
+            // Mouth into the wind, tip downwind (the cone's tip is its +y end)
+            this.windsock.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), wind.clone().normalize());
+        }
+        this.windsock.visible = !!wind;
+        if (!wind) return;
+        // Spread over frames: reshaping every layer each frame is too slow
+        this.shapeCloud(this.clouds[this.nextLayer]);
+        this.nextLayer = (this.nextLayer + 1) % this.clouds.length;
+    }
+
+    dispose() {
+        this.physicsHandler.removeBody(this.body);
+        this.group.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        this.scene.remove(this.group);
+    }
+}
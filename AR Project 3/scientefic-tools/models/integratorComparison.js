@@ -0,0 +1,137 @@
+// Panel comparing the numerical integrators on the aimed throw (in vacuum, where the exact answer is
+// known): how far each method drifts from the true parabola over the flight, and how much mechanical
+// energy it creates or destroys. Fed by compareIntegrators() in utils/integrators.js.
+
+import { drawLinePlot, createPlotCanvas } from '../utils/plot.js';
+import { INTEGRATORS } from '../utils/integrators.js';
+import { createHudSection, createHudButton, createHudSelect, addHudRow } from '../utils/hud.js';
+
+const METHOD_COLORS = {
+    euler: '#ff5252',
+    semiImplicitEuler: '#ffc107',
+    verlet: '#4caf50',
+    rk4: '#00bfff'
+};
+
+// Errors below this are rounding noise; keeps log10 finite for the exact methods
+const ERROR_FLOOR = 1e-12;
+
+export default class IntegratorComparison {
+    constructor(options = {}) {
+        this.width = options.width || 300;
+        this.plotHeight = options.plotHeight || 110;
+
+        this.panel = document.createElement('div');
+        this.panel.id = 'integrator-comparison';
+        this.panel.style.position = 'fixed';
+        this.panel.style.right = '240px';
+        this.panel.style.top = '20px';
+        this.panel.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+        this.panel.style.color = 'white';
+        this.panel.style.fontFamily = 'Arial, sans-serif';
+        this.panel.style.fontSize = '11px';
+        this.panel.style.padding = '8px';
+        this.panel.style.borderRadius = '8px';
+        this.panel.style.zIndex = '1000';
+        this.panel.style.display = 'none';
+
+        this.heading = document.createElement('div');
+        this.heading.style.fontWeight = 'bold';
+        this.heading.style.marginBottom = '4px';
+        this.panel.appendChild(this.heading);
+
+        const { canvas, context } = createPlotCanvas(this.width, this.plotHeight, 2);
+        this.canvas = canvas;
+        this.context = context;
+        this.panel.appendChild(this.canvas);
+
+        this.table = document.createElement('div');
+        this.table.style.marginTop = '4px';
+        this.panel.appendChild(this.table);
+
+        ['mousedown', 'touchstart'].forEach(type => {
+            this.panel.addEventListener(type, (event) => event.stopPropagation());
+        });
+    }
+
+    mount(parent = document.body) {
+        parent.appendChild(this.panel);
+        return this;
+    }
+
+    setVisible(visible) {
+        this.panel.style.display = visible ? 'block' : 'none';
+    }
+
+    isVisible() {
+        return this.panel.style.display !== 'none';
+    }
+
+    // results: compareIntegrators() output; timeStep in seconds; selected: the method the ball uses
+    draw(results, timeStep, selected = null) {
+        this.heading.textContent = `Integrators vs exact parabola (Δt = ${timeStep.toFixed(4)} s, no air)`;
+
+        const series = results.map(result => ({
+            points: result.points,
+            color: METHOD_COLORS[result.name] || '#ffffff',
+            alpha: !selected || selected === result.name ? 1 : 0.6
+        }));
+
+        this.context.clearRect(0, 0, this.width, this.plotHeight * 2);
+        drawLinePlot(this.context, { x: 0, y: 0, width: this.width, height: this.plotHeight }, {
+            title: 'Position error (m, log scale) vs time t (s)',
+            series,
+            getX: point => point.t,
+            getY: point => Math.log10(Math.max(point.error, ERROR_FLOOR)),
+            includeZero: false,
+            formatY: value => `1e${value.toFixed(0)}`
+        });
+        drawLinePlot(this.context, { x: 0, y: this.plotHeight, width: this.width, height: this.plotHeight }, {
+            title: 'Energy drift (%) vs time t (s)',
+            series,
+            getX: point => point.t,
+            getY: point => point.energyDrift * 100
+        });
+
+        const rows = results.map(result => {
+            const color = METHOD_COLORS[result.name] || '#ffffff';
+            const weight = selected === result.name ? 'bold' : 'normal';
+            return `<tr style="font-weight: ${weight};">
+                <td style="color: ${color};">— ${result.label}</td>
+                <td style="text-align: right;">${result.finalError.toExponential(1)} m</td>
+                <td style="text-align: right;">${(result.maxDrift * 100).toFixed(3)}%</td>
+            </tr>`;
+        }).join('');
+        this.table.innerHTML = `<table style="width: 100%; border-collapse: collapse;">
+            <tr style="color: #aaaaaa;"><td>Method</td><td style="text-align: right;">Error at landing</td><td style="text-align: right;">Max drift</td></tr>
+            ${rows}
+        </table>`;
+    }
+
+    dispose() {
+        this.panel.remove();
+    }
+}
+
+// Method and time step selects plus the comparison toggle for the physics HUD. `settings` is
+// { method, timeStep } and is updated in place; onChange() follows every change, onCompare() the button.
+export function createIntegratorControls(settings, { onChange, onCompare }) {
+    const { panel } = createHudSection('Integrator', { id: 'integrator-controls', keys: true });
+
+    const methods = [['analytic', 'Analytic (exact)'], ...Object.entries(INTEGRATORS).map(([name, { label }]) => [name, label])];
+    const method = addHudRow(panel, 'Method:', createHudSelect(methods, settings.method, (value) => {
+        settings.method = value;
+        onChange();
+    }));
+    const steps = [240, 120, 60, 30, 10].map(n => [String(1 / n), `1/${n} s`]);
+    const timeStep = addHudRow(panel, 'Time step:', createHudSelect(steps, String(settings.timeStep), (value) => {
+        settings.timeStep = parseFloat(value);
+        onChange();
+    }));
+
+    const button = createHudButton('Compare methods', onCompare, { wide: true });
+    button.style.marginTop = '6px';
+    panel.appendChild(button);
+
+    return { panel, method, timeStep, button };
+}
@@ -0,0 +1,142 @@
+// Canvas graphs of the thrown ball's motion: height vs. time, vertical velocity vs. time and the
+// x-y path. Measured curves come from the throw log samples (vy by finite differences); the dashed
+// curve is the vacuum theory y = h₀ + v₀ᵧt − ½gt², vᵧ = v₀ᵧ − gt for the current throw, down to the
+// height where it lands (not necessarily the launch height). The last few throws stay on the graphs,
+// faded, for comparison.
+
+import { drawLinePlot, createPlotCanvas } from '../utils/plot.js';
+
+const PLOTS = [
+    { title: 'Height y (m) vs time t (s)', x: point => point.t, y: point => point.height },
+    { title: 'Vertical velocity vy (m/s) vs time t (s)', x: point => point.t, y: point => point.vy },
+    { title: 'Path: height y (m) vs distance x (m)', x: point => point.distance, y: point => point.height }
+];
+
+const CURRENT_COLOR = '#00ffff';
+const THEORY_COLOR = '#ffeb3b';
+const HISTORY_COLORS = ['#ff9800', '#e91e63', '#9c27b0', '#8bc34a'];
+
+// Theoretical points for a throw (or an aimed, not yet thrown, one):
+// { gravity, initialVelocity, angle (deg), launchHeight, landingHeight } (a throw log record keeps
+// the landing height in predicted.landingHeight; 0 if neither is there)
+function theoryPoints(throwInfo, steps = 80) {
+    const g = throwInfo.gravity;
+    const angle = throwInfo.angle * Math.PI / 180;
+    const v0x = throwInfo.initialVelocity * Math.cos(angle);
+    const v0y = throwInfo.initialVelocity * Math.sin(angle);
+    const h0 = throwInfo.launchHeight;
+    const landingHeight = throwInfo.landingHeight ?? throwInfo.predicted?.landingHeight ?? 0;
+    // Positive root of h₀ + v₀ᵧt − ½gt² = y_L
+    const landingTime = (v0y + Math.sqrt(Math.max(v0y * v0y + 2 * g * (h0 - landingHeight), 0))) / g;
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+        const t = (landingTime * i) / steps;
+        points.push({
+            t,
+            distance: v0x * t,
+            height: h0 + v0y * t - 0.5 * g * t * t,
+            vy: v0y - g * t
+        });
+    }
+    return points;
+}
+
+// Logged samples with vy estimated from neighbouring heights (central differences)
+function measuredPoints(record) {
+    const samples = record.samples;
+    return samples.map((sample, i) => {
+        const a = samples[Math.max(i - 1, 0)];
+        const b = samples[Math.min(i + 1, samples.length - 1)];
+        const dt = b.t - a.t;
+        return {
+            t: sample.t,
+            distance: sample.distance,
+            height: sample.height,
+            vy: dt > 0 ? (b.height - a.height) / dt : 0
+        };
+    });
+}
+
+export default class KinematicsGraphs {
+    constructor(options = {}) {
+        this.maxHistory = options.maxHistory ?? 3; // Earlier throws kept on the graphs
+        this.width = options.width || 320;
+        this.plotHeight = options.plotHeight || 120;
+
+        this.panel = document.createElement('div');
+        this.panel.id = 'kinematics-graphs';
+        this.panel.style.position = 'fixed';
+        this.panel.style.right = '240px';
+        this.panel.style.bottom = '10px';
+        this.panel.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+        this.panel.style.padding = '8px';
+        this.panel.style.borderRadius = '8px';
+        this.panel.style.zIndex = '1000';
+        this.panel.style.display = 'none';
+
+        const { canvas, context } = createPlotCanvas(this.width, this.plotHeight, PLOTS.length);
+        this.canvas = canvas;
+        this.context = context;
+        this.panel.appendChild(this.canvas);
+
+        this.legend = document.createElement('div');
+        this.legend.style.color = 'white';
+        this.legend.style.fontFamily = 'Arial, sans-serif';
+        this.legend.style.fontSize = '11px';
+        this.legend.style.marginTop = '4px';
+        this.panel.appendChild(this.legend);
+
+        ['mousedown', 'touchstart'].forEach(type => {
+            this.panel.addEventListener(type, (event) => event.stopPropagation());
+        });
+    }
+
+    mount(parent = document.body) {
+        parent.appendChild(this.panel);
+        return this;
+    }
+
+    setVisible(visible) {
+        this.panel.style.display = visible ? 'block' : 'none';
+    }
+
+    isVisible() {
+        return this.panel.style.display !== 'none';
+    }
+
+    // `current` is the throw to highlight (a throw log record, or just the aimed throw's parameters
+    // with no samples yet); `history` holds earlier throw log records, oldest first.
+    draw(current, history = []) {
+        const previous = history.slice(-this.maxHistory);
+        const series = previous.map((record, i) => ({
+            points: measuredPoints(record),
+            color: HISTORY_COLORS[(previous.length - 1 - i) % HISTORY_COLORS.length],
+            alpha: 0.45,
+            label: `#${record.id} ${record.planet}`
+        }));
+        if (current) {
+            series.push({ points: theoryPoints(current), color: THEORY_COLOR, alpha: 1, dashed: true, label: 'theory (no air)' });
+            if (current.samples && current.samples.length > 1) {
+                series.push({ points: measuredPoints(current), color: CURRENT_COLOR, alpha: 1, label: `#${current.id} ${current.planet}` });
+            }
+        }
+
+        this.context.clearRect(0, 0, this.width, this.plotHeight * PLOTS.length);
+        PLOTS.forEach((plot, i) => {
+            drawLinePlot(this.context, { x: 0, y: i * this.plotHeight, width: this.width, height: this.plotHeight }, {
+                title: plot.title,
+                series,
+                getX: plot.x,
+                getY: plot.y
+            });
+        });
+
+        this.legend.innerHTML = series.map(item =>
+            `<span style="color: ${item.color}; opacity: ${item.alpha}; margin-right: 8px;">${item.dashed ? '- -' : '—'} ${item.label}</span>`
+        ).join('');
+    }
+
+    dispose() {
+        this.panel.remove();
+    }
+}
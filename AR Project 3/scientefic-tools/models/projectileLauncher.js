@@ -0,0 +1,205 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.145.0/build/three.module.js';
+import * as CANNON from 'https://cdn.jsdelivr.net/npm/cannon-es@0.20.0/dist/cannon-es.js';
+import { sampleFlight } from '../utils/aerodynamics.js';
+import { createHudSection, createHudButton, createHudButtonRow } from '../utils/hud.js';
+
+// Fires any number of projectiles at once, each with its own mesh, physics body, trail and landing
+// marker. A projectile follows its precomputed flight (vacuum, drag or a chosen integrator, the same
+// as the thrown ball) and is handed to the physics world when it lands, so it bounces and rolls
+// before PhysicsHandler retires it. Trails and markers stay until clear(), so a 0-90° sweep leaves
+// every path on the ground next to the range envelope.
+export default class ProjectileLauncher {
+    constructor(scene, physicsHandler, options = {}) {
+        this.scene = scene;
+        this.physicsHandler = physicsHandler;
+        this.radius = options.radius ?? 0.3;
+        this.maxProjectiles = options.maxProjectiles ?? 40; // Oldest trails go beyond this
+        this.settleTime = options.settleTime ?? 6;          // Seconds a landed projectile keeps rolling
+
+        this.time = 0;           // Seconds since the launcher was created
+        this.projectiles = [];   // { mesh, body, flight, trail, marker, color, launchedAt, landed }
+        this.queue = [];         // Shots waiting to be fired: { at, shot }
+        this.envelope = null;
+
+        this.group = new THREE.Group();
+        this.group.name = 'projectile-launcher';
+        this.scene.add(this.group);
+        this.geometry = new THREE.SphereGeometry(this.radius, 16, 16);
+    }
+
+    // Evenly spread hues for a sweep: 0° red through 90° violet
+    static angleColor(angleDegrees) {
+        return new THREE.Color().setHSL((angleDegrees / 90) * 0.8, 0.9, 0.55);
+    }
+
+    // Launches one projectile along `flight` (from simulateFlight). shot: { flight, color }
+    fire(shot) {
+        const color = new THREE.Color(shot.color ?? 0xffffff);
+        const start = shot.flight.samples[0].position;
+
+        const mesh = new THREE.Mesh(this.geometry, new THREE.MeshStandardMaterial({ color, metalness: 0.3, roughness: 0.5 }));
+        mesh.castShadow = true;
+        mesh.position.copy(start);
+        this.group.add(mesh);
+
+        const body = new CANNON.Body({
+            mass: 0.5,
+            material: this.physicsHandler.materials.ball,
+            position: new CANNON.Vec3(start.x, start.y, start.z),
+            linearDamping: 0.3,
+            angularDamping: 0.3
+        });
+        body.addShape(new CANNON.Sphere(this.radius));
+        // Placed along the flight by update() until it lands
+        body.type = CANNON.Body.KINEMATIC;
+        const projectile = {
+            mesh,
+            body,
+            flight: shot.flight,
+            color,
+            launchedAt: this.time,
+            landed: false
+        };
+        this.physicsHandler.addProjectile(body, mesh, {
+            lifetime: shot.flight.flightTime + this.settleTime,
+            interpolate: false,
+            onRemove: () => { projectile.body = null; }
+        });
+
+        // The whole path is uploaded now and revealed as the projectile gets there
+        const points = shot.flight.samples.map(sample => sample.position);
+        projectile.trail = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.8 })
+        );
+        projectile.trail.frustumCulled = false;
+        projectile.trail.geometry.setDrawRange(0, 1);
+        this.group.add(projectile.trail);
+
+        projectile.marker = new THREE.Mesh(
+            new THREE.RingGeometry(0.3, 0.4, 24),
+            new THREE.MeshBasicMaterial({ color, side: THREE.DoubleSide })
+        );
+        projectile.marker.rotation.x = -Math.PI / 2;
+        projectile.marker.visible = false;
+        this.group.add(projectile.marker);
+
+        this.projectiles.push(projectile);
+        while (this.projectiles.length > this.maxProjectiles) {
+            this.removeProjectile(this.projectiles[0]);
+        }
+        return projectile;
+    }
+
+    // Fires the shots one after another, `interval` seconds apart
+    queueShots(shots, interval = 0.15) {
+        const start = Math.max(this.time, ...this.queue.map(item => item.at));
+        shots.forEach((shot, i) => this.queue.push({ at: start + i * interval, shot }));
+    }
+
+    isBusy() {
+        return this.queue.length > 0 || this.projectiles.some(projectile => !projectile.landed);
+    }
+
+    // Advances every projectile by deltaTime seconds
+    update(deltaTime) {
+        this.time += deltaTime;
+        while (this.queue.length > 0 && this.queue[0].at <= this.time) {
+            this.fire(this.queue.shift().shot);
+        }
+
+        this.projectiles.forEach(projectile => {
+            if (projectile.landed) return;
+            const t = this.time - projectile.launchedAt;
+            const { flight, mesh, body, trail } = projectile;
+            sampleFlight(flight, t, mesh.position);
+            if (body) body.position.copy(mesh.position);
+
+            const step = flight.samples.length > 2 ? flight.samples[1].t : flight.flightTime;
+            trail.geometry.setDrawRange(0, Math.min(Math.floor(t / step) + 2, flight.samples.length));
+
+            if (t >= flight.flightTime) {
+                projectile.landed = true;
+                projectile.marker.position.set(flight.landing.x, flight.landing.y + 0.02, flight.landing.z);
+                projectile.marker.visible = true;
+                if (body) {
+                    // Let the physics world take over with the landing velocity
+                    const landing = flight.samples[flight.samples.length - 1];
+                    body.type = CANNON.Body.DYNAMIC;
+                    body.position.y = Math.max(body.position.y, flight.landing.y + this.radius);
+                    body.velocity.set(landing.velocity.x, landing.velocity.y, landing.velocity.z);
+                    body.wakeUp();
+                }
+            }
+        });
+    }
+
+    // Thick line for the vacuum range envelope (every path stays under it)
+    setEnvelope(points) {
+        this.removeEnvelope();
+        if (points.length < 2) return;
+        this.envelope = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineDashedMaterial({ color: 0xffeb3b, dashSize: 0.6, gapSize: 0.3 })
+        );
+        this.envelope.computeLineDistances();
+        this.envelope.frustumCulled = false;
+        this.group.add(this.envelope);
+    }
+
+    removeEnvelope() {
+        if (!this.envelope) return;
+        this.envelope.geometry.dispose();
+        this.envelope.material.dispose();
+        this.group.remove(this.envelope);
+        this.envelope = null;
+    }
+
+    removeProjectile(projectile) {
+        if (projectile.body) {
+            this.physicsHandler.removeProjectile(projectile.body);
+        }
+        projectile.mesh.material.dispose();
+        this.group.remove(projectile.mesh);
+        [projectile.trail, projectile.marker].forEach(object => {
+            object.geometry.dispose();
+            object.material.dispose();
+            this.group.remove(object);
+        });
+        this.projectiles = this.projectiles.filter(item => item !== projectile);
+    }
+
+    clear() {
+        this.queue = [];
+        this.projectiles.slice().forEach(projectile => this.removeProjectile(projectile));
+        this.removeEnvelope();
+    }
+
+    dispose() {
+        this.clear();
+        this.geometry.dispose();
+        this.scene.remove(this.group);
+    }
+}
+
+// Launcher section for the physics HUD: mode toggle, fire, angle sweep, clear, and a box for the
+// sweep results. Clear also empties that box.
+export function createLauncherControls({ onToggle, onFire, onSweep, onClear }) {
+    const { panel } = createHudSection('Launcher', { id: 'launcher-controls' });
+
+    const summary = document.createElement('div');
+    const toggle = createHudButton('Launcher mode', onToggle);
+    const fire = createHudButton('Fire', onFire);
+    const sweep = createHudButton('Sweep 0-90°', onSweep);
+    const clear = createHudButton('Clear', () => {
+        onClear();
+        summary.innerHTML = '';
+    });
+    panel.appendChild(createHudButtonRow([toggle, fire, sweep, clear]));
+
+    summary.style.marginTop = '6px';
+    summary.style.fontSize = '12px';
+    panel.appendChild(summary);
+
+    return { panel, toggle, fire, sweep, clear, summary };
+}
@@ -1,15 +1,25 @@
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.145.0/build/three.module.js';
 import * as TWEEN from 'https://cdn.jsdelivr.net/npm/@tweenjs/tween.js@18.6.4/dist/tween.esm.js';
 import { PlanetEnvironment } from '../planetEnvironment.js';
+import { orbitalPosition, createOrbitPoints } from '../utils/kepler.js';
+import { SimulationClock } from '../simulationClock.js';
+import AsteroidBelt from './asteroidBelt.js';
+import BodyCatalog from './bodyCatalog.js';
+import LoaderHelper from '../utils/loaderHelper.js';
+import { createAtmosphereMaterial } from '../shaders/atmosphere.js';
+import { applyNightLights } from '../shaders/nightLights.js';
 
 export default class SolarSystem {
-    constructor(scene, camera, renderer) {
+    constructor(scene, camera, renderer, bodyCatalog = null) {
         console.log('Initializing SolarSystem...');
         this.scene = scene;
         this.camera = camera;
         this.renderer = renderer.renderer || renderer; // Handle both Renderer class and raw THREE.WebGLRenderer
         this.planets = new Map();
+        this.moons = new Map();
         this.orbits = new Map();
+        this.belts = [];
+        this.sunWorldPosition = new THREE.Vector3(); // Shared by the atmosphere and night-light shaders
         this.controls = null;
         this.originalCameraPosition = new THREE.Vector3(0, 30, 50);
         this.planetEnvironment = null;
@@ -18,13 +28,24 @@ export default class SolarSystem {
         this.mouse = new THREE.Vector2();
         this.lastClickTime = 0;
         this.selectedPlanet = null;
-        this.planetOrder = ['mercury', 'venus', 'earth', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune'];
+        this.catalog = bodyCatalog || new BodyCatalog(); // Planet and moon definitions (data/bodies.json)
+        this.planetOrder = this.catalog.getPlanets().map(body => body.name);
         this.currentlyHighlightedOrderedPlanet = null;
         this.lastTapTime = 0;
+        this.cameraRig = null; // Set while in VR so camera tweens move the headset's dolly instead
+        this.clock = new SimulationClock(); // Owns simulated time; planet positions are computed from it
+        this.timeControls = null;
+        // Shared loader: reports progress on #loading and caches textures across exitPlanet rebuilds
+        this.loader = LoaderHelper.shared.setRenderer(this.renderer).attachOverlay();
 
 
         // Initialize immediately
         this.init();
+        this.createTimeControls();
+
+        if (this.catalog.errors.length > 0) {
+            this.showCatalogErrors(this.catalog.errors);
+        }
     }
     showStatusMessage(message, isError = false) {
         // Create a container for the status message
@@ -54,6 +75,52 @@ export default class SolarSystem {
     }
     
 
+    // Lists body catalog validation problems; the bodies they refer to are left out of the scene
+    showCatalogErrors(errors) {
+        const panel = document.createElement('div');
+        panel.id = 'catalog-errors';
+        panel.style.position = 'fixed';
+        panel.style.top = '70px';
+        panel.style.left = '50%';
+        panel.style.transform = 'translateX(-50%)';
+        panel.style.maxWidth = '600px';
+        panel.style.maxHeight = '50vh';
+        panel.style.overflowY = 'auto';
+        panel.style.padding = '10px 20px';
+        panel.style.background = 'rgba(120, 0, 0, 0.85)';
+        panel.style.color = 'white';
+        panel.style.borderRadius = '5px';
+        panel.style.fontFamily = 'Arial, sans-serif';
+        panel.style.fontSize = '13px';
+        panel.style.zIndex = '1001';
+
+        const title = document.createElement('div');
+        title.style.fontWeight = 'bold';
+        title.style.marginBottom = '5px';
+        title.textContent = `Body catalog: ${errors.length} problem(s), affected bodies were skipped`;
+        panel.appendChild(title);
+
+        const list = document.createElement('ul');
+        list.style.margin = '0';
+        list.style.paddingLeft = '20px';
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = error;
+            list.appendChild(item);
+        });
+        panel.appendChild(list);
+
+        const closeButton = document.createElement('button');
+        closeButton.textContent = 'Dismiss';
+        closeButton.style.marginTop = '8px';
+        closeButton.addEventListener('click', () => panel.remove());
+        panel.appendChild(closeButton);
+
+        panel.addEventListener('mousedown', (event) => event.stopPropagation());
+        panel.addEventListener('touchstart', (event) => event.stopPropagation());
+        document.body.appendChild(panel);
+    }
+
     init() {
         try {
             console.log('Creating star field...');
@@ -64,13 +131,19 @@ export default class SolarSystem {
             
             console.log('Creating planets...');
             this.createPlanets();
+
+            console.log('Creating moons...');
+            this.createMoons();
+
+            console.log('Creating asteroid and Kuiper belts...');
+            this.createBelts();
             
             console.log('Setting up lighting...');
             this.setupLighting();
 
-            // Hide loading message
+            // Hide loading message (the loader hides it itself once pending textures finish)
             const loadingElement = document.getElementById('loading');
-            if (loadingElement) {
+            if (loadingElement && !this.loader.isLoading()) {
                 loadingElement.style.display = 'none';
             }
         } catch (error) {
@@ -133,18 +206,12 @@ export default class SolarSystem {
     }
 
     createPlanets() {
-        const planetData = {
-            mercury: { radius: 1, distance: 10, color: 0x8C8C8C, speed: 0.0009, atmosphere: true },
-            venus: { radius: 1.5, distance: 15, color: 0xE6B800, speed: 0.001, atmosphere: true },
-            earth: { radius: 2, distance: 20, color: 0x2E5CB8, speed: 0.002, atmosphere: true },
-            mars: { radius: 2, distance: 25, color: 0xCC4D29, speed: 0.001, atmosphere: true },
-            jupiter: { radius: 4, distance: 35, color: 0xD8CA9D, speed: 0.002, atmosphere: true },
-            saturn: { radius: 3.5, distance: 45, color: 0xF4D03F, speed: 0.001, atmosphere: true },
-            uranus: { radius: 2.5, distance: 55, color: 0x73C6B6, speed: 0.0008, atmosphere: true },
-            neptune: { radius: 2.4, distance: 65, color: 0x2E86C1, speed: 0.0006, atmosphere: true }
-        };
-
-        Object.entries(planetData).forEach(([name, data]) => {
+        // Planets come from the body catalog (data/bodies.json). `visual.distance` is the displayed
+        // semi-major axis in scene units; each orbit keeps its real shape and tilt but is scaled so
+        // the outer planets still fit in view.
+        this.catalog.getPlanets().forEach((body) => {
+            const name = body.name;
+            const data = { ...body.visual, orbit: body.orbit };
             console.log(`Creating planet: ${name}`);
             // Create planet
             const planetGeometry = new THREE.SphereGeometry(data.radius, 32, 32);
@@ -154,8 +221,20 @@ export default class SolarSystem {
                 emissive: new THREE.Color(data.color).multiplyScalar(0.1)
             });
             
+            // Each map is optional; anything missing keeps the flat colour / plain shading
+            this.loader.applyTexture(planetMaterial, data.texture);
+            this.loader.applyTexture(planetMaterial, data.normalMap, 'normalMap', { sRGB: false });
+            this.loader.applyTexture(planetMaterial, data.specularMap, 'specularMap', { sRGB: false });
+            if (data.nightTexture) {
+                const nightUniforms = applyNightLights(planetMaterial, { sunPosition: this.sunWorldPosition });
+                this.loader.loadTexture(data.nightTexture).then(texture => {
+                    if (texture) nightUniforms.nightMap.value = texture;
+                });
+            }
+            
             const planet = new THREE.Mesh(planetGeometry, planetMaterial);
-            planet.position.x = data.distance;
+            const displayScale = data.distance / data.orbit.semiMajorAxis;
+            orbitalPosition(data.orbit, this.clock.julianDate, planet.position).multiplyScalar(displayScale);
             planet.name = name;
             planet.isPlanet = true;
             
@@ -167,45 +246,273 @@ export default class SolarSystem {
                 originalScale: planet.scale.clone()
             };
             
-            // Add atmosphere if needed
+            // Fresnel atmosphere glow; `atmosphere` is either true (tinted with the planet colour) or { color, intensity, power }
+            let atmosphere = null;
             if (data.atmosphere) {
-                const atmosphereGeometry = new THREE.SphereGeometry(data.radius * 1.2, 32, 32);
-                const atmosphereMaterial = new THREE.MeshBasicMaterial({
-                    color: data.color,
-                    transparent: true,
-                    opacity: 0.2,
-                    side: THREE.BackSide
+                const settings = typeof data.atmosphere === 'object' ? data.atmosphere : {};
+                const atmosphereGeometry = new THREE.SphereGeometry(data.radius * 1.1, 48, 48);
+                const atmosphereMaterial = createAtmosphereMaterial({
+                    color: settings.color ?? data.color,
+                    intensity: settings.intensity,
+                    power: settings.power,
+                    sunPosition: this.sunWorldPosition
                 });
-                const atmosphere = new THREE.Mesh(atmosphereGeometry, atmosphereMaterial);
+                atmosphere = new THREE.Mesh(atmosphereGeometry, atmosphereMaterial);
+                atmosphere.name = `${name}-atmosphere`;
                 planet.add(atmosphere);
             }
 
-            // Create orbit
-            const orbitGeometry = new THREE.RingGeometry(data.distance - 0.1, data.distance + 0.1, 128);
-            const orbitMaterial = new THREE.MeshBasicMaterial({
+            if (data.clouds) {
+                this.createCloudLayer(name, planet, data);
+            }
+
+            // Create the elliptical, inclined orbit line
+            const orbitGeometry = new THREE.BufferGeometry().setFromPoints(
+                createOrbitPoints(data.orbit, 256, displayScale)
+            );
+            const orbitMaterial = new THREE.LineBasicMaterial({
                 color: 0x666666,
                 transparent: true,
-                opacity: 0.3,
-                side: THREE.DoubleSide
+                opacity: 0.3
             });
-            const orbit = new THREE.Mesh(orbitGeometry, orbitMaterial);
-            orbit.rotation.x = Math.PI / 2;
+            const orbit = new THREE.LineLoop(orbitGeometry, orbitMaterial);
             
             this.scene.add(orbit);
             this.scene.add(planet);
             
             this.planets.set(name, {
                 mesh: planet,
-                speed: data.speed,
+                orbit: data.orbit,
+                displayScale: displayScale,
                 distance: data.distance,
-                angle: Math.random() * Math.PI * 2
+                rotationSpeed: data.rotationSpeed || 0,
+                atmosphere
             });
             this.orbits.set(name, orbit);
+
+            if (data.rings) {
+                this.addPlanetFeature(planet, 'rings', { ...data.rings, planetRadius: data.radius });
+            }
         });
 
         this.setupPlanetInteraction();
     }
 
+    // Transparent cloud shell that turns independently of the surface. Only added once its texture
+    // has loaded, so a missing texture means no clouds rather than a blank white shell.
+    createCloudLayer(name, planet, data) {
+        const clouds = data.clouds;
+        this.loader.loadTexture(clouds.texture).then(texture => {
+            const entry = this.planets.get(name);
+            // The solar system may have been rebuilt while the texture was loading
+            if (!texture || !entry || entry.mesh !== planet) return;
+
+            const cloudGeometry = new THREE.SphereGeometry(data.radius * 1.02, 48, 48);
+            const cloudMaterial = new THREE.MeshPhongMaterial({
+                map: texture,
+                alphaMap: texture, // Greyscale cloud maps double as their own opacity
+                transparent: true,
+                opacity: clouds.opacity ?? 0.8,
+                depthWrite: false
+            });
+            const cloudLayer = new THREE.Mesh(cloudGeometry, cloudMaterial);
+            cloudLayer.name = `${name}-clouds`;
+            planet.add(cloudLayer);
+
+            entry.clouds = cloudLayer;
+            entry.cloudRotationSpeed = clouds.rotationSpeed ?? 0.0005;
+        });
+    }
+
+    addPlanetFeature(planet, featureType, options = {}) {
+        switch (featureType) {
+            case 'rings':
+                return this.createRings(planet, options);
+            case 'moons':
+                // Moons are catalog bodies with type "moon"; see createMoons()
+                console.warn('Add moons to data/bodies.json with "type": "moon" and a "parent"');
+                return null;
+            default:
+                console.warn(`Unknown planet feature: ${featureType}`);
+                return null;
+        }
+    }
+
+    // Group attached to a planet that holds its rings and moons. update() counter-rotates it so
+    // the planet's spin doesn't drag them around.
+    getSatelliteGroup(planetName) {
+        const planet = this.planets.get(planetName);
+        if (!planet) return null;
+        if (!planet.satellites) {
+            planet.satellites = new THREE.Group();
+            planet.satellites.name = `${planetName}-satellites`;
+            planet.mesh.add(planet.satellites);
+        }
+        return planet.satellites;
+    }
+
+    createRings(planet, options) {
+        const planetRadius = options.planetRadius || planet.geometry?.parameters?.radius || 1;
+        const innerRadius = planetRadius * (options.innerRadius ?? 1.3);
+        const outerRadius = planetRadius * (options.outerRadius ?? 2.2);
+        const bands = options.bands || [[0, 1, 0.6]];
+
+        // Radial opacity profile as a 1-pixel-high texture; the ring UVs are remapped so u runs inner -> outer edge
+        const width = 256;
+        const data = new Uint8Array(width * 4);
+        for (let i = 0; i < width; i++) {
+            const t = (i + 0.5) / width;
+            let opacity = 0;
+            bands.forEach(([start, end, bandOpacity]) => {
+                if (t >= start && t <= end) opacity = Math.max(opacity, bandOpacity);
+            });
+            // Slight ringlet variation so wide bands don't look flat
+            opacity *= 0.85 + 0.15 * Math.sin(t * 180);
+            const value = Math.round(THREE.MathUtils.clamp(opacity, 0, 1) * 255);
+            data.set([value, value, value, 255], i * 4);
+        }
+        const alphaMap = new THREE.DataTexture(data, width, 1, THREE.RGBAFormat);
+        alphaMap.magFilter = THREE.LinearFilter;
+        alphaMap.minFilter = THREE.LinearFilter;
+        alphaMap.needsUpdate = true;
+
+        const ringGeometry = new THREE.RingGeometry(innerRadius, outerRadius, 128, 1);
+        const positions = ringGeometry.attributes.position;
+        const uvs = ringGeometry.attributes.uv;
+        const vertex = new THREE.Vector3();
+        for (let i = 0; i < positions.count; i++) {
+            vertex.fromBufferAttribute(positions, i);
+            uvs.setXY(i, (vertex.length() - innerRadius) / (outerRadius - innerRadius), 0.5);
+        }
+
+        const ringMaterial = new THREE.MeshPhongMaterial({
+            color: options.color ?? 0xcccccc,
+            alphaMap: alphaMap,
+            transparent: true,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        const rings = new THREE.Mesh(ringGeometry, ringMaterial);
+        rings.name = `${planet.name}-rings`;
+        // Lay the ring in the equatorial plane, then tip it over by the planet's axial tilt
+        rings.rotation.set(-Math.PI / 2 + THREE.MathUtils.degToRad(options.axialTilt || 0), 0, 0);
+
+        const satellites = this.getSatelliteGroup(planet.name);
+        satellites.add(rings);
+        this.planets.get(planet.name).rings = rings;
+        return rings;
+    }
+
+    // Piecewise-linear map from AU to scene units through the planets' (semi-major axis, displayed distance)
+    // pairs, so belts sit between the same planets they do in reality
+    auToScene(au) {
+        const points = [[0, 0]];
+        this.planets.forEach(planet => points.push([planet.orbit.semiMajorAxis, planet.distance]));
+        points.sort((a, b) => a[0] - b[0]);
+
+        for (let i = 1; i < points.length; i++) {
+            if (au <= points[i][0] || i === points.length - 1) {
+                // Beyond the last planet, keep extrapolating along the outermost segment
+                const [a0, d0] = points[i - 1];
+                const [a1, d1] = points[i];
+                return d0 + (au - a0) * (d1 - d0) / (a1 - a0);
+            }
+        }
+        return au;
+    }
+
+    createBelts() {
+        const toScene = (au) => this.auToScene(au);
+
+        const asteroidBelt = new AsteroidBelt({
+            name: 'asteroidBelt',
+            count: 2500,
+            innerAU: 2.1,
+            outerAU: 3.3,
+            maxEccentricity: 0.2,
+            maxInclination: 12,
+            size: 0.1,
+            color: 0x8a7f70,
+            toScene
+        });
+        const kuiperBelt = new AsteroidBelt({
+            name: 'kuiperBelt',
+            count: 2000,
+            innerAU: 30,
+            outerAU: 50,
+            maxEccentricity: 0.1,
+            maxInclination: 15,
+            size: 0.15,
+            color: 0x9fb3c8,
+            toScene
+        });
+
+        this.belts = [asteroidBelt, kuiperBelt];
+        this.belts.forEach(belt => {
+            belt.update(this.clock.julianDate);
+            this.scene.add(belt.mesh);
+        });
+    }
+
+    createMoons() {
+        // Moons orbit inside the satellite group attached to their parent planet mesh. `visual.distance` is
+        // the displayed semi-major axis measured from the planet centre; moon semi-major axes are in km.
+        this.catalog.getMoons().forEach((body) => {
+            const name = body.name;
+            const data = { ...body.visual, parent: body.parent, orbit: body.orbit };
+            const parent = this.planets.get(data.parent);
+            if (!parent) {
+                console.warn(`Skipping moon ${name}: parent planet ${data.parent} not found`);
+                return;
+            }
+
+            const satellites = this.getSatelliteGroup(data.parent);
+
+            const moonGeometry = new THREE.SphereGeometry(data.radius, 24, 24);
+            const moonMaterial = new THREE.MeshPhongMaterial({
+                color: data.color,
+                shininess: 10,
+                emissive: new THREE.Color(data.color).multiplyScalar(0.1)
+            });
+            this.loader.applyTexture(moonMaterial, data.texture);
+            const moon = new THREE.Mesh(moonGeometry, moonMaterial);
+            const displayScale = data.distance / data.orbit.semiMajorAxis;
+            orbitalPosition(data.orbit, this.clock.julianDate, moon.position).multiplyScalar(displayScale);
+            moon.name = name;
+            moon.isPlanet = true; // Selectable and enterable exactly like a planet
+            moon.userData = {
+                isPlanet: true,
+                isMoon: true,
+                parentPlanet: data.parent,
+                interactive: true,
+                interactionRadius: data.radius * 3,
+                originalScale: moon.scale.clone()
+            };
+
+            const orbitGeometry = new THREE.BufferGeometry().setFromPoints(
+                createOrbitPoints(data.orbit, 128, displayScale)
+            );
+            const orbitMaterial = new THREE.LineBasicMaterial({
+                color: 0x666666,
+                transparent: true,
+                opacity: 0.25
+            });
+            const orbit = new THREE.LineLoop(orbitGeometry, orbitMaterial);
+
+            satellites.add(orbit);
+            satellites.add(moon);
+
+            this.moons.set(name, {
+                mesh: moon,
+                parent: data.parent,
+                orbitLine: orbit,
+                orbit: data.orbit,
+                displayScale: displayScale,
+                distance: data.distance
+            });
+        });
+    }
+
     setupLighting() {
         // Add point light at sun's position
         const sunLight = new THREE.PointLight(0xffffff, 2, 100);
@@ -304,7 +611,7 @@ export default class SolarSystem {
             loadingElement.style.color = 'white';
             loadingElement.style.borderRadius = '5px';
             loadingElement.style.zIndex = '1000';
-            loadingElement.textContent = `Entering ${planet.name.charAt(0).toUpperCase() + planet.name.slice(1)}...`;
+            loadingElement.textContent = `Entering ${this.catalog.getDisplayName(planet.name)}...`;
             document.body.appendChild(loadingElement);
 
             // Stop planet animations
@@ -318,7 +625,7 @@ export default class SolarSystem {
             setTimeout(() => {
                 // Hide solar system objects
                 this.scene.children.forEach(child => {
-                    if (child.isMesh || child.isGroup) {
+                    if (child.isMesh || child.isGroup || child.isLine) {
                         child.visible = false;
                     }
                 });
@@ -331,7 +638,7 @@ export default class SolarSystem {
 
                 // Setup planet environment
                 console.log('Setting up planet environment');
-                this.planetEnvironment.setup(planet.name).then(() => {
+                this.planetEnvironment.setup(planet.name, this.catalog.getBody(planet.name), this.catalog).then(() => {
                     console.log('Planet environment setup complete');
                     
                     // Remove loading indicator
@@ -351,7 +658,7 @@ export default class SolarSystem {
                     
                     // Make solar system objects visible again on error
                     this.scene.children.forEach(child => {
-                        if (child.isMesh || child.isGroup) {
+                        if (child.isMesh || child.isGroup || child.isLine) {
                             child.visible = true;
                         }
                     });
@@ -413,13 +720,27 @@ export default class SolarSystem {
     }
 
     update() {
-        // Update planets
+        // Advance simulated time and place planets on their Keplerian orbits
+        const julianDate = this.clock.update();
+        if (this.sun) {
+            // World position, so lighting in the shaders stays right when AR re-parents the system
+            this.sun.getWorldPosition(this.sunWorldPosition);
+        }
         for (const [name, planet] of this.planets) {
-            planet.angle += planet.speed;
-            planet.mesh.position.x = Math.cos(planet.angle) * planet.distance;
-            planet.mesh.position.z = Math.sin(planet.angle) * planet.distance;
-            planet.mesh.rotation.y += planet.speed * 2;
+            orbitalPosition(planet.orbit, julianDate, planet.mesh.position).multiplyScalar(planet.displayScale);
+            planet.mesh.rotation.y += planet.rotationSpeed;
+            if (planet.satellites) {
+                planet.satellites.rotation.y = -planet.mesh.rotation.y;
+            }
+            if (planet.clouds) {
+                // Relative to the surface, so clouds drift over the ground
+                planet.clouds.rotation.y += planet.cloudRotationSpeed;
+            }
         }
+        for (const [name, moon] of this.moons) {
+            orbitalPosition(moon.orbit, julianDate, moon.mesh.position).multiplyScalar(moon.displayScale);
+        }
+        this.belts.forEach(belt => belt.update(julianDate));
 
         // Update planet environment if active
         if (this.planetEnvironment && this.planetEnvironment.isInUpdateLoop) {
@@ -430,6 +751,103 @@ export default class SolarSystem {
         if (this.starField) {
             this.starField.rotation.y += 0.0001;
         }
+
+        this.updateTimeControls();
+    }
+
+    // HUD panel for the simulation clock: current date, time-scale, pause/reverse and jump to date
+    createTimeControls() {
+        const panel = document.createElement('div');
+        panel.id = 'time-controls';
+        panel.style.position = 'fixed';
+        panel.style.top = '60px';
+        panel.style.left = '10px';
+        panel.style.padding = '10px 15px';
+        panel.style.background = 'rgba(0, 0, 0, 0.7)';
+        panel.style.color = 'white';
+        panel.style.borderRadius = '10px';
+        panel.style.fontFamily = 'Arial, sans-serif';
+        panel.style.fontSize = '14px';
+        panel.style.zIndex = '1000';
+        panel.style.minWidth = '230px';
+        // Keep clicks and taps on the panel from reaching the window-level planet selection handlers
+        panel.addEventListener('mousedown', (event) => event.stopPropagation());
+        panel.addEventListener('touchstart', (event) => event.stopPropagation());
+
+        const dateLabel = document.createElement('div');
+        dateLabel.style.fontSize = '16px';
+        dateLabel.style.fontWeight = 'bold';
+        panel.appendChild(dateLabel);
+
+        const rateLabel = document.createElement('div');
+        rateLabel.style.margin = '4px 0 8px';
+        rateLabel.style.color = '#aaddff';
+        panel.appendChild(rateLabel);
+
+        const createButton = (text, title, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.title = title;
+            button.style.marginRight = '5px';
+            button.style.padding = '4px 8px';
+            button.style.border = '1px solid white';
+            button.style.borderRadius = '4px';
+            button.style.background = 'rgba(255, 255, 255, 0.1)';
+            button.style.color = 'white';
+            button.style.cursor = 'pointer';
+            button.addEventListener('click', onClick);
+            return button;
+        };
+
+        const buttonRow = document.createElement('div');
+        const pauseButton = createButton('Pause', 'Play/pause', () => this.clock.togglePause());
+        buttonRow.appendChild(createButton('Reverse', 'Reverse time', () => this.clock.reverse()));
+        buttonRow.appendChild(pauseButton);
+        buttonRow.appendChild(createButton('-', 'Slower', () => this.clock.slower()));
+        buttonRow.appendChild(createButton('+', 'Faster', () => this.clock.faster()));
+        panel.appendChild(buttonRow);
+
+        const dateRow = document.createElement('div');
+        dateRow.style.marginTop = '8px';
+        const dateInput = document.createElement('input');
+        dateInput.type = 'date';
+        dateInput.style.marginRight = '5px';
+        dateRow.appendChild(dateInput);
+        dateRow.appendChild(createButton('Go', 'Jump to date', () => {
+            if (!dateInput.value || !this.clock.jumpToDate(`${dateInput.value}T00:00:00Z`)) {
+                this.showStatusMessage('Please pick a valid date', true);
+            }
+        }));
+        dateRow.appendChild(createButton('Today', 'Jump to the current date', () => this.clock.jumpToDate(new Date())));
+        panel.appendChild(dateRow);
+
+        document.body.appendChild(panel);
+        this.timeControls = { panel, dateLabel, rateLabel, pauseButton, dateInput, lastText: '' };
+        this.clock.onChange = () => this.updateTimeControls();
+        this.updateTimeControls();
+    }
+
+    updateTimeControls() {
+        if (!this.timeControls) return;
+        const { panel, dateLabel, rateLabel, pauseButton } = this.timeControls;
+
+        // The clock only matters in the solar system view
+        panel.style.display = this.planetEnvironment ? 'none' : 'block';
+
+        const date = this.clock.getDate();
+        const dateText = isNaN(date.getTime())
+            ? `JD ${this.clock.julianDate.toFixed(1)}`
+            : `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+        const rateText = this.clock.getRateLabel();
+
+        // Avoid touching the DOM every frame when nothing visible changed
+        const text = dateText + rateText;
+        if (text === this.timeControls.lastText) return;
+        this.timeControls.lastText = text;
+
+        dateLabel.textContent = dateText;
+        rateLabel.textContent = rateText;
+        pauseButton.textContent = this.clock.isPaused ? 'Play' : 'Pause';
     }
 
     // --- Updated Highlighting Methods in your SolarSystem class ---
@@ -543,7 +961,7 @@ export default class SolarSystem {
                     while (parent && !parent.name) {
                         parent = parent.parent;
                     }
-                    return parent && this.planets.has(parent.name);
+                    return parent && (this.planets.has(parent.name) || this.moons.has(parent.name));
                 });
 
                 if (clickedObject) {
@@ -579,10 +997,32 @@ export default class SolarSystem {
         });
     }
     
-    // Helper to get a planet by name
+    // Helper to get a planet (or moon) by name
     getPlanetByName(name) {
-        if (!this.planets.has(name)) return null;
-        return this.planets.get(name).mesh;
+        const body = this.getBody(name);
+        return body ? body.mesh : null;
+    }
+
+    // Looks a selectable body up in both the planets and moons maps
+    getBody(name) {
+        return this.planets.get(name) || this.moons.get(name) || null;
+    }
+
+    // The object camera tweens should move: the VR dolly while in a headset, otherwise the camera itself
+    getViewerObject() {
+        return this.cameraRig || this.camera;
+    }
+
+    // Root objects that make up the solar system model (used to re-parent it, e.g. for AR placement)
+    getSystemObjects() {
+        const objects = [];
+        if (this.sun) objects.push(this.sun);
+        this.planets.forEach(planet => {
+            if (planet.mesh) objects.push(planet.mesh);
+        });
+        this.orbits.forEach(orbit => objects.push(orbit));
+        this.belts.forEach(belt => objects.push(belt.mesh));
+        return objects;
     }
     exitPlanet() {
         console.log('Exiting planet environment...');
@@ -610,7 +1050,7 @@ export default class SolarSystem {
         if (this.controls) {
           this.controls.enabled = false; // disable controls during animation
         }
-        new TWEEN.Tween(this.camera.position)
+        new TWEEN.Tween(this.getViewerObject().position)
           .to(this.originalCameraPosition, 1000)
           .easing(TWEEN.Easing.Cubic.InOut)
           .onUpdate(() => {
@@ -654,7 +1094,32 @@ export default class SolarSystem {
           if (orbit.material) orbit.material.dispose();
           this.scene.remove(orbit);
         });
+        this.moons.forEach(moon => {
+          moon.mesh.geometry.dispose();
+          moon.mesh.material.dispose();
+          moon.orbitLine.geometry.dispose();
+          moon.orbitLine.material.dispose();
+        });
+        this.planets.forEach(planet => {
+          // Textures are owned by the shared loader cache, so only geometries and materials are disposed here
+          if (planet.clouds) {
+            planet.clouds.geometry.dispose();
+            planet.clouds.material.dispose();
+          }
+          if (planet.atmosphere) {
+            planet.atmosphere.geometry.dispose();
+            planet.atmosphere.material.dispose();
+          }
+          if (planet.rings) {
+            planet.rings.geometry.dispose();
+            planet.rings.material.alphaMap.dispose();
+            planet.rings.material.dispose();
+          }
+        });
+        this.belts.forEach(belt => belt.dispose());
+        this.belts = [];
         this.planets.clear();
+        this.moons.clear();
         this.orbits.clear();
       
         // Option 2: If you maintained a dedicated Group for solar system objects,
@@ -674,21 +1139,18 @@ export default class SolarSystem {
       
 
     zoomToPlanet(planetName) {
-        if (!this.planets.has(planetName)) return;
+        const planet = this.getBody(planetName);
+        if (!planet) return;
         
-        const planet = this.planets.get(planetName);
-        const planetPosition = planet.mesh.position;
-        const targetPosition = new THREE.Vector3(
-            planetPosition.x,
-            planetPosition.y,
-            planetPosition.z
-        );
+        // World position, since moons are nested inside their planet
+        const targetPosition = planet.mesh.getWorldPosition(new THREE.Vector3());
 
         if (this.controls) {
             this.controls.enabled = false;
         }
 
-        const startPosition = this.camera.position.clone();
+        const viewer = this.getViewerObject();
+        const startPosition = viewer.position.clone();
         const distance = startPosition.distanceTo(targetPosition);
         const zoomDistance = distance * 0.3; // Zoom to 30% of the distance
 
@@ -696,7 +1158,7 @@ export default class SolarSystem {
             new THREE.Vector3(zoomDistance, zoomDistance * 0.5, zoomDistance)
         );
 
-        new TWEEN.Tween(this.camera.position)
+        new TWEEN.Tween(viewer.position)
             .to(finalPosition, 1000)
             .easing(TWEEN.Easing.Quadratic.InOut)
             .onUpdate(() => {
@@ -726,7 +1188,7 @@ export default class SolarSystem {
             this.controls.enabled = false;
         }
 
-        new TWEEN.Tween(this.camera.position)
+        new TWEEN.Tween(this.getViewerObject().position)
             .to(this.originalCameraPosition, 1000)
             .easing(TWEEN.Easing.Cubic.InOut)
             .onUpdate(() => {
@@ -762,7 +1224,7 @@ export default class SolarSystem {
     async enterPlanetEnvironment(planetName) {
         let loadingElement = null;
         try {
-            const planet = this.planets.get(planetName);
+            const planet = this.getBody(planetName);
             if (!planet) {
                 throw new Error(`Planet ${planetName} not found`);
             }
@@ -788,10 +1250,11 @@ export default class SolarSystem {
             loadingElement.textContent = 'Loading Planet Environment...';
             document.body.appendChild(loadingElement);
             
-            const targetPosition = planet.mesh.position.clone();
+            const planetPosition = planet.mesh.getWorldPosition(new THREE.Vector3());
+            const targetPosition = planetPosition.clone();
             const radius = planet.mesh.geometry.parameters.radius;
             const distance = radius * 5; 
-            targetPosition.normalize().multiplyScalar(planet.mesh.position.length() - distance);
+            targetPosition.normalize().multiplyScalar(planetPosition.length() - distance);
             
             await new Promise((resolve) => {
                 new TWEEN.Tween(this.camera.position)
@@ -801,13 +1264,13 @@ export default class SolarSystem {
                     .onComplete(resolve);
             });
 
-            this.camera.lookAt(planet.mesh.position);
+            this.camera.lookAt(planetPosition);
             
             if (this.planetEnvironment) {
                 this.planetEnvironment.cleanup();
             }
             this.planetEnvironment = new PlanetEnvironment(this.scene, this.camera, this.renderer);
-            await this.planetEnvironment.setup(planetName);
+            await this.planetEnvironment.setup(planetName, this.catalog.getBody(planetName), this.catalog);
             
             if (loadingElement) {
                 document.body.removeChild(loadingElement);
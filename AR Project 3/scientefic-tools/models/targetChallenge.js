@@ -0,0 +1,303 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.145.0/build/three.module.js';
+import * as CANNON from 'https://cdn.jsdelivr.net/npm/cannon-es@0.20.0/dist/cannon-es.js';
+import { createHudSection, createHudButton, createHudButtonRow } from '../utils/hud.js';
+
+const STORAGE_KEY = 'targetChallenge.highScores';
+
+// Bullseye rings, inside out: radius (m) and colour. The outer one is the edge of the target.
+const RINGS = [
+    { radius: 0.75, color: 0xffeb3b },
+    { radius: 1.75, color: 0xff5722 },
+    { radius: 3, color: 0xffffff }
+];
+const TARGET_RADIUS = RINGS[RINGS.length - 1].radius;
+
+// Launch angles (radians) that carry a projectile from the launch point to a spot `distance` m away
+// horizontally and `rise` m higher (negative: lower), at `speed` m/s in vacuum:
+//   tan θ = (v² ± √(v⁴ − g(g d² + 2 Δ v²))) / (g d)
+// Empty when the target is out of reach; the flatter angle comes first.
+export function anglesToHit(distance, rise, speed, gravity) {
+    const v2 = speed * speed;
+    const discriminant = v2 * v2 - gravity * (gravity * distance * distance + 2 * rise * v2);
+    if (discriminant < 0 || distance <= 0) return [];
+    const root = Math.sqrt(discriminant);
+    return [Math.atan((v2 - root) / (gravity * distance)), Math.atan((v2 + root) / (gravity * distance))];
+}
+
+// Launch speed (m/s) needed at `angle` (radians) for the same target:
+//   v² = g d² / (2 cos²θ (d tan θ − Δ))
+// NaN when the angle is too flat to ever get there.
+export function speedToHit(distance, rise, angle, gravity) {
+    const lift = distance * Math.tan(angle) - rise;
+    if (lift <= 0) return NaN;
+    const cos = Math.cos(angle);
+    return Math.sqrt((gravity * distance * distance) / (2 * cos * cos * lift));
+}
+
+// Target practice on a planet surface: targets appear at random distances (some raised on a
+// platform; on uneven terrain every target gets a plinth so its top is level), the student works out
+// the missing launch angle or speed from the planet's gravity, and the landing point is scored by how
+// close it is to the bullseye. A run is `rounds` targets; the best run total per planet is kept in
+// localStorage.
+export default class TargetChallenge {
+    constructor(scene, physicsHandler, options = {}) {
+        this.scene = scene;
+        this.physicsHandler = physicsHandler;
+        this.planet = options.planet || 'unknown';
+        this.rounds = options.rounds ?? 5;
+        this.minDistance = options.minDistance ?? 8;   // m from the launch point
+        this.maxDistance = options.maxDistance ?? 35;
+        this.maxHeight = options.maxHeight ?? 4;       // Tallest platform, m
+        this.groundHeight = options.groundHeight || (() => 0); // (x, z) -> terrain height, m
+
+        this.target = null;      // { position (centre of the top), height (of the top), group, body }
+        this.question = null;    // { mode: 'angle' | 'speed', speed | angle (deg) }
+        this.results = [];       // Scored throws of the current run
+        this.awaitingScore = false; // A throw at the target is in the air
+        this.targetScored = false;  // The current target has had its throw
+    }
+
+    static loadHighScores() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved && typeof saved === 'object') return saved;
+        } catch (error) {
+            console.warn('Could not read the challenge high scores:', error);
+        }
+        return {};
+    }
+
+    getHighScore() {
+        return TargetChallenge.loadHighScores()[this.planet] || 0;
+    }
+
+    // Stores the run total if it beats the planet's best; returns true for a new high score
+    saveHighScore(total) {
+        const scores = TargetChallenge.loadHighScores();
+        if (total <= (scores[this.planet] || 0)) return false;
+        scores[this.planet] = total;
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(scores));
+        } catch (error) {
+            console.warn('Could not save the challenge high score:', error);
+        }
+        return true;
+    }
+
+    getRound() {
+        return this.results.length + (this.awaitingScore ? 1 : 0);
+    }
+
+    getTotal() {
+        return this.results.reduce((sum, result) => sum + result.points, 0);
+    }
+
+    isRunOver() {
+        return this.results.length >= this.rounds;
+    }
+
+    startRun() {
+        this.results = [];
+        this.awaitingScore = false;
+        this.targetScored = false;
+    }
+
+    // Places a new target in front of `origin` (the launch point), within ±40° of `direction`, and
+    // picks the question. The given speed or angle always leaves the target reachable.
+    spawn(origin, direction, gravity) {
+        this.removeTarget();
+        const bearing = THREE.MathUtils.degToRad((Math.random() * 2 - 1) * 40);
+        const heading = direction.clone().setY(0).normalize().applyAxisAngle(new THREE.Vector3(0, 1, 0), bearing);
+        const distance = THREE.MathUtils.lerp(this.minDistance, this.maxDistance, Math.random());
+        const raise = Math.random() < 0.5 ? 0 : Math.round(THREE.MathUtils.lerp(1, this.maxHeight, Math.random()) * 2) / 2;
+        const position = origin.clone().addScaledVector(heading, distance);
+
+        // The top sits level with the highest ground under the target's edge (plus any raise) and the
+        // platform reaches down to the lowest, so it never floats or sinks into a slope
+        const ground = [0, 1, 2, 3, 4, 5, 6, 7].map(i => {
+            const angle = (i * Math.PI) / 4;
+            return this.groundHeight(position.x + TARGET_RADIUS * Math.cos(angle), position.z + TARGET_RADIUS * Math.sin(angle));
+        });
+        ground.push(this.groundHeight(position.x, position.z));
+        position.y = Math.max(...ground) + raise;
+        this.createTarget(position, Math.min(...ground));
+
+        const rise = position.y - origin.y;
+        if (Math.random() < 0.5) {
+            // Given speed, find the angle: 10-40% above the least speed that reaches the target
+            const minimumSpeed = Math.sqrt(gravity * (rise + Math.hypot(distance, rise)));
+            const speed = Math.ceil(minimumSpeed * THREE.MathUtils.lerp(1.1, 1.4, Math.random()) * 2) / 2;
+            this.question = { mode: 'angle', speed };
+        } else {
+            // Given angle, find the speed
+            this.question = { mode: 'speed', angle: 30 + 5 * Math.floor(Math.random() * 7) };
+        }
+        this.awaitingScore = false;
+        this.targetScored = false;
+        return this.question;
+    }
+
+    // Target whose top is centred on `position`, on a platform down to `base` when that is lower
+    createTarget(position, base = 0) {
+        const group = new THREE.Group();
+        group.name = 'challenge-target';
+        group.position.copy(position);
+
+        RINGS.slice().reverse().forEach((ring, i) => {
+            const disc = new THREE.Mesh(
+                new THREE.CircleGeometry(ring.radius, 48),
+                new THREE.MeshBasicMaterial({ color: ring.color, side: THREE.DoubleSide })
+            );
+            disc.rotation.x = -Math.PI / 2;
+            disc.position.y = 0.02 + i * 0.005; // Stacked so the smaller rings draw on top
+            group.add(disc);
+        });
+
+        let body = null;
+        const platformHeight = position.y - base;
+        if (platformHeight > 0.05) {
+            const platform = new THREE.Mesh(
+                new THREE.CylinderGeometry(TARGET_RADIUS, TARGET_RADIUS, platformHeight, 32),
+                new THREE.MeshStandardMaterial({ color: 0x607d8b, roughness: 0.8 })
+            );
+            platform.position.y = -platformHeight / 2;
+            platform.castShadow = true;
+            platform.receiveShadow = true;
+            group.add(platform);
+
+            body = new CANNON.Body({ mass: 0, material: this.physicsHandler.materials.ground });
+            body.addShape(new CANNON.Cylinder(TARGET_RADIUS, TARGET_RADIUS, platformHeight, 16));
+            body.position.set(position.x, position.y - platformHeight / 2, position.z);
+            this.physicsHandler.addBody(body);
+        }
+
+        this.scene.add(group);
+        this.target = { position: position.clone(), height: position.y, group, body };
+    }
+
+    // Horizontal distance and height difference from the launch point to the bullseye
+    measure(origin) {
+        const target = this.target.position;
+        return {
+            distance: Math.hypot(target.x - origin.x, target.z - origin.z),
+            rise: target.y - origin.y
+        };
+    }
+
+    // The exact answer(s) for the question from `origin`: angles in degrees, or a speed in m/s
+    solve(origin, gravity) {
+        const { distance, rise } = this.measure(origin);
+        if (this.question.mode === 'angle') {
+            return anglesToHit(distance, rise, this.question.speed, gravity).map(angle => THREE.MathUtils.radToDeg(angle));
+        }
+        const speed = speedToHit(distance, rise, THREE.MathUtils.degToRad(this.question.angle), gravity);
+        return Number.isFinite(speed) ? [speed] : [];
+    }
+
+    // Horizontal unit vector from `origin` towards the target
+    getDirection(origin) {
+        const target = this.target.position;
+        return new THREE.Vector3(target.x - origin.x, 0, target.z - origin.z).normalize();
+    }
+
+    // Checks whether the ball passed down through the target's height between two positions.
+    // Returns { point, onTarget } at the crossing, or null. onTarget means it came down on the top.
+    checkCrossing(previous, current) {
+        if (!this.target || !this.awaitingScore) return null;
+        const height = this.target.height;
+        if (!(previous.y >= height && current.y <= height && current.y < previous.y)) return null;
+        const fraction = (previous.y - height) / Math.max(previous.y - current.y, 1e-9);
+        const point = previous.clone().lerp(current, fraction);
+        point.y = height;
+        return { point, onTarget: this.getMiss(point) <= TARGET_RADIUS };
+    }
+
+    // Height of the target's top when (x, z) is over it, otherwise null
+    getTopHeight(x, z) {
+        if (!this.target) return null;
+        const target = this.target.position;
+        return Math.hypot(x - target.x, z - target.z) <= TARGET_RADIUS ? this.target.height : null;
+    }
+
+    getMiss(point) {
+        const target = this.target.position;
+        return Math.hypot(point.x - target.x, point.z - target.z);
+    }
+
+    // Scores the throw where it came down through the target's height (null: it never did).
+    // 100 points at the centre falling to 0 at the edge of the target.
+    score(point, answer) {
+        const miss = point ? this.getMiss(point) : Infinity;
+        const points = Math.round(100 * Math.max(0, 1 - miss / TARGET_RADIUS));
+        const result = { round: this.results.length + 1, miss, points, answer };
+        this.results.push(result);
+        this.awaitingScore = false;
+        this.targetScored = true;
+        return result;
+    }
+
+    removeTarget() {
+        if (!this.target) return;
+        if (this.target.body) {
+            this.physicsHandler.removeBody(this.target.body);
+        }
+        this.target.group.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        this.scene.remove(this.target.group);
+        this.target = null;
+    }
+
+    dispose() {
+        this.removeTarget();
+        this.question = null;
+        this.results = [];
+        this.awaitingScore = false;
+    }
+}
+
+// Challenge section for the physics HUD: start/stop, then (in `game`, hidden until a run starts)
+// the question, the answer box with throw and next buttons, and the result message.
+// onAnswer(value) gets the typed answer, or null while the box is empty.
+export function createChallengeControls({ onToggle, onAnswer, onThrow, onNext }) {
+    const { panel, title } = createHudSection('', { id: 'challenge-controls', keys: true });
+
+    const toggle = createHudButton('Start challenge', onToggle, { wide: true });
+    panel.appendChild(toggle);
+
+    const game = document.createElement('div');
+    game.style.display = 'none';
+    game.style.marginTop = '6px';
+    panel.appendChild(game);
+
+    const question = document.createElement('div');
+    question.style.fontSize = '12px';
+    game.appendChild(question);
+
+    const answer = document.createElement('input');
+    answer.type = 'number';
+    answer.step = 0.1;
+    answer.style.width = '80px';
+    answer.addEventListener('input', () => {
+        const value = parseFloat(answer.value);
+        onAnswer(Number.isFinite(value) ? value : null);
+    });
+    answer.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') onThrow();
+    });
+    const answerRow = createHudButtonRow([
+        answer,
+        createHudButton('Throw (Enter)', onThrow),
+        createHudButton('Next (N)', onNext)
+    ]);
+    answerRow.style.marginTop = '6px';
+    game.appendChild(answerRow);
+
+    const message = document.createElement('div');
+    message.style.marginTop = '6px';
+    message.style.fontSize = '12px';
+    game.appendChild(message);
+
+    return { panel, title, toggle, game, question, answer, message };
+}
@@ -0,0 +1,161 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.145.0/build/three.module.js';
+import { simulateFlight, flightPoints } from '../utils/aerodynamics.js';
+
+const STORAGE_KEY = 'throwComparison.bodies';
+
+// Replays one throw (same speed, angle and launch point) on several catalog bodies at once so the
+// effect of gravity (and air, when drag is on) can be seen side by side. Every body's path starts
+// from the same point on the current ground plane and is colour-coded and labelled where it lands.
+export default class ThrowComparison {
+    constructor(scene, catalog) {
+        this.scene = scene;
+        this.catalog = catalog;
+        this.bodies = [...catalog.getPlanets(), ...catalog.getMoons()];
+        this.selected = ThrowComparison.loadSelection(this.bodies);
+        this.results = [];
+
+        this.group = new THREE.Group();
+        this.group.name = 'throw-comparison';
+        this.scene.add(this.group);
+    }
+
+    // Bodies the teacher picked last time (all of them the first time)
+    static loadSelection(bodies) {
+        const names = bodies.map(body => body.name);
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (Array.isArray(saved)) {
+                return new Set(saved.filter(name => names.includes(name)));
+            }
+        } catch (error) {
+            console.warn('Could not read the saved comparison bodies:', error);
+        }
+        return new Set(names);
+    }
+
+    saveSelection() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify([...this.selected]));
+        } catch (error) {
+            console.warn('Could not save the comparison bodies:', error);
+        }
+    }
+
+    isSelected(name) {
+        return this.selected.has(name);
+    }
+
+    setSelected(name, included) {
+        if (included) {
+            this.selected.add(name);
+        } else {
+            this.selected.delete(name);
+        }
+        this.saveSelection();
+    }
+
+    // Evenly spaced hues so neighbouring rows in the table are easy to tell apart
+    getColor(name) {
+        const index = this.bodies.findIndex(body => body.name === name);
+        return new THREE.Color().setHSL(index / Math.max(this.bodies.length, 1), 0.85, 0.55);
+    }
+
+    // Simulates the throw on every selected body and redraws the paths.
+    // options: { position, velocity, ball, wind } where ball holds the drag settings, or null for vacuum only
+    update(options) {
+        this.results = this.bodies
+            .filter(body => this.selected.has(body.name))
+            .map(body => {
+                const surface = this.catalog.getSurface(body.name);
+                const flight = simulateFlight({
+                    position: options.position,
+                    velocity: options.velocity,
+                    gravity: surface.gravity,
+                    density: options.ball ? surface.atmosphereDensity : 0,
+                    ball: options.ball || undefined,
+                    wind: options.ball ? options.wind : null
+                });
+                return {
+                    name: body.name,
+                    displayName: this.catalog.getDisplayName(body.name),
+                    gravity: surface.gravity,
+                    color: this.getColor(body.name),
+                    flight
+                };
+            });
+        this.draw();
+        return this.results;
+    }
+
+    draw() {
+        this.clear();
+        this.results.forEach((result, index) => {
+            const color = result.color;
+
+            const line = new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints(flightPoints(result.flight)),
+                new THREE.LineBasicMaterial({ color })
+            );
+            line.frustumCulled = false;
+            this.group.add(line);
+
+            const marker = new THREE.Mesh(
+                new THREE.RingGeometry(0.4, 0.55, 32),
+                new THREE.MeshBasicMaterial({ color, side: THREE.DoubleSide })
+            );
+            marker.rotation.x = -Math.PI / 2;
+            marker.position.copy(result.flight.landing);
+            marker.position.y = 0.02;
+            this.group.add(marker);
+
+            const label = this.createLabel(result.displayName, color);
+            label.position.copy(result.flight.landing);
+            // Stagger the labels so bodies with similar gravity don't cover each other
+            label.position.y += 1.2 + (index % 3) * 1.1;
+            this.group.add(label);
+        });
+    }
+
+    // Text sprite that always faces the camera
+    createLabel(text, color) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 256;
+        canvas.height = 64;
+        const context = canvas.getContext('2d');
+        context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.font = 'bold 36px Arial';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillStyle = `#${color.getHexString()}`;
+        context.fillText(text, canvas.width / 2, canvas.height / 2);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.encoding = THREE.sRGBEncoding;
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, depthTest: false }));
+        sprite.scale.set(4, 1, 1);
+        sprite.renderOrder = 1;
+        return sprite;
+    }
+
+    // Box around every drawn path, for framing the camera
+    getBounds() {
+        return new THREE.Box3().setFromObject(this.group);
+    }
+
+    clear() {
+        this.group.children.slice().forEach(child => {
+            // Sprites share one geometry inside three.js, so only their materials are disposed
+            if (!child.isSprite) child.geometry.dispose();
+            child.material.map?.dispose();
+            child.material.dispose();
+            this.group.remove(child);
+        });
+    }
+
+    dispose() {
+        this.clear();
+        this.scene.remove(this.group);
+        this.results = [];
+    }
+}
@@ -0,0 +1,217 @@
+// Session-wide record of every throw in the projectile lab. It outlives PlanetEnvironment (which is
+// rebuilt on every planet visit), so a class can throw on several bodies and download everything at
+// the end: CSV for spreadsheets (one file per throw summary, one with every sampled position) or JSON.
+
+import { createHudSection, createHudButton, createHudButtonRow } from '../utils/hud.js';
+
+const THROW_COLUMNS = [
+    ['throw', r => r.id],
+    ['time', r => r.timestamp],
+    ['planet', r => r.planet],
+    ['gravity_m_s2', r => r.gravity],
+    ['v0_m_s', r => r.initialVelocity],
+    ['angle_deg', r => r.angle],
+    ['launch_height_m', r => r.launchHeight],
+    ['predicted_landing_height_m', r => r.predicted.landingHeight],
+    ['air_density_kg_m3', r => r.airDensity],
+    ['drag', r => r.drag],
+    ['integrator', r => r.integrator],
+    ['time_step_s', r => r.timeStep],
+    ['predicted_range_m', r => r.predicted.range],
+    ['measured_range_m', r => r.measured?.range],
+    ['predicted_apex_m', r => r.predicted.apex],
+    ['measured_apex_m', r => r.measured?.apex],
+    ['predicted_time_s', r => r.predicted.flightTime],
+    ['measured_time_s', r => r.measured?.flightTime]
+];
+
+const SAMPLE_COLUMNS = ['throw', 'planet', 't_s', 'distance_m', 'height_m', 'x', 'y', 'z'];
+
+function round(value, digits = 3) {
+    return typeof value === 'number' ? Number(value.toFixed(digits)) : value;
+}
+
+function csvCell(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export default class ThrowLog {
+    constructor(options = {}) {
+        this.sampleInterval = options.sampleInterval ?? 0.05; // Seconds between stored ball positions
+        this.throws = [];
+        this.onChange = null; // Called with the log whenever a throw is added, finished or cleared
+    }
+
+    // One log for the whole session
+    static get shared() {
+        if (!ThrowLog.instance) {
+            ThrowLog.instance = new ThrowLog();
+        }
+        return ThrowLog.instance;
+    }
+
+    // Starts a record when the ball leaves the hand.
+    // info: { planet, gravity, initialVelocity, angle (radians), origin, direction, airDensity, drag,
+    //         integrator ('analytic' or a utils/integrators.js name), timeStep (s, numerical only), predicted }
+    begin(info) {
+        const record = {
+            id: this.throws.length + 1,
+            timestamp: new Date().toISOString(),
+            planet: info.planet,
+            gravity: round(info.gravity),
+            initialVelocity: round(info.initialVelocity),
+            angle: round(info.angle * 180 / Math.PI, 2),
+            launchHeight: round(info.origin.y),
+            airDensity: info.airDensity,
+            drag: !!info.drag,
+            integrator: info.integrator || 'analytic',
+            timeStep: info.timeStep ? round(info.timeStep, 5) : null,
+            predicted: {
+                range: round(info.predicted.range),
+                apex: round(info.predicted.apex),
+                flightTime: round(info.predicted.flightTime),
+                landingHeight: round(info.predicted.landing ? info.predicted.landing.y : 0)
+            },
+            measured: null,
+            origin: { x: round(info.origin.x), y: round(info.origin.y), z: round(info.origin.z) },
+            direction: { x: round(info.direction.x, 5), z: round(info.direction.z, 5) },
+            samples: []
+        };
+        this.throws.push(record);
+        this.addSample(record, 0, info.origin, true);
+        this.notifyChange();
+        return record;
+    }
+
+    // Stores the ball position at time t (seconds since the throw), at most once per sampleInterval
+    addSample(record, t, position, force = false) {
+        const last = record.samples[record.samples.length - 1];
+        if (!force && last && t - last.t < this.sampleInterval) return;
+        const dx = position.x - record.origin.x;
+        const dz = position.z - record.origin.z;
+        record.samples.push({
+            t: round(t),
+            distance: round(dx * record.direction.x + dz * record.direction.z), // Along the throw
+            height: round(position.y),
+            x: round(position.x),
+            y: round(position.y),
+            z: round(position.z)
+        });
+    }
+
+    // Closes a record when the ball lands
+    finish(record, t, landing) {
+        this.addSample(record, t, landing, true);
+        const maxHeight = Math.max(...record.samples.map(sample => sample.height));
+        record.measured = {
+            range: round(Math.hypot(landing.x - record.origin.x, landing.z - record.origin.z)),
+            apex: round(maxHeight - record.launchHeight),
+            flightTime: round(t)
+        };
+        this.notifyChange();
+    }
+
+    // Drops a record that never finished (ball reset or planet left while it was in the air), so the
+    // exports only hold throws that landed
+    discard(record) {
+        const index = this.throws.indexOf(record);
+        if (index === -1 || record.measured) return;
+        this.throws.splice(index, 1);
+        this.notifyChange();
+    }
+
+    clear() {
+        this.throws = [];
+        this.notifyChange();
+    }
+
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange(this);
+        }
+    }
+
+    toJSON() {
+        return {
+            exportedAt: new Date().toISOString(),
+            sampleInterval: this.sampleInterval,
+            throws: this.throws
+        };
+    }
+
+    // 'throws' gives one row per throw; 'samples' one row per stored ball position
+    toCSV(kind = 'throws') {
+        let rows;
+        if (kind === 'samples') {
+            rows = [SAMPLE_COLUMNS];
+            this.throws.forEach(record => {
+                record.samples.forEach(sample => {
+                    rows.push([record.id, record.planet, sample.t, sample.distance, sample.height, sample.x, sample.y, sample.z]);
+                });
+            });
+        } else {
+            rows = [THROW_COLUMNS.map(([name]) => name)];
+            this.throws.forEach(record => rows.push(THROW_COLUMNS.map(([, get]) => get(record))));
+        }
+        return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+    }
+
+    // Saves the log through the browser's download prompt. format: 'json', 'csv' or 'samples-csv'
+    download(format = 'csv') {
+        const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+        let content, type, name;
+        if (format === 'json') {
+            content = JSON.stringify(this.toJSON(), null, 2);
+            type = 'application/json';
+            name = `throws-${stamp}.json`;
+        } else {
+            const samples = format === 'samples-csv';
+            content = this.toCSV(samples ? 'samples' : 'throws');
+            type = 'text/csv';
+            name = `${samples ? 'throw-samples' : 'throws'}-${stamp}.csv`;
+        }
+
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Revoking right away can cancel the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
+
+// Throw count and download buttons for the physics HUD; returns { panel }
+export function createThrowLogControls(throwLog) {
+    const { panel } = createHudSection(null, { id: 'throw-log-controls' });
+
+    const count = document.createElement('div');
+    count.style.marginBottom = '6px';
+    panel.appendChild(count);
+
+    const buttons = createHudButtonRow([
+        createHudButton('CSV', () => throwLog.download('csv')),
+        createHudButton('Samples CSV', () => throwLog.download('samples-csv')),
+        createHudButton('JSON', () => throwLog.download('json')),
+        createHudButton('Clear', () => {
+            if (confirm('Clear all recorded throws?')) throwLog.clear();
+        })
+    ]);
+    panel.appendChild(buttons);
+
+    const refresh = (log) => {
+        const finished = log.throws.filter(record => record.measured).length;
+        count.textContent = `Throw log: ${finished} throw${finished === 1 ? '' : 's'} this session`;
+        buttons.querySelectorAll('button').forEach(button => {
+            button.disabled = log.throws.length === 0;
+        });
+    };
+    throwLog.onChange = refresh;
+    refresh(throwLog);
+
+    return { panel };
+}
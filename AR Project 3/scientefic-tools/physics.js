@@ -1,141 +1,174 @@
-// import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.145.0/build/three.module.js';
-// import * as CANNON from 'https://cdn.jsdelivr.net/npm/cannon-es@0.20.0/dist/cannon-es.js';
-
-// export class PhysicsHandler {
-//     constructor(scene) {
-//         this.scene = scene;
-//         this.projectiles = new Map();
-        
-//         // Initialize physics world
-//         this.world = new CANNON.World({
-//             gravity: new CANNON.Vec3(0, -9.82, 0)
-//         });
-
-//         // Create ground plane
-//         const groundShape = new CANNON.Plane();
-//         const groundBody = new CANNON.Body({
-//             mass: 0,
-//             shape: groundShape
-//         });
-//         groundBody.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
-//         this.world.addBody(groundBody);
-
-//         // Create ground plane visualization
-//         const groundGeometry = new THREE.PlaneGeometry(1000, 1000);
-//         const groundMaterial = new THREE.MeshPhongMaterial({
-//             color: 0x333333,
-//             transparent: true,
-//             opacity: 0.5
-//         });
-//         this.groundMesh = new THREE.Mesh(groundGeometry, groundMaterial);
-//         this.groundMesh.rotation.x = -Math.PI / 2;
-//         this.groundMesh.receiveShadow = true;
-//         this.scene.add(this.groundMesh);
-//     }
-
-//     throwBall(ballBody, position, velocity) {
-//         if (!ballBody) return;
-        
-//         // Reset ball position and apply velocity
-//         ballBody.position.copy(position);
-//         ballBody.velocity.copy(velocity);
-//         ballBody.angularVelocity.set(
-//             Math.random() - 0.5,
-//             Math.random() - 0.5,
-//             Math.random() - 0.5
-//         );
-//     }
-
-//     throwProjectile(position, velocity) {
-//         // Create projectile body
-//         const radius = 0.5;
-//         const sphereShape = new CANNON.Sphere(radius);
-//         const projectileBody = new CANNON.Body({
-//             mass: 1,
-//             shape: sphereShape,
-//             position: new CANNON.Vec3(position.x, position.y, position.z),
-//             velocity: new CANNON.Vec3(velocity.x * 20, velocity.y * 20 + 10, velocity.z * 20),
-//             linearDamping: 0.01, // Add slight air resistance
-//             angularDamping: 0.1
-//         });
-
-//         // Create projectile mesh
-//         const sphereGeometry = new THREE.SphereGeometry(radius, 32, 32);
-//         const sphereMaterial = new THREE.MeshPhongMaterial({
-//             color: 0xff0000,
-//             shininess: 30
-//         });
-//         const projectileMesh = new THREE.Mesh(sphereGeometry, sphereMaterial);
-//         projectileMesh.castShadow = true;
-//         projectileMesh.receiveShadow = true;
-
-//         // Add to scene and physics world
-//         this.scene.add(projectileMesh);
-//         this.world.addBody(projectileBody);
-
-//         // Store reference to both body and mesh
-//         const projectile = {
-//             body: projectileBody,
-//             mesh: projectileMesh,
-//             timeCreated: Date.now()
-//         };
-//         this.projectiles.set(projectileBody.id, projectile);
-
-//         // Add collision event listener
-//         projectileBody.addEventListener('collide', (event) => {
-//             // Optional: Add collision effects here
-//             console.log('Projectile collision');
-//         });
-
-//         // Remove projectile after 10 seconds
-//         setTimeout(() => {
-//             this.removeProjectile(projectileBody.id);
-//         }, 10000);
-
-//         return projectile;
-//     }
-
-//     removeProjectile(id) {
-//         const projectile = this.projectiles.get(id);
-//         if (projectile) {
-//             this.world.removeBody(projectile.body);
-//             this.scene.remove(projectile.mesh);
-//             this.projectiles.delete(id);
-//         }
-//     }
-
-//     update() {
-//         // Step the physics world
-//         this.world.step(1/60);
-
-//         // Update visual meshes to match physics bodies
-//         for (const projectile of this.projectiles.values()) {
-//             projectile.mesh.position.copy(projectile.body.position);
-//             projectile.mesh.quaternion.copy(projectile.body.quaternion);
-
-//             // Remove projectiles that have fallen below the ground
-//             if (projectile.body.position.y < -10) {
-//                 this.removeProjectile(projectile.body.id);
-//             }
-//         }
-//     }
-
-//     cleanup() {
-//         // Remove all projectiles
-//         for (const projectile of this.projectiles.values()) {
-//             this.scene.remove(projectile.mesh);
-//             this.world.removeBody(projectile.body);
-//         }
-//         this.projectiles.clear();
-
-//         // Remove ground
-//         if (this.groundMesh) {
-//             this.scene.remove(this.groundMesh);
-//         }
-
-//         // Remove all remaining bodies from the world
-//         while(this.world.bodies.length > 0) {
-//             this.world.removeBody(this.world.bodies[0]);
-//         }
-//     }
-// }
+import * as CANNON from 'https://cdn.jsdelivr.net/npm/cannon-es@0.20.0/dist/cannon-es.js';
+
+// Owns the cannon-es world used by the planet environments: gravity for the body being visited, the
+// ground / character / ball contact materials, which meshes follow which bodies, fixed-timestep
+// stepping and short-lived projectiles. PlanetEnvironment is rebuilt on every planet visit, so one
+// handler is shared (PhysicsHandler.shared) and reset() empties it between visits.
+
+export class PhysicsHandler {
+    constructor(options = {}) {
+        this.fixedTimeStep = options.fixedTimeStep ?? 1 / 60; // s per physics step
+        this.maxSubSteps = options.maxSubSteps ?? 3;          // Steps allowed per frame to catch up
+        this.killHeight = options.killHeight ?? -50;          // Projectiles below this are removed
+
+        this.world = new CANNON.World();
+        this.world.broadphase = new CANNON.NaiveBroadphase();
+        this.world.solver.iterations = 10;
+        this.world.defaultContactMaterial.friction = 0.5;
+        this.gravity = this.world.gravity; // Points down: gravity.y is -g
+        this.setGravity(options.gravity ?? 9.82);
+
+        this.materials = {
+            ground: new CANNON.Material('groundMaterial'),
+            character: new CANNON.Material('characterMaterial'),
+            ball: new CANNON.Material('ballMaterial')
+        };
+        // Created once and retuned per surface (cannon-es has no way to remove a contact material)
+        this.contactMaterials = {
+            groundCharacter: new CANNON.ContactMaterial(this.materials.ground, this.materials.character, {
+                friction: 0.5,
+                restitution: 0.3,
+                contactEquationStiffness: 1e8,
+                contactEquationRelaxation: 3
+            }),
+            groundBall: new CANNON.ContactMaterial(this.materials.ground, this.materials.ball, {
+                friction: 0.3,
+                restitution: 0.7,
+                contactEquationStiffness: 1e8,
+                contactEquationRelaxation: 3
+            })
+        };
+        Object.values(this.contactMaterials).forEach(material => this.world.addContactMaterial(material));
+
+        this.synced = new Map();       // body id -> { body, object, interpolate }
+        this.projectiles = new Map();  // body id -> { body, mesh, createdAt, lifetime, onRemove }
+    }
+
+    // One handler for the whole app, reused by every PlanetEnvironment
+    static get shared() {
+        if (!PhysicsHandler.instance) {
+            PhysicsHandler.instance = new PhysicsHandler();
+        }
+        return PhysicsHandler.instance;
+    }
+
+    // g in m/s², pulling towards -y
+    setGravity(g) {
+        this.world.gravity.set(0, -g, 0);
+    }
+
+    // Gravity and ball bounce for a body's surface (see DEFAULT_SURFACE in models/bodyCatalog.js)
+    configureSurface(surface) {
+        this.setGravity(surface.gravity);
+        this.contactMaterials.groundBall.restitution = surface.restitution;
+    }
+
+    // Adds a body to the world. With an `object` (a THREE.Object3D) the object is moved to the body
+    // after every step, interpolated between physics steps unless options.interpolate is false.
+    addBody(body, object = null, options = {}) {
+        this.world.addBody(body);
+        if (object) {
+            this.synced.set(body.id, { body, object, interpolate: options.interpolate ?? true });
+        }
+        return body;
+    }
+
+    removeBody(body) {
+        this.world.removeBody(body);
+        this.synced.delete(body.id);
+        this.projectiles.delete(body.id);
+    }
+
+    // Static horizontal plane at y = 0
+    addGround() {
+        const body = new CANNON.Body({ mass: 0, material: this.materials.ground });
+        body.addShape(new CANNON.Plane());
+        body.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
+        return this.addBody(body);
+    }
+
+    // Static ground matching a heightmap from generateTerrain() in utils/terrain.js. The heightfield
+    // lies in its local x-y plane with heights along z, so it is turned to face up and moved so that
+    // its data[i][j] sits at x = -size/2 + i·elementSize, z = size/2 - j·elementSize.
+    addHeightfield(terrain) {
+        const columns = terrain.segments + 1;
+        const data = [];
+        for (let i = 0; i < columns; i++) {
+            const column = [];
+            for (let j = 0; j < columns; j++) {
+                column.push(terrain.heights[(terrain.segments - j) * columns + i]);
+            }
+            data.push(column);
+        }
+        const body = new CANNON.Body({ mass: 0, material: this.materials.ground });
+        body.addShape(new CANNON.Heightfield(data, { elementSize: terrain.elementSize }));
+        body.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
+        body.position.set(-terrain.size / 2, 0, terrain.size / 2);
+        return this.addBody(body);
+    }
+
+    // Launches a body from `position` with `velocity` (both anything with x, y, z)
+    throwBall(body, position, velocity) {
+        body.position.set(position.x, position.y, position.z);
+        body.velocity.set(velocity.x, velocity.y, velocity.z);
+        body.angularVelocity.set(0, 0, 0);
+        body.type = CANNON.Body.DYNAMIC;
+        console.log("Ball thrown with velocity:", velocity);
+    }
+
+    // Registers a body and its mesh that should disappear on their own: after options.lifetime
+    // seconds of simulated time (default 10), or once they fall below killHeight. The mesh must
+    // already be in the scene; options.onRemove(projectile) runs when it is taken out, and
+    // options.interpolate is passed on to addBody().
+    addProjectile(body, mesh, options = {}) {
+        this.addBody(body, mesh, options);
+        const projectile = {
+            body,
+            mesh,
+            createdAt: this.world.time,
+            lifetime: options.lifetime ?? 10,
+            onRemove: options.onRemove || null
+        };
+        this.projectiles.set(body.id, projectile);
+        return projectile;
+    }
+
+    removeProjectile(body) {
+        const projectile = this.projectiles.get(body.id);
+        if (!projectile) return;
+        this.removeBody(body);
+        projectile.mesh.removeFromParent();
+        if (projectile.onRemove) {
+            projectile.onRemove(projectile);
+        }
+    }
+
+    // Advances the world by the real time since the last frame in fixed steps, then moves the synced
+    // objects and retires expired projectiles
+    step(deltaTime) {
+        this.world.step(this.fixedTimeStep, deltaTime, this.maxSubSteps);
+
+        for (const { body, object, interpolate } of this.synced.values()) {
+            object.position.copy(interpolate ? body.interpolatedPosition : body.position);
+            object.quaternion.copy(interpolate ? body.interpolatedQuaternion : body.quaternion);
+        }
+
+        for (const projectile of [...this.projectiles.values()]) {
+            const age = this.world.time - projectile.createdAt;
+            if (age > projectile.lifetime || projectile.body.position.y < this.killHeight) {
+                this.removeProjectile(projectile.body);
+            }
+        }
+    }
+
+    // Empties the world for the next environment (projectile meshes are taken out of the scene too)
+    reset() {
+        for (const projectile of [...this.projectiles.values()]) {
+            this.removeProjectile(projectile.body);
+        }
+        while (this.world.bodies.length > 0) {
+            this.world.removeBody(this.world.bodies[0]);
+        }
+        this.synced.clear();
+    }
+}
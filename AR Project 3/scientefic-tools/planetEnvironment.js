@@ -4,26 +4,31 @@ import * as TWEEN from 'https://cdn.jsdelivr.net/npm/@tweenjs/tween.js@18.6.4/di
 
 // import { CSS2DRenderer, CSS2DObject } from 'https://cdn.jsdelivr.net/npm/three@0.145.0/examples/jsm/renderers/CSS2DRenderer.js';
 import { OrbitControls } from 'https://cdn.jsdelivr.net/npm/three@0.145.0/examples/jsm/controls/OrbitControls.js';
-// Place this at the top of your file:
-const planetGravity = {
-    mercury: 3.7,
-    venus: 8.87,
-    earth: 9.81,
-    moon: 1.62,
-    mars: 3.71,
-    jupiter: 24.79,
-    saturn: 10.44,
-    uranus: 8.87,
-    neptune: 11.15
-  };
-  
+import { PhysicsHandler } from './physics.js';
+import { DEFAULT_SURFACE } from './models/bodyCatalog.js';
+import LoaderHelper from './utils/loaderHelper.js';
+import { DEFAULT_BALL, simulateFlight, sampleFlight, flightPoints } from './utils/aerodynamics.js';
+import ThrowComparison from './models/throwComparison.js';
+import ThrowLog, { createThrowLogControls } from './models/throwLog.js';
+import KinematicsGraphs from './models/kinematicsGraphs.js';
+import { INTEGRATORS, compareIntegrators } from './utils/integrators.js';
+import IntegratorComparison, { createIntegratorControls } from './models/integratorComparison.js';
+import ProjectileLauncher, { createLauncherControls } from './models/projectileLauncher.js';
+import TargetChallenge, { createChallengeControls } from './models/targetChallenge.js';
+import CloudDeck from './models/cloudDeck.js';
+import { generateTerrain } from './utils/terrain.js';
+import { solveThrow, findLanding } from './utils/projectile.js';
+import { createHudSection, createHudButton, createHudNumberInput, addHudRow } from './utils/hud.js';
+
 export class PlanetEnvironment {
    
-    constructor(scene, camera, renderer) {
+    // `physicsHandler` defaults to the app-wide PhysicsHandler.shared
+    constructor(scene, camera, renderer, physicsHandler = PhysicsHandler.shared) {
         console.log('Initializing PlanetEnvironment...');
         this.scene = scene;
         this.camera = camera;
         this.renderer = renderer;
+        this.physicsHandler = physicsHandler;
         this.clock = new THREE.Clock();
         this.mixers = [];
         this.textureLoader = new THREE.TextureLoader();
@@ -90,6 +95,16 @@ export class PlanetEnvironment {
         this.throwForce = 15;
         this.throwAngle = Math.PI / 4; // 45°
         this.gravity = 9.82;          // m/s²
+        this.body = null;             // Body catalog entry for the current planet or moon
+        this.catalog = null;          // Whole body catalog, used by the comparison mode
+        this.surface = { ...DEFAULT_SURFACE };
+        this.heightmap = null;        // Ground heights from utils/terrain.js (null: flat at y = 0)
+        this.cloudDeck = null;        // Gas giants: balloon gondola over the clouds instead of terrain (models/cloudDeck.js)
+        this.throwPrediction = null;  // Closed-form landing of the aimed (or last) throw, from predictThrow()
+        this.throwPreviewKey = '';    // Throw the preview lines and predictions were last computed for
+        this.platformHeight = 0;      // m: tower the character stands on to launch from a height
+        this.launchPlatform = null;   // { mesh, body } while platformHeight > 0
+        this.platformControls = null;
         this.landingMarker = null;
         this.throwStartPosition = new THREE.Vector3();
         this.throwStartTime = 0;
@@ -109,6 +124,58 @@ export class PlanetEnvironment {
         this.storedThrowAngle = 0;
         this.initialThrowDirection = new THREE.Vector3();
 
+        // Air resistance (utils/aerodynamics.js). Air density comes from the body's surface.
+        this.dragSettings = {
+            enabled: true,
+            ...DEFAULT_BALL,
+            windSpeed: 0,       // m/s
+            windDirection: 0    // where it blows, in degrees from the throw direction: 0 = tailwind, 180 = headwind
+        };
+        this.dragFlight = null;           // Integrated flight of the thrown ball (null when there is no drag)
+        this.vacuumFlight = null;         // Same throw without air, for comparison
+        this.previewFlights = null;       // { vacuum, drag } for the throw being aimed
+        this.dragSummaryHTML = '';
+        this.dragTrajectoryLine = null;   // Blue path drawn next to the vacuum (green/red) one
+        this.dragControls = null;         // Air resistance panel elements
+
+        // Comparison mode: the aimed throw replayed on every selected body (models/throwComparison.js)
+        this.comparison = null;
+        this.comparisonKey = '';
+        this.comparisonControls = null;
+
+        // Every throw of the session goes into the shared log (models/throwLog.js)
+        this.throwLog = ThrowLog.shared;
+        this.currentThrowRecord = null;
+        this.throwLogControls = null;
+        this.planetName = '';
+
+        // y-t, vy-t and x-y graphs of the current and last few throws (models/kinematicsGraphs.js)
+        this.graphs = null;
+        this.graphsKey = '';
+        this.graphsButton = null;
+
+        // How the thrown ball is moved: 'analytic' uses the closed-form parabola, anything else steps
+        // the flight with that integrator (utils/integrators.js). Drag flights always need one.
+        this.integratorSettings = {
+            method: 'analytic',
+            timeStep: 1 / 60      // s
+        };
+        this.ballFlight = null;           // Flight replayed by update(): the drag flight, or the numerical vacuum one
+        this.integratorControls = null;
+        this.integratorComparison = null; // Error / energy drift panel (models/integratorComparison.js)
+        this.integratorComparisonKey = '';
+
+        // Launcher mode: clicks fire extra projectiles instead of throwing the ball (models/projectileLauncher.js)
+        this.launcher = null;
+        this.launcherControls = null;
+        this.launchSweepStep = 5;         // Degrees between shots of the 0-90° sweep
+
+        // Target challenge: work out the angle or speed, then throw at a target (models/targetChallenge.js)
+        this.challenge = null;
+        this.challengeControls = null;
+        this.challengeAnswer = null;      // The student's angle (°) or speed (m/s), null until typed
+        this.challengeQuestionKey = '';
+
         // UI controls.
         this.controls = {
             physicsPanel: null
@@ -158,6 +225,9 @@ export class PlanetEnvironment {
         // Add min and max throw angles
         this.minThrowAngle = 0;
         this.maxThrowAngle = Math.PI / 2; // 90 degrees
+        // Throw speed range (m/s) for setThrowForce(), e.g. from the second hand's gesture
+        this.minThrowForce = 2;
+        this.maxThrowForce = 40;
         
         // Add trajectory control properties
         this.trajectoryAngle = 45; // Default 45 degrees
@@ -184,7 +254,7 @@ export class PlanetEnvironment {
     adjustCameraForTrajectory() {
         const points = [];
         const timeStep = 0.1;
-        const maxTime = 5.0;
+        const maxTime = this.throwPrediction ? this.throwPrediction.time + timeStep : 5.0;
         const vx = this.storedThrowForce * Math.cos(this.storedThrowAngle);
         const vy = this.storedThrowForce * Math.sin(this.storedThrowAngle);
         // Compute predicted trajectory from the stored throw origin.
@@ -192,7 +262,7 @@ export class PlanetEnvironment {
             const x = this.throwStartPosition.x + this.initialThrowDirection.x * vx * t;
             const z = this.throwStartPosition.z + this.initialThrowDirection.z * vx * t;
             const y = this.throwStartPosition.y + vy * t - 0.5 * this.gravity * t * t;
-            if (y < 0) break;
+            if (t > 0 && y < this.getSurfaceHeight(x, z)) break;
             points.push(new THREE.Vector3(x, y, z));
         }
         if (points.length === 0) return;
@@ -226,13 +296,11 @@ export class PlanetEnvironment {
             for (let t = 0; t <= maxTime; t += timeStep) {
                 const x = startPos.x + this.initialThrowDirection.x * vx * t;
                 const z = startPos.z + this.initialThrowDirection.z * vx * t;
-                let y = startPos.y + vy * t - 0.5 * this.gravity * t * t;
+                const y = startPos.y + vy * t - 0.5 * this.gravity * t * t;
         
-                // Instead of breaking out of the loop if y < 0, just clamp it to 0
-                // or let it go negative if you want to see the path continue below ground.
-                if (y < 0) {
-                    y = 0;
-                    break; // Clamped to ground
+                // Stop where the path meets the ground (or a target or platform top)
+                if (t > 0 && y < this.getSurfaceHeight(x, z)) {
+                    break;
                 }
         
                 points.push(new THREE.Vector3(x, y, z));
@@ -665,20 +733,8 @@ export class PlanetEnvironment {
 
     // Initializes projectile physics and creates a unified ball.
     initProjectilePhysics() {
-        if (!this.physicsWorld) {
-            this.physicsWorld = new CANNON.World();
-            this.physicsWorld.gravity.set(0, -9.82, 0);
-            this.physicsWorld.broadphase = new CANNON.NaiveBroadphase();
-            this.physicsWorld.solver.iterations = 10;
-            this.physicsWorld.defaultContactMaterial.friction = 0.5;
-        }
         if (!this.groundBody) {
-            const groundShape = new CANNON.Plane();
-            const groundBody = new CANNON.Body({ mass: 0, material: this.groundMaterial });
-            groundBody.addShape(groundShape);
-            groundBody.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
-            this.physicsWorld.addBody(groundBody);
-            this.groundBody = groundBody;
+            this.groundBody = this.physicsHandler.addGround();
         }
         const ballRadius = 0.5;
         const ballGeometry = new THREE.SphereGeometry(ballRadius, 32, 32);
@@ -715,7 +771,8 @@ export class PlanetEnvironment {
                 }
             }
         });
-        this.physicsWorld.addBody(this.ballBody);
+        // Not interpolated: while held or in flight the ball is placed directly, without stepping
+        this.physicsHandler.addBody(this.ballBody, this.ball, { interpolate: false });
         console.log("Ball body created at:", this.ballBody.position);
 
         if (!this.trajectoryLine) {
@@ -767,6 +824,59 @@ export class PlanetEnvironment {
             physicsElement.innerHTML = '';
         }
     }
+    // Steps 2-4 of the explanation board when the ball lands higher or lower than it was launched:
+    // the flight time from the quadratic, and the same landing worked out on the sloping ground
+    getUnevenExplanationHTML(prediction, u, angleRad, g) {
+        const vy = u * Math.sin(angleRad);
+        const vx = u * Math.cos(angleRad);
+        const h = prediction.drop;
+        const discriminant = vy * vy + 2 * g * h;
+        const T = prediction.time;
+        const R = vx * T;
+        const line = text => `<p style="margin: 2px 0;">${text}</p>`;
+
+        let slopeHTML = '';
+        const m = prediction.groundSlope;
+        // Only for real slopes, not the step at the edge of a target or platform
+        if (Math.abs(m) >= 0.02 && Math.abs(m) <= 1.5) {
+            const surfaceUnderLaunch = prediction.landingHeight - m * R;
+            const inclineDrop = prediction.launchHeight - surfaceUnderLaunch;
+            const onIncline = solveThrow({ speed: u, angle: angleRad, gravity: g, drop: inclineDrop, slope: m });
+            slopeHTML = `
+            <h3 style="margin: 4px 0;">Landing on a Slope</h3>
+            ${line(`The ground there ${m > 0 ? 'rises' : 'falls'} at α = ${Math.abs(THREE.MathUtils.radToDeg(Math.atan(m))).toFixed(1)}° (m = tan α = ${m.toFixed(3)} along the throw)`)}
+            ${line(`Slope line: y = y<sub>s</sub> + m·x, with y<sub>s</sub> = y<sub>L</sub> − m·R = ${surfaceUnderLaunch.toFixed(2)} m under the launch point`)}
+            ${line('Landing when y(t) meets it at x = u cosθ·t:')}
+            ${line('½g·T² − (u sinθ − m·u cosθ)·T − (y₀ − y<sub>s</sub>) = 0')}
+            ${line(`b = u sinθ − m·u cosθ = ${vy.toFixed(2)} − ${m.toFixed(3)} × ${vx.toFixed(2)} = ${onIncline.b.toFixed(2)} m/s`)}
+            ${line(`T = (b + √(b² + 2g(y₀ − y<sub>s</sub>))) / g = (${onIncline.b.toFixed(2)} + √${onIncline.discriminant.toFixed(2)}) / ${g.toFixed(2)}`)}
+            ${line(`T = ${onIncline.time.toFixed(2)} s, the same landing`)}`;
+        }
+
+        return `
+            <h3 style="margin: 4px 0;">Step 2: Find Time of Flight (T)</h3>
+            ${line(`Launch height y₀ = ${prediction.launchHeight.toFixed(2)} m, landing height y<sub>L</sub> = ${prediction.landingHeight.toFixed(2)} m`)}
+            ${line(`h = y₀ − y<sub>L</sub> = ${h.toFixed(2)} m (lands ${h > 0 ? 'lower' : 'higher'} than it started, so T ≠ 2u sinθ / g)`)}
+            ${line('Height: y = y₀ + u sinθ·t − ½g·t²')}
+            ${line('Landing when y = y<sub>L</sub>: ½g·T² − u sinθ·T − h = 0')}
+            ${line('Quadratic formula, taking the root where the ball comes down:')}
+            ${line('T = (u sinθ + √(u² sin²θ + 2gh)) / g')}
+            ${line(`u sinθ = ${u.toFixed(2)} × ${Math.sin(angleRad).toFixed(3)} = ${vy.toFixed(2)} m/s`)}
+            ${line(`u² sin²θ + 2gh = ${(vy * vy).toFixed(2)} + 2 × ${g.toFixed(2)} × ${h.toFixed(2)} = ${discriminant.toFixed(2)}`)}
+            ${line(`T = (${vy.toFixed(2)} + ${Math.sqrt(Math.max(discriminant, 0)).toFixed(2)}) / ${g.toFixed(2)}`)}
+            ${line(`T = ${T.toFixed(2)} s`)}
+            ${slopeHTML}
+            <h3 style="margin: 4px 0;">Step 3: Find Maximum Height (H)</h3>
+            ${line('H = (u² sin²θ) / (2g), above the launch point')}
+            ${line(`H = ${(vy * vy).toFixed(2)} / ${(2 * g).toFixed(2)} = ${prediction.apex.toFixed(2)} m`)}
+            ${line(`Above the landing point: H + h = ${(prediction.apex + h).toFixed(2)} m`)}
+            <h3 style="margin: 4px 0;">Step 4: Find Range (R)</h3>
+            ${line('R = u cosθ × T (u² sin 2θ / g only holds when h = 0)')}
+            ${line(`u cosθ = ${u.toFixed(2)} × ${Math.cos(angleRad).toFixed(3)} = ${vx.toFixed(2)} m/s`)}
+            ${line(`R = ${vx.toFixed(2)} × ${T.toFixed(2)} = ${R.toFixed(2)} m`)}
+        `;
+    }
+
     hideProjectileExplanation() {
         if (this.projectileExplanationBoard) {
             document.body.removeChild(this.projectileExplanationBoard);
@@ -783,6 +893,9 @@ export class PlanetEnvironment {
         const angleRad = this.flightData.angle;
         const angleDeg = (angleRad * 180 / Math.PI);
         const sinAngle = Math.sin(angleRad);
+        // Launched and landing at different heights the textbook T = 2u sinθ / g no longer holds
+        const prediction = this.throwPrediction;
+        const symmetric = !prediction || prediction.symmetric;
         const numeratorT = 2 * u * sinAngle;
         const timeOfFlight = numeratorT / g;
         const vy = u * sinAngle;
@@ -817,7 +930,7 @@ export class PlanetEnvironment {
             <p style="margin: 2px 0;">Initial velocity (u) = ${u.toFixed(2)} m/s</p>
             <p style="margin: 2px 0;">Angle (θ) = ${angleDeg.toFixed(2)}°</p>
             <p style="margin: 2px 0;">Gravity (g) = ${g.toFixed(2)} m/s²</p>
-            <h3 style="margin: 4px 0;">Step 2: Find Time of Flight (T)</h3>
+            ${symmetric ? `<h3 style="margin: 4px 0;">Step 2: Find Time of Flight (T)</h3>
             <p style="margin: 2px 0;">T = (2 × u × sinθ) / g</p>
             <p style="margin: 2px 0;">T = (2 × ${u.toFixed(2)} × sin(${angleDeg.toFixed(2)}°)) / ${g.toFixed(2)}</p>
             <p style="margin: 2px 0;">sin(${angleDeg.toFixed(2)}°) ≈ ${sinAngle.toFixed(3)}</p>
@@ -834,7 +947,8 @@ export class PlanetEnvironment {
             <p style="margin: 2px 0;">sin(2θ) = ${sinDoubleAngle.toFixed(3)}</p>
             <p style="margin: 2px 0;">Numerator = ${(u*u).toFixed(2)} × ${sinDoubleAngle.toFixed(3)} = ${numeratorR.toFixed(2)}</p>
             <p style="margin: 2px 0;">Denominator = ${g.toFixed(2)}</p>
-            <p style="margin: 2px 0;">R = ${rangeVal.toFixed(2)} m</p>
+            <p style="margin: 2px 0;">R = ${rangeVal.toFixed(2)} m</p>` : this.getUnevenExplanationHTML(prediction, u, angleRad, g)}
+            ${this.getDragExplanationHTML()}
         `;
         
         board.innerHTML = finalHTML;
@@ -894,29 +1008,94 @@ export class PlanetEnvironment {
         this.lastTime = time;
 
         if (this.isInUpdateLoop) {
+            if (this.launcher) {
+                this.launcher.update(delta);
+            }
+            if (this.cloudDeck && this.character) {
+                this.cloudDeck.update(delta, this.getWindVector(this.getAimDirection(this.character.position)));
+            }
+            // The world steps every frame, throw or not, so launched projectiles keep rolling and
+            // ageing; a thrown ball is kinematic and placed on its flight below, after the step
+            const previousPosition = this.ball ? this.ball.position.clone() : null;
+            if (this.physicsWorld && this.ballBody && this.ball) {
+                this.updateProjectilePhysics(delta);
+            }
             // If the ball is thrown, update its position using the projectile motion equations.
             if (this.ballThrown && !this.isHoldingBall) {
                 const currentTime = performance.now();
                 const t = (currentTime - this.throwStartTime) / 1000;
-                const vx = this.storedThrowForce * Math.cos(this.storedThrowAngle);
-                const vy = this.storedThrowForce * Math.sin(this.storedThrowAngle);
-                const newX = this.throwStartPosition.x + this.initialThrowDirection.x * vx * t;
-                const newY = this.throwStartPosition.y + vy * t - 0.5 * this.gravity * t * t;
-                const newZ = this.throwStartPosition.z + this.initialThrowDirection.z * vx * t;
-                this.ball.position.set(newX, newY, newZ);
+                let landed;
+                let landingHeight = null;
+                if (this.ballFlight) {
+                    // With air (or a chosen integrator) follow the path integrated at throw time
+                    sampleFlight(this.ballFlight, t, this.ball.position);
+                    landed = t >= this.ballFlight.flightTime;
+                } else {
+                    const vx = this.storedThrowForce * Math.cos(this.storedThrowAngle);
+                    const vy = this.storedThrowForce * Math.sin(this.storedThrowAngle);
+                    const newX = this.throwStartPosition.x + this.initialThrowDirection.x * vx * t;
+                    const newY = this.throwStartPosition.y + vy * t - 0.5 * this.gravity * t * t;
+                    const newZ = this.throwStartPosition.z + this.initialThrowDirection.z * vx * t;
+                    this.ball.position.set(newX, newY, newZ);
+                    landed = newY <= this.getSurfaceHeight(newX, newZ);
+                }
+                // Moving the kinematic body at the flight's speed lets it push what it hits
+                if (delta > 0) {
+                    this.ballBody.velocity.copy(this.ball.position.clone().sub(previousPosition).divideScalar(delta));
+                }
+                // Challenge targets are scored where the ball comes down through their height
+                const crossing = this.challenge?.checkCrossing(previousPosition, this.ball.position);
+                if (crossing) {
+                    this.scoreChallengeThrow(crossing.point);
+                    if (crossing.onTarget) {
+                        // Stop on the target rather than falling through it
+                        landingHeight = crossing.point.y;
+                        this.ball.position.copy(crossing.point);
+                        this.ball.position.y += this.ball.geometry.parameters.radius;
+                        this.ballBody.type = CANNON.Body.DYNAMIC;
+                        this.ballBody.velocity.set(0, 0, 0);
+                        landed = true;
+                    }
+                } else if (landed && this.challenge?.awaitingScore) {
+                    this.scoreChallengeThrow(null);
+                }
+                if (landed && landingHeight === null) {
+                    // Set the ball down on the terrain, platform or target top (a heightfield can't push
+                    // out a ball sunk into it)
+                    landingHeight = this.getSurfaceHeight(this.ball.position.x, this.ball.position.z);
+                    this.ball.position.y = landingHeight + this.ball.geometry.parameters.radius;
+                    if (this.cloudDeck && !this.cloudDeck.isOverPlatform(this.ball.position.x, this.ball.position.z)) {
+                        // Nothing to bounce on: the ball sinks into the cloud tops and stays lost (E fetches it)
+                        this.ball.position.y = landingHeight;
+                        this.ballBody.velocity.set(0, 0, 0);
+                    } else {
+                        // Physics takes over from here: the ball bounces and rolls at its landing speed
+                        this.ballBody.type = CANNON.Body.DYNAMIC;
+                    }
+                }
                 this.ballBody.position.copy(this.ball.position);
+                const { x: newX, z: newZ } = this.ball.position;
+                if (this.currentThrowRecord && !landed) {
+                    this.throwLog.addSample(this.currentThrowRecord, t, this.ball.position);
+                    this.updateGraphs();
+                }
 
                 // When the ball reaches or goes below the ground, mark it as landed.
-                if (newY <= 0) {
+                if (landed) {
                     this.isThrown = false;
                     this.ballThrown = false;
-                    this.updateLandingMarker(new THREE.Vector3(newX, 0.01, newZ));
+                    if (this.currentThrowRecord) {
+                        this.throwLog.finish(this.currentThrowRecord, Math.min(t, this.ballFlight?.flightTime ?? t), new THREE.Vector3(newX, landingHeight, newZ));
+                        this.currentThrowRecord = null;
+                        this.updateGraphs();
+                    }
+                    this.updateLandingMarker(new THREE.Vector3(newX, landingHeight, newZ));
+                    this.landingMarker.position.y = landingHeight + 0.03;
                     // this.displayFlightData();
+                    this.updateDragComparison();
                     this.showProjectileExplanation();
 
                 }
-            } else if (this.physicsWorld && this.ballBody && this.ball) {
-                this.updateProjectilePhysics(delta);
             }
 
             if (this.controls && this.controls.update) {
@@ -933,7 +1112,6 @@ export class PlanetEnvironment {
                 this.ball.position.copy(handWorldPos);
                 this.ballBody.position.copy(handWorldPos);
                 this.updateTrajectoryPreview();
-                this.updatePhysicsCalculations();
                 if (this.secondaryTrajectoryLine) {
                     this.secondaryTrajectoryLine.visible = false;
                 }
@@ -959,11 +1137,9 @@ export class PlanetEnvironment {
 
     }
 
-    // Advances the physics simulation and syncs the ball mesh.
+    // Advances the physics simulation (which also syncs the ball mesh).
     updateProjectilePhysics(deltaTime) {
-        this.physicsWorld.step(1 / 60, deltaTime, 3);
-        this.ball.position.copy(this.ballBody.position);
-        this.ball.quaternion.copy(this.ballBody.quaternion);
+        this.physicsHandler.step(deltaTime);
     }
 
     // Handles character movement.
@@ -982,7 +1158,12 @@ export class PlanetEnvironment {
             moveDirection.normalize();
             this.character.position.x += moveDirection.x * moveSpeed;
             this.character.position.z += moveDirection.z * moveSpeed;
-            this.characterBody.position.copy(this.character.position);
+            if (this.cloudDeck) {
+                // Stay inside the gondola's rail
+                this.cloudDeck.keepOnDeck(this.character.position);
+            }
+            // Walk over the terrain (platform and all), keeping the same height above the ground
+            this.placeCharacter();
             if (this.isHoldingBall) {
                 const offset = new THREE.Vector3(0, 1, 0);
                 const holdingPos = this.character.position.clone().add(offset);
@@ -995,7 +1176,7 @@ export class PlanetEnvironment {
 
     // (Optional) Additional physics update method.
     updatePhysics(deltaTime) {
-        this.physicsWorld.step(1 / 60, deltaTime, 3);
+        this.physicsHandler.step(deltaTime);
         if (this.characterBody && this.character) {
             const cameraDirection = new THREE.Vector3();
             this.camera.getWorldDirection(cameraDirection);
@@ -1020,16 +1201,13 @@ export class PlanetEnvironment {
                 this.characterBody.velocity.x *= 0.8;
                 this.characterBody.velocity.z *= 0.8;
             }
-            if (this.keyStates[' '] && this.characterBody.position.y <= 0.5) {
+            const ground = this.findHeightAtPosition(this.characterBody.position.x, this.characterBody.position.z);
+            if (this.keyStates[' '] && this.characterBody.position.y <= ground + 0.5) {
                 const jumpForce = 10;
                 this.characterBody.velocity.y = jumpForce;
             }
             this.character.position.copy(this.characterBody.position);
         }
-        if (this.ball && this.ballBody) {
-            this.ball.position.copy(this.ballBody.position);
-            this.ball.quaternion.copy(this.ballBody.quaternion);
-        }
         if (this.isThrown) {
             const timeElapsed = (performance.now() - this.throwStartTime) / 1000;
             const range = this.throwForce * Math.cos(this.throwAngle) * timeElapsed;
@@ -1049,53 +1227,41 @@ export class PlanetEnvironment {
         if (!this.isAiming || !this.ball) return;
         const position = new THREE.Vector3();
         position.copy(this.character.position);
-        const direction = new THREE.Vector3();
-        direction.copy(this.camera.getWorldDirection(new THREE.Vector3()));
-        direction.y = 0;
-        direction.normalize();
+        const direction = this.getAimDirection(position);
         const startPos = position.clone().add(direction.clone().multiplyScalar(1.5));
         startPos.y += 1.5;
         this.throwStartPosition.copy(startPos);
-        const vx = this.throwForce * Math.cos(this.throwAngle);
-        const vy = this.throwForce * Math.sin(this.throwAngle);
-        const points = [];
-        const timeStep = 0.1;
-        const maxTime = 10.0;
-        let maxHeight = startPos.y;
-        let landingPoint = null;
-        for (let t = 0; t <= maxTime; t += timeStep) {
-            const x = startPos.x + direction.x * vx * t;
-            const z = startPos.z + direction.z * vx * t;
-            const y = startPos.y + vy * t - (0.5 * this.gravity * t * t);
-            maxHeight = Math.max(maxHeight, y);
-            if (y <= 0 && t > 0) {
-                if (!landingPoint) {
-                    landingPoint = new THREE.Vector3(x, 0.01, z);
-                    this.updateLandingMarker(landingPoint);
-                    this.flightData.theoreticalRange = Math.sqrt(
-                        Math.pow(x - startPos.x, 2) +
-                        Math.pow(z - startPos.z, 2)
-                    );
-                    this.flightData.maxHeight = maxHeight - startPos.y;
-                    this.flightData.theoreticalTime = t;
-                }
-                break;
-            }
-            points.push(new THREE.Vector3(x, y, z));
-        }
-        if (this.trajectoryLine) {
-            const geometry = new THREE.BufferGeometry().setFromPoints(points);
-            this.trajectoryLine.geometry.dispose();
-            this.trajectoryLine.geometry = geometry;
-            this.trajectoryLine.computeLineDistances();
-            this.trajectoryLine.visible = true;
-        }
+        this.previewThrowPath(startPos, direction);
+        this.updateDragPreview(startPos, direction);
+        this.updateComparison(startPos, direction);
+        this.updateIntegratorComparison(startPos, direction);
         this.displayFlightData();
     }
 
-    // Throws the ball and adjusts the camera.
-    throwBall() {
+    // Throws the ball and adjusts the camera. `velocity` is the palm velocity of a throw gesture.
+    throwBall(velocity = null) {
+        if (this.launcher) {
+            // In launcher mode the ball stays in the hand and a projectile goes instead
+            this.fireProjectile();
+            return;
+        }
         if (!this.isHoldingBall || this.ballThrown) return;
+        if (this.challenge?.target) {
+            // One throw per target, and only with an answer. A throw gesture without one answers
+            // with the current angle or speed (thumbs up/down, the force hand).
+            if (this.challenge.targetScored) {
+                this.showChallengeMessage('Press N for the next target.');
+                return;
+            }
+            if (this.challengeAnswer === null && velocity) {
+                this.stepChallengeAnswer(0);
+            }
+            if (!this.applyChallengeAnswer()) {
+                this.showChallengeMessage('Type your answer in the challenge panel (or set it with ↑/↓) before throwing.');
+                return;
+            }
+            this.challenge.awaitingScore = true;
+        }
         console.log("Throwing ball...");
         if (this.character) {
             this.ballBody.position.copy(this.character.position);
@@ -1108,16 +1274,14 @@ export class PlanetEnvironment {
             console.log('Using gesture-based velocity:', velocity.toArray());
             this.ballBody.velocity.set(velocity.x, velocity.y, velocity.z);
         } else {
-        const direction = new THREE.Vector3();
-        direction.copy(this.camera.getWorldDirection(new THREE.Vector3()));
-        direction.y = 0;
-        direction.normalize();
+        const direction = this.getAimDirection(this.character.position);
         // Store the throw parameters.
         this.initialThrowDirection = direction.clone();
         this.storedThrowForce = this.throwForce;
         this.storedThrowAngle = this.throwAngle;
         // Save the throw origin as the character's current position (plus offset).
         this.throwStartPosition.copy(this.character.position).add(new THREE.Vector3(0, 1.5, 0));
+        this.throwPrediction = this.predictThrow(this.throwStartPosition, direction);
         const vx = this.throwForce * Math.cos(this.throwAngle);
         const vy = this.throwForce * Math.sin(this.throwAngle);
         this.ballBody.velocity.set(
@@ -1125,8 +1289,30 @@ export class PlanetEnvironment {
             vy,
             direction.z * vx
         );
-        // Switch ball to dynamic with zero damping for ideal projectile motion.
-        this.ballBody.type = CANNON.Body.DYNAMIC;
+        // Integrate the flight through the air once; update() then replays it
+        const flights = this.simulateThrowFlights(this.throwStartPosition, direction, this.throwForce, this.throwAngle);
+        this.throwPreviewKey = '';  // The drag line now shows the thrown ball's path
+        this.vacuumFlight = flights.vacuum;
+        this.dragFlight = flights.drag;
+        this.ballFlight = flights.ball;
+        this.updateDragTrajectoryLine(this.dragFlight);
+        // "Predicted" is the textbook vacuum answer (from the real launch height); the log measures the actual flight
+        this.abandonThrowRecord();
+        this.currentThrowRecord = this.throwLog.begin({
+            planet: this.planetName,
+            gravity: this.gravity,
+            initialVelocity: this.throwForce,
+            angle: this.throwAngle,
+            origin: this.throwStartPosition,
+            direction,
+            airDensity: this.getAirDensity(),
+            drag: !!this.dragFlight,
+            integrator: this.ballFlight ? (this.getIntegratorOptions().integrator || 'rk4') : 'analytic',
+            timeStep: this.ballFlight ? (this.getIntegratorOptions().timeStep ?? 1 / 120) : null,
+            predicted: this.vacuumFlight
+        });
+        // Kinematic while update() moves it along the flight; dynamic again once it lands
+        this.ballBody.type = CANNON.Body.KINEMATIC;
         this.ballBody.linearDamping = 0;
         this.ballBody.angularDamping = 0;
         this.isHoldingBall = false;
@@ -1157,12 +1343,12 @@ export class PlanetEnvironment {
                 trackingData.maxHeight = this.ball.position.y;
             }
             trackingData.positions.push(this.ball.position.clone());
-            if (!trackingData.landed && this.ballBody.position.y < 0.5) {
+            const ground = this.getSurfaceHeight(this.ballBody.position.x, this.ballBody.position.z);
+            if (!trackingData.landed && this.ballBody.position.y < ground + 0.5) {
                 setTimeout(() => this.resetBall(), 2000);
             }
             if (this.isHoldingBall && !this.ballThrown) {
                 this.updateTrajectoryPreview();
-                this.updatePhysicsCalculations();
             }
         }, 16);
     }
@@ -1175,9 +1361,12 @@ export class PlanetEnvironment {
         const initialVelocity = this.throwForce;
         const angle = this.throwAngle * (180 / Math.PI);
         const gravity = Math.abs(this.physicsHandler.gravity.y);
-        const theoreticalRange = (initialVelocity * initialVelocity * Math.sin(2 * this.throwAngle)) / gravity;
+        // Level ground uses the textbook forms; otherwise the general solution from predictThrow()
+        const prediction = this.throwPrediction;
+        const level = !prediction || prediction.symmetric;
+        const theoreticalRange = level ? (initialVelocity * initialVelocity * Math.sin(2 * this.throwAngle)) / gravity : prediction.range;
         const theoreticalMaxHeight = (initialVelocity * initialVelocity * Math.pow(Math.sin(this.throwAngle), 2)) / (2 * gravity);
-        const theoreticalTime = (2 * initialVelocity * Math.sin(this.throwAngle)) / gravity;
+        const theoreticalTime = level ? (2 * initialVelocity * Math.sin(this.throwAngle)) / gravity : prediction.time;
         physicsPanel.innerHTML = `
             <h2 style="color: #4CAF50; margin: 0 0 15px 0; font-size: 18px;">Projectile Motion Analysis</h2>
             <div style="margin-bottom: 15px;">
@@ -1200,19 +1389,17 @@ export class PlanetEnvironment {
                 <h3 style="color: #2196F3; margin: 0 0 8px 0; font-size: 16px;">Step 3: Theoretical Calculations</h3>
                 <div style="background: rgba(255,255,255,0.1); padding: 8px; border-radius: 4px;">
                     <strong>Range (R):</strong><br>
-                    R = (v₀² × sin(2θ)) / g<br>
+                    ${level ? 'R = (v₀² × sin(2θ)) / g' : 'R = v₀ × cos(θ) × t'}<br>
                     R = ${theoreticalRange.toFixed(2)} m<br><br>
                     <strong>Max Height (h):</strong><br>
                     h = (v₀² × sin²(θ)) / (2g)<br>
                     h = ${theoreticalMaxHeight.toFixed(2)} m<br><br>
                     <strong>Flight Time (t):</strong><br>
-                    t = (2 × v₀ × sin(θ)) / g<br>
+                    ${level ? 't = (2 × v₀ × sin(θ)) / g' : `t = (v₀ sin(θ) + √(v₀² sin²(θ) + 2gh)) / g, h = ${prediction.drop.toFixed(2)} m`}<br>
                     t = ${theoreticalTime.toFixed(2)} s
                 </div>
             </div>
-            <div style="font-style: italic; color: #9E9E9E; font-size: 12px;">
-                Note: Differences between measured and theoretical values are due to air resistance and other real-world factors.
-            </div>
+            ${this.getDragSummaryHTML()}
         `;
     }
 
@@ -1278,6 +1465,10 @@ export class PlanetEnvironment {
             event.target.closest('.flight-data-display')) {
             return;
         }
+        if (this.launcher) {
+            this.fireProjectile();
+            return;
+        }
         if (this.isAiming) {
             this.throwBall();
             console.log("Ball thrown via mouse click");
@@ -1308,7 +1499,9 @@ export class PlanetEnvironment {
         board.style.textAlign = 'center';
     
         // Set the content
-        board.innerText = `Welcome to ${planetName}!`;
+        board.innerText = this.cloudDeck
+            ? `Welcome to ${planetName}!\nThere is no solid surface: you are on a balloon gondola ${this.cloudDeck.depth} m above the clouds. Throws that miss the deck fall into the cloud layer.`
+            : `Welcome to ${planetName}!`;
     
         // Append to the document body
         document.body.appendChild(board);
@@ -1381,21 +1574,20 @@ onMouseMove(event) {
     
 
     // Setup: initializes environment, physics, character, and ball.
-    async setup(planetName) {
-        this.gravity = planetGravity[planetName.toLowerCase()] || 9.81;
+    // `body` is the planet's entry from the body catalog; without one an Earth-like surface is used.
+    // The full `catalog` is optional and enables the cross-body comparison mode.
+    async setup(planetName, body = null, catalog = null) {
+        if (!body) {
+            console.warn(`No catalog entry for ${planetName}, using default surface properties`);
+        }
+        this.body = body;
+        this.catalog = catalog;
+        this.planetName = body?.displayName || planetName;
+        this.surface = { ...DEFAULT_SURFACE, ...(body?.surface || {}) };
+        this.gravity = this.surface.gravity;
         console.log(`Using gravity of ${this.gravity} m/s² for ${planetName}`);
         try {
             this.setupPhysics();
-            this.physicsHandler = {
-                throwBall: (body, position, velocity) => {
-                    body.position.copy(position);
-                    body.velocity.copy(velocity);
-                    body.angularVelocity.set(0, 0, 0);
-                    body.type = CANNON.Body.DYNAMIC;
-                    console.log("Ball thrown with velocity:", velocity);
-                }
-            
-            };
 
             await this.createPlanetEnvironment(planetName);
             this.createCharacter();
@@ -1403,8 +1595,18 @@ onMouseMove(event) {
             this.initProjectilePhysics();
             // console.log("Ball created at position:", this.ball ? this.ball.position : "Ball not created");
             this.setupCameraControls();
+            this.createDragControls();
+            if (catalog) {
+                this.createComparisonControls();
+            }
+            this.createThrowLogControls();
+            this.createGraphs();
+            this.createIntegratorControls();
+            this.createLauncherControls();
+            this.createChallengeControls();
+            this.createPlatformControls();
             this.isInUpdateLoop = true;
-            this.showPlanetNotice(planetName);
+            this.showPlanetNotice(body?.displayName || planetName);
             console.log('Planet environment setup complete');
         } catch (error) {
             console.error('Error setting up planet environment:', error);
@@ -1412,38 +1614,14 @@ onMouseMove(event) {
         }
     }
 
-    // Sets up the physics world and contact materials.
+    // Points the shared physics world (physics.js) at this body's gravity and ground bounce.
     setupPhysics() {
-        this.physicsWorld = new CANNON.World();
-        this.physicsWorld.gravity.set(0, -this.gravity, 0);
-        this.physicsWorld.broadphase = new CANNON.NaiveBroadphase();
-        this.physicsWorld.solver.iterations = 10;
-        this.physicsWorld.defaultContactMaterial.friction = 0.5;
-        this.groundMaterial = new CANNON.Material('groundMaterial');
-        this.characterMaterial = new CANNON.Material('characterMaterial');
-        this.ballMaterial = new CANNON.Material('ballMaterial');
-        const groundCharacterCM = new CANNON.ContactMaterial(
-            this.groundMaterial,
-            this.characterMaterial,
-            {
-                friction: 0.5,
-                restitution: 0.3,
-                contactEquationStiffness: 1e8,
-                contactEquationRelaxation: 3
-            }
-        );
-        const groundBallCM = new CANNON.ContactMaterial(
-            this.groundMaterial,
-            this.ballMaterial,
-            {
-                friction: 0.3,
-                restitution: 0.6,
-                contactEquationStiffness: 1e8,
-                contactEquationRelaxation: 3
-            }
-        );
-        this.physicsWorld.addContactMaterial(groundCharacterCM);
-        this.physicsWorld.addContactMaterial(groundBallCM);
+        this.physicsHandler.reset();
+        this.physicsHandler.configureSurface(this.surface);
+        this.physicsWorld = this.physicsHandler.world;
+        this.groundMaterial = this.physicsHandler.materials.ground;
+        this.characterMaterial = this.physicsHandler.materials.character;
+        this.ballMaterial = this.physicsHandler.materials.ball;
     }
 
     // Sets up OrbitControls.
@@ -1474,111 +1652,79 @@ onMouseMove(event) {
 
     // Creates the planet environment.
     async createPlanetEnvironment(planetName) {
+        if (this.surface.cloudDeck) {
+            this.createCloudDeck();
+        } else {
+            this.createTerrain();
+        }
+        const ambientLight = new THREE.AmbientLight(0x404040, 0.5);
+        this.scene.add(ambientLight);
+        const sunLight = new THREE.DirectionalLight(0xffffff, 1);
+        sunLight.position.set(100, 100, 50);
+        sunLight.castShadow = true;
+        sunLight.shadow.mapSize.width = 2048;
+        sunLight.shadow.mapSize.height = 2048;
+        sunLight.shadow.camera.near = 0.5;
+        sunLight.shadow.camera.far = 500;
+        this.scene.add(sunLight);
+        // Stars, except in the daylit haze of a gas giant
+        if (!this.cloudDeck) {
+            this.createStars();
+        }
+        // Denser atmospheres get thicker haze (capped around Venus' 65 kg/m³)
+        const fogDensity = 0.0015 + Math.min(this.surface.atmosphereDensity, 65) * 0.00005;
+        this.scene.fog = new THREE.FogExp2(this.surface.skyColor, fogDensity);
+    }
+
+    // Skybox and the ground of a solid body
+    createTerrain() {
         const skyboxGeometry = new THREE.BoxGeometry(1000, 1000, 1000);
         const skyboxMaterial = new THREE.MeshBasicMaterial({
-            color: 0x000020,
+            color: this.surface.skyColor,
             side: THREE.BackSide,
             fog: false
         });
         const skybox = new THREE.Mesh(skyboxGeometry, skyboxMaterial);
         this.scene.add(skybox);
         const terrainSize = 200;
-        const terrainGeometry = new THREE.PlaneGeometry(terrainSize, terrainSize);
-        let terrainMaterial;
-        switch(planetName.toLowerCase()) {
-            case 'mars':
-                terrainMaterial = new THREE.MeshStandardMaterial({
-                    color: 0xc1440e,
-                    roughness: 0.8,
-                    metalness: 0.2
-                });
-                break;
-            case 'moon':
-                terrainMaterial = new THREE.MeshStandardMaterial({
-                    color: 0x808080,
-                    roughness: 0.9,
-                    metalness: 0.3
-                });
-                break;
-            case 'mercury':
-                terrainMaterial = new THREE.MeshStandardMaterial({
-                    color: 0x8B7355,
-                    roughness: 0.7,
-                    metalness: 0.4
-                });
-                break;
-            case 'venus':
-                terrainMaterial = new THREE.MeshStandardMaterial({
-                    color: 0xFFA500,
-                    roughness: 0.6,
-                    metalness: 0.3
-                });
-                break;
-            case 'earth':
-                terrainMaterial = new THREE.MeshStandardMaterial({
-                    color: 0x228B22,
-                    roughness: 0.8,
-                    metalness: 0.1
-                });
-                break;
-            case 'jupiter':
-                terrainMaterial = new THREE.MeshStandardMaterial({
-                    color: 0xDEB887,
-                    roughness: 0.7,
-                    metalness: 0.2
-                });
-                break;
-            case 'saturn':
-                terrainMaterial = new THREE.MeshStandardMaterial({
-                    color: 0xDAA520,
-                    roughness: 0.6,
-                    metalness: 0.3
-                });
-                break;
-            case 'uranus':
-                terrainMaterial = new THREE.MeshStandardMaterial({
-                    color: 0x40E0D0,
-                    roughness: 0.7,
-                    metalness: 0.2
-                });
-                break;
-            case 'neptune':
-                terrainMaterial = new THREE.MeshStandardMaterial({
-                    color: 0x4169E1,
-                    roughness: 0.7,
-                    metalness: 0.3
-                });
-                break;
-            default:
-                terrainMaterial = new THREE.MeshStandardMaterial({
-                    color: 0x808080,
-                    roughness: 0.8,
-                    metalness: 0.2
-                });
-        }
+        // Seeded heightmap for this body (surface.terrain); the mesh and the collision heightfield are
+        // built from the same grid, and findHeightAtPosition() reads it back
+        this.heightmap = generateTerrain({ size: terrainSize, ...(this.surface.terrain || {}) });
+        const { segments, heights } = this.heightmap;
+        const terrainGeometry = new THREE.PlaneGeometry(terrainSize, terrainSize, segments, segments);
+        // Laid flat by rotation.x below, so local z becomes height
+        const vertices = terrainGeometry.attributes.position;
+        for (let i = 0; i < vertices.count; i++) {
+            vertices.setZ(i, heights[i]);
+        }
+        terrainGeometry.computeVertexNormals();
+        const terrainMaterial = new THREE.MeshStandardMaterial({
+            color: this.surface.terrainColor,
+            roughness: this.surface.roughness,
+            metalness: this.surface.metalness
+        });
+        // Optional ground texture; cached by the shared loader, flat colour if missing
+        LoaderHelper.shared.applyTexture(terrainMaterial, this.surface.terrainTexture, 'map', { repeat: 20 });
         const terrain = new THREE.Mesh(terrainGeometry, terrainMaterial);
         terrain.rotation.x = -Math.PI / 2;
         terrain.receiveShadow = true;
         this.scene.add(terrain);
         this.terrain = terrain;
-        const terrainBody = new CANNON.Body({
-            mass: 0,
-            material: this.groundMaterial
-        });
-        const terrainShape = new CANNON.Plane();
-        terrainBody.addShape(terrainShape);
-        terrainBody.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
-        this.physicsWorld.addBody(terrainBody);
-        const ambientLight = new THREE.AmbientLight(0x404040, 0.5);
-        this.scene.add(ambientLight);
-        const sunLight = new THREE.DirectionalLight(0xffffff, 1);
-        sunLight.position.set(100, 100, 50);
-        sunLight.castShadow = true;
-        sunLight.shadow.mapSize.width = 2048;
-        sunLight.shadow.mapSize.height = 2048;
-        sunLight.shadow.camera.near = 0.5;
-        sunLight.shadow.camera.far = 500;
-        this.scene.add(sunLight);
+        this.groundBody = this.heightmap.style === 'flat'
+            ? this.physicsHandler.addGround()
+            : this.physicsHandler.addHeightfield(this.heightmap);
+    }
+
+    // A gas giant has nothing to stand on: a gondola under a balloon above the cloud tops, a banded
+    // sky, and the deck's wind as the default of the air resistance panel
+    createCloudDeck() {
+        this.cloudDeck = new CloudDeck(this.scene, this.physicsHandler, this.surface.cloudDeck);
+        this.groundBody = this.cloudDeck.body;
+        this.dragSettings.windSpeed = this.cloudDeck.settings.windSpeed;
+        this.dragSettings.windDirection = this.cloudDeck.settings.windDirection;
+    }
+
+    createStars() {
         const starsGeometry = new THREE.BufferGeometry();
         const starsMaterial = new THREE.PointsMaterial({
             color: 0xffffff,
@@ -1596,12 +1742,13 @@ onMouseMove(event) {
         starsGeometry.setAttribute('position', new THREE.Float32BufferAttribute(starsVertices, 3));
         const stars = new THREE.Points(starsGeometry, starsMaterial);
         this.scene.add(stars);
-        this.scene.fog = new THREE.FogExp2(0x000020, 0.0015);
     }
 
-    // For a flat plane, returns 0.
+    // Ground height (m) at a point, exactly on the drawn terrain; 0 before the terrain exists. On a
+    // gas giant it is the gondola deck, or the cloud tops far below it.
     findHeightAtPosition(x, z) {
-        return 0;
+        if (this.cloudDeck) return this.cloudDeck.heightAt(x, z);
+        return this.heightmap ? this.heightmap.heightAt(x, z) : 0;
     }
 
     // Creates the character and its physics body.
@@ -1653,14 +1800,16 @@ onMouseMove(event) {
         const startX = 0;
         const startZ = 0;
         const characterHeight = 2;
-        this.character.position.set(startX, characterHeight, startZ);
+        this.characterHeight = characterHeight; // Above the ground, kept while walking on slopes
+        const startY = this.findHeightAtPosition(startX, startZ) + this.platformHeight + characterHeight;
+        this.character.position.set(startX, startY, startZ);
         this.scene.add(this.character);
         const characterShape = new CANNON.Cylinder(1, 1, 4, 8);
         this.characterBody = new CANNON.Body({
             mass: 10,
             material: this.characterMaterial,
             fixedRotation: true,
-            position: new CANNON.Vec3(startX, characterHeight, startZ)
+            position: new CANNON.Vec3(startX, startY, startZ)
         });
         this.characterBody.addShape(characterShape);
         this.characterBody.linearDamping = 0.9;
@@ -1672,7 +1821,7 @@ onMouseMove(event) {
                 this.characterBody.velocity.scale(0.5, this.characterBody.velocity);
             }
         });
-        this.physicsWorld.addBody(this.characterBody);
+        this.physicsHandler.addBody(this.characterBody);
     }   
 
     // Helper to dispose recursively of an object's resources.
@@ -1737,6 +1886,58 @@ disposeHierarchy(parent, disposeMaterials = true) {
         this.scene.remove(this.secondaryTrajectoryLine);
         this.secondaryTrajectoryLine = null;
       }
+      if (this.dragTrajectoryLine) {
+        this.dragTrajectoryLine.geometry.dispose();
+        this.dragTrajectoryLine.material.dispose();
+        this.scene.remove(this.dragTrajectoryLine);
+        this.dragTrajectoryLine = null;
+      }
+      this.dragFlight = null;
+      this.vacuumFlight = null;
+      this.ballFlight = null;
+      this.previewFlights = null;
+      this.removeDragControls();
+      this.setComparisonMode(false);
+      if (this.comparisonControls) {
+        this.comparisonControls.button.remove();
+        this.comparisonControls.panel.remove();
+        this.comparisonControls = null;
+      }
+      // The log itself is kept for the rest of the session; only its buttons go
+      this.abandonThrowRecord();
+      this.throwLog.onChange = null;
+      if (this.throwLogControls) {
+        this.throwLogControls.panel.remove();
+        this.throwLogControls = null;
+      }
+      if (this.graphs) {
+        this.graphs.dispose();
+        this.graphsButton.remove();
+        this.graphs = null;
+        this.graphsButton = null;
+      }
+      this.setIntegratorComparison(false);
+      if (this.integratorControls) {
+        this.integratorControls.panel.remove();
+        this.integratorControls = null;
+      }
+      this.setLauncherMode(false);
+      if (this.launcherControls) {
+        this.launcherControls.panel.remove();
+        this.launcherControls = null;
+      }
+      this.setChallengeMode(false);
+      if (this.challengeControls) {
+        this.challengeControls.panel.remove();
+        this.challengeControls = null;
+      }
+      this.removeLaunchPlatform();
+      if (this.platformControls) {
+        this.platformControls.panel.remove();
+        this.platformControls = null;
+      }
+      this.throwPrediction = null;
+      this.throwPreviewKey = '';
       this.removeFlightDataDisplay();
       
       // 4. Remove dynamic objects: character, ball, and their physics bodies.
@@ -1746,7 +1947,7 @@ disposeHierarchy(parent, disposeMaterials = true) {
         this.character = null;
       }
       if (this.characterBody) {
-        this.physicsWorld.removeBody(this.characterBody);
+        this.physicsHandler.removeBody(this.characterBody);
         this.characterBody = null;
       }
       if (this.ball) {
@@ -1755,9 +1956,14 @@ disposeHierarchy(parent, disposeMaterials = true) {
         this.ball = null;
       }
       if (this.ballBody) {
-        this.physicsWorld.removeBody(this.ballBody);
+        this.physicsHandler.removeBody(this.ballBody);
         this.ballBody = null;
       }
+      // The world is shared with the next environment, so take out whatever is left (ground, projectiles)
+      this.physicsHandler.reset();
+      this.groundBody = null;
+      this.physicsWorld = null;
+      this.heightmap = null;
       
       // 5. Remove environment-specific objects.
       if (this.skybox) {
@@ -1772,6 +1978,10 @@ disposeHierarchy(parent, disposeMaterials = true) {
         this.scene.remove(this.terrain);
         this.terrain = null;
       }
+      if (this.cloudDeck) {
+        this.cloudDeck.dispose();
+        this.cloudDeck = null;
+      }
       if (this.ambientLight) {
         this.scene.remove(this.ambientLight);
         this.ambientLight = null;
@@ -1819,7 +2029,7 @@ disposeHierarchy(parent, disposeMaterials = true) {
     // Updates the landing marker position and flight range.
     updateLandingMarker(position) {
         this.landingMarker.position.copy(position);
-        this.landingMarker.position.y = 0.01;
+        this.landingMarker.position.y = this.getSurfaceHeight(position.x, position.z) + 0.01;
         this.landingMarker.visible = true;
         const distance = this.throwStartPosition.distanceTo(position);
         this.flightData.range = distance;
@@ -1835,7 +2045,8 @@ disposeHierarchy(parent, disposeMaterials = true) {
         const vy = velocity * Math.sin(angle);
         const maxHeight = (vy * vy) / (2 * this.gravity);
         this.flightData.maxHeight = maxHeight;
-        const range = (velocity * velocity * Math.sin(2 * angle)) / this.gravity;
+        // sin 2θ only holds for landing at the launch height; otherwise use the general solution
+        const range = this.throwPrediction ? this.throwPrediction.range : (velocity * velocity * Math.sin(2 * angle)) / this.gravity;
         this.flightData.theoreticalRange = range;
     }
 
@@ -1923,6 +2134,7 @@ disposeHierarchy(parent, disposeMaterials = true) {
     }
     // Clears trajectory preview.
     clearTrajectoryPreview() {
+        this.throwPreviewKey = '';
         if (this.trajectoryLine) {
             this.trajectoryLine.visible = false;
             const geometry = this.trajectoryLine.geometry;
@@ -1944,68 +2156,119 @@ disposeHierarchy(parent, disposeMaterials = true) {
         } else {
             startPos.set(0, 2, 0);
         }
-        const direction = new THREE.Vector3();
-        direction.copy(this.camera.getWorldDirection(new THREE.Vector3()));
-        direction.y = 0;
-        direction.normalize();
+        const direction = this.getAimDirection(startPos);
         this.throwStartPosition.copy(startPos);
-        const vx = this.throwForce * Math.cos(this.throwAngle);
-        const vy = this.throwForce * Math.sin(this.throwAngle);
-        const points = [];
-        const timeStep = 0.1;
-        const maxTime = 5.0;
-        let maxHeight = startPos.y;
-        let landingPoint = null;
-        for (let t = 0; t <= maxTime; t += timeStep) {
-            const x = startPos.x + direction.x * vx * t;
-            const z = startPos.z + direction.z * vx * t;
-            const y = startPos.y + vy * t - (0.5 * this.gravity * t * t);
-            maxHeight = Math.max(maxHeight, y);
-            if (y <= 0 && t > 0) {
-                if (!landingPoint) {
-                    landingPoint = new THREE.Vector3(x, 0.01, z);
-                    this.updateLandingMarker(landingPoint);
-                    this.flightData.theoreticalRange = Math.sqrt(
-                        Math.pow(x - startPos.x, 2) +
-                        Math.pow(z - startPos.z, 2)
-                    );
-                    this.flightData.maxHeight = maxHeight - startPos.y;
-                    this.flightData.theoreticalTime = t;
-                }
-                break;
+        // Runs every frame the ball is held: only predict and integrate again when the throw changed
+        const key = this.getThrowPreviewKey(startPos, direction);
+        if (key !== this.throwPreviewKey) {
+            this.throwPreviewKey = key;
+            this.previewThrowPath(startPos, direction);
+            this.updateDragPreview(startPos, direction);
+            this.updatePhysicsCalculations();
+        }
+        this.updateComparison(startPos, direction);
+        this.updateIntegratorComparison(startPos, direction);
+        this.renderChallengeQuestion();
+    }
+
+    // Everything the preview of a throw from startPos along `direction` depends on: the throw, the
+    // gravity, the air and integrator settings and the surfaces it can land on
+    getThrowPreviewKey(startPos, direction) {
+        const target = this.challenge?.target;
+        return [
+            ...startPos.toArray(), ...direction.toArray(), this.throwForce, this.throwAngle, this.gravity,
+            ...Object.values(this.dragSettings), this.integratorSettings.method, this.integratorSettings.timeStep,
+            ...(target ? target.position.toArray() : []), this.platformHeight
+        ].map(value => typeof value === 'number' ? value.toFixed(4) : value).join('|');
+    }
+
+    // What a falling ball lands on at (x, z): the terrain, or the top of the challenge target or the
+    // launch platform when it is over one
+    getSurfaceHeight(x, z) {
+        let height = this.findHeightAtPosition(x, z);
+        const targetTop = this.challenge ? this.challenge.getTopHeight(x, z) : null;
+        if (targetTop !== null) {
+            height = Math.max(height, targetTop);
+        }
+        if (this.launchPlatform) {
+            const { mesh } = this.launchPlatform;
+            const half = mesh.geometry.parameters.width / 2;
+            if (Math.abs(x - mesh.position.x) <= half && Math.abs(z - mesh.position.z) <= half) {
+                height = Math.max(height, mesh.position.y + mesh.geometry.parameters.height / 2);
             }
-            points.push(new THREE.Vector3(x, y, z));
         }
+        return height;
+    }
+
+    // Closed-form vacuum prediction for a throw from startPos along `direction`: where the parabola
+    // first meets the surface, and the general quadratic solution for landing at that height
+    // (utils/projectile.js). solveThrow()'s fields plus { launchHeight, landingHeight, drop,
+    // groundSlope, landing }, where drop is the launch height above the landing point.
+    predictThrow(startPos, direction, speed = this.throwForce, angle = this.throwAngle) {
+        const surface = (x, z) => this.getSurfaceHeight(x, z);
+        const found = findLanding(startPos, direction, speed, angle, this.gravity, surface);
+        const landingHeight = found ? found.point.y : surface(startPos.x, startPos.z);
+        const drop = startPos.y - landingHeight;
+        const solution = solveThrow({ speed, angle, gravity: this.gravity, drop });
+        const landing = found
+            ? found.point
+            : startPos.clone().addScaledVector(direction, solution.range).setY(landingHeight);
+        return {
+            ...solution,
+            launchHeight: startPos.y,
+            landingHeight,
+            drop,
+            groundSlope: found ? found.slope : 0,
+            landing
+        };
+    }
+
+    // Draws the predicted path into the green preview line, moves the landing marker and fills in
+    // the theoretical flight data
+    previewThrowPath(startPos, direction) {
+        const prediction = this.predictThrow(startPos, direction);
+        this.throwPrediction = prediction;
+        const points = [];
+        const steps = 60;
+        for (let i = 0; i <= steps; i++) {
+            const t = (prediction.time * i) / steps;
+            points.push(new THREE.Vector3(
+                startPos.x + direction.x * prediction.vx * t,
+                startPos.y + prediction.vy * t - 0.5 * this.gravity * t * t,
+                startPos.z + direction.z * prediction.vx * t
+            ));
+        }
+        this.updateLandingMarker(prediction.landing);
+        this.flightData.theoreticalRange = prediction.range;
+        this.flightData.maxHeight = prediction.apex;
+        this.flightData.theoreticalTime = prediction.time;
         if (this.trajectoryLine) {
-            const geometry = new THREE.BufferGeometry().setFromPoints(points);
-            this.trajectoryLine.geometry.dispose();
-            this.trajectoryLine.geometry = geometry;
-            this.trajectoryLine.computeLineDistances();
+            this.setLinePoints(this.trajectoryLine, points);
             this.trajectoryLine.visible = true;
         }
-        this.updatePhysicsCalculations();
+        return prediction;
     }
 
     // Updates physics calculations.
     updatePhysicsCalculations() {
         if (!this.isHoldingBall) return;
-        const g = this.gravity
         const v0 = this.throwForce;
         const angle = this.throwAngle;
-        const v0x = v0 * Math.cos(angle);
-        const v0y = v0 * Math.sin(angle);
-        const timeOfFlight = (2 * v0y) / g;
-        const range = v0x * timeOfFlight;
-        const maxHeight = (v0y * v0y) / (2 * g);
+        // General solution from the launch height to wherever the aimed throw comes down
+        const prediction = this.throwPrediction || this.predictThrow(this.throwStartPosition, this.getAimDirection(this.throwStartPosition));
+        const timeOfFlight = prediction.time;
+        const range = prediction.range;
+        const maxHeight = prediction.apex;
         const physicsElement = document.getElementById('physics-calculations');
         if (physicsElement) {
             physicsElement.innerHTML = `
                 <div class="physics-value">Force: ${v0.toFixed(1)} m/s</div>
                 <div class="physics-value">Angle: ${(angle * 180 / Math.PI).toFixed(1)}°</div>
+                <div class="physics-value">Launch ${prediction.drop >= 0 ? 'above' : 'below'} landing (h): ${Math.abs(prediction.drop).toFixed(2)} m</div>
                 <div class="physics-value">Range (R): ${range.toFixed(2)} m</div>
-                <div class="physics-formula">R = (v² × sin(2θ)) / g</div>
+                <div class="physics-formula">${prediction.symmetric ? 'R = (v² × sin(2θ)) / g' : 'R = v × cos(θ) × T'}</div>
                 <div class="physics-value">Time of Flight (T): ${timeOfFlight.toFixed(2)} s</div>
-                <div class="physics-formula">T = (2 × v × sin(θ)) / g</div>
+                <div class="physics-formula">${prediction.symmetric ? 'T = (2 × v × sin(θ)) / g' : 'T = (v sin(θ) + √(v² sin²(θ) + 2gh)) / g'}</div>
                 <div class="physics-value">Max Height (H): ${maxHeight.toFixed(2)} m</div>
                 <div class="physics-formula">H = (v² × sin²(θ)) / (2g)</div>
             `;
@@ -2015,12 +2278,810 @@ disposeHierarchy(parent, disposeMaterials = true) {
         this.flightData.range = range;
         this.flightData.maxHeight = maxHeight;
         this.flightData.flightTime = timeOfFlight;
+        this.updateGraphs();
     }
 
     // Hides the physics calculations UI.
 
+    // ---------------------- Air Resistance ----------------------
+
+    getAirDensity() {
+        return this.surface.atmosphereDensity || 0;
+    }
+
+    // Drag only changes anything when it is switched on and the body has an atmosphere
+    isDragActive() {
+        return this.dragSettings.enabled && this.getAirDensity() > 0;
+    }
+
+    // Horizontal wind in world space, turned from the throw direction by windDirection
+    getWindVector(throwDirection) {
+        const { windSpeed, windDirection } = this.dragSettings;
+        if (!windSpeed) return null;
+        return throwDirection.clone()
+            .applyAxisAngle(new THREE.Vector3(0, 1, 0), THREE.MathUtils.degToRad(windDirection))
+            .multiplyScalar(windSpeed);
+    }
+
+    // Integrates the same throw in vacuum and through the air. `drag` is null when drag doesn't apply;
+    // `ball` is the flight the thrown ball follows (null for the closed-form parabola). The vacuum
+    // reference always uses the default RK4, which is exact for constant gravity.
+    simulateThrowFlights(startPos, direction, force, angle) {
+        const horizontal = force * Math.cos(angle);
+        const options = {
+            position: startPos,
+            velocity: new THREE.Vector3(direction.x * horizontal, force * Math.sin(angle), direction.z * horizontal),
+            gravity: this.gravity,
+            groundHeight: (x, z) => this.getSurfaceHeight(x, z)
+        };
+        const integrator = this.getIntegratorOptions();
+        const drag = this.isDragActive() ? simulateFlight({
+            ...options,
+            ...integrator,
+            density: this.getAirDensity(),
+            ball: this.dragSettings,
+            wind: this.getWindVector(direction)
+        }) : null;
+        return {
+            vacuum: simulateFlight(options),
+            drag,
+            ball: drag || (integrator.integrator ? simulateFlight({ ...options, ...integrator }) : null)
+        };
+    }
+
+    // Blue drag path next to the vacuum preview while aiming, plus the range comparison
+    updateDragPreview(startPos, direction) {
+        if (this.ballThrown) return;
+        this.previewFlights = this.simulateThrowFlights(startPos, direction, this.throwForce, this.throwAngle);
+        this.updateDragTrajectoryLine(this.previewFlights.drag);
+        this.updateDragComparison(this.previewFlights);
+    }
+
+    updateDragTrajectoryLine(flight) {
+        if (!flight) {
+            if (this.dragTrajectoryLine) this.dragTrajectoryLine.visible = false;
+            return;
+        }
+        if (!this.dragTrajectoryLine) {
+            const material = new THREE.LineDashedMaterial({
+                color: 0x00bfff,
+                dashSize: 0.5,
+                gapSize: 0.2,
+                opacity: 0.9,
+                transparent: true
+            });
+            this.dragTrajectoryLine = new THREE.Line(new THREE.BufferGeometry(), material);
+            this.dragTrajectoryLine.frustumCulled = false;
+            this.scene.add(this.dragTrajectoryLine);
+        }
+        this.setLinePoints(this.dragTrajectoryLine, flightPoints(flight));
+        this.dragTrajectoryLine.visible = true;
+    }
+
+    // Writes `points` into a line's position buffer, which is only replaced (at twice the size)
+    // when they no longer fit, and redoes the dash distances
+    setLinePoints(line, points) {
+        const geometry = line.geometry;
+        let position = geometry.getAttribute('position');
+        if (!position || position.count < points.length) {
+            const capacity = Math.max(points.length, position ? position.count * 2 : 64);
+            position = new THREE.BufferAttribute(new Float32Array(capacity * 3), 3);
+            position.setUsage(THREE.DynamicDrawUsage);
+            geometry.setAttribute('position', position);
+        }
+        points.forEach((point, i) => position.setXYZ(i, point.x, point.y, point.z));
+        position.needsUpdate = true;
+        geometry.setDrawRange(0, points.length);
+        line.computeLineDistances();
+    }
+
+    // Vacuum vs. air table for the given flights (the last throw by default)
+    getDragSummaryHTML(flights = { vacuum: this.vacuumFlight, drag: this.dragFlight }) {
+        const { vacuum, drag } = flights;
+        if (!vacuum) return '';
+        if (!drag) {
+            const reason = this.getAirDensity() > 0 ? 'Air resistance is switched off' : 'There is no atmosphere here';
+            return `
+                <div style="font-style: italic; color: #9E9E9E; font-size: 12px;">
+                    ${reason}, so the ball follows the vacuum parabola (range ${vacuum.range.toFixed(2)} m).
+                </div>
+            `;
+        }
+        const change = vacuum.range > 0 ? ((drag.range - vacuum.range) / vacuum.range) * 100 : 0;
+        const row = (label, a, b, unit) => `
+            <tr><td>${label}</td><td style="text-align: right;">${a.toFixed(2)} ${unit}</td><td style="text-align: right; color: #00bfff;">${b.toFixed(2)} ${unit}</td></tr>`;
+        return `
+            <table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+                <tr><th></th><th style="text-align: right;">Vacuum</th><th style="text-align: right; color: #00bfff;">With air</th></tr>
+                ${row('Range', vacuum.range, drag.range, 'm')}
+                ${row('Max height', vacuum.apex, drag.apex, 'm')}
+                ${row('Flight time', vacuum.flightTime, drag.flightTime, 's')}
+            </table>
+            <div style="margin-top: 5px; font-size: 12px;">
+                Air changes the range by <strong>${change >= 0 ? '+' : ''}${change.toFixed(1)}%</strong>
+            </div>
+        `;
+    }
+
+    // Extra step for showProjectileExplanation when the throw flew through air
+    getDragExplanationHTML() {
+        if (!this.dragFlight || !this.vacuumFlight) return '';
+        const { mass, radius, dragCoefficient, windSpeed } = this.dragSettings;
+        const density = this.getAirDensity();
+        const area = Math.PI * radius * radius;
+        return `
+            <h3 style="margin: 4px 0;">Step 5: Air Resistance</h3>
+            <p style="margin: 2px 0;">F<sub>drag</sub> = ½ × ρ × C<sub>d</sub> × A × v²</p>
+            <p style="margin: 2px 0;">ρ = ${density} kg/m³, C<sub>d</sub> = ${dragCoefficient}, A = π × ${radius}² = ${area.toFixed(4)} m², m = ${mass} kg</p>
+            <p style="margin: 2px 0;">Drag per unit speed² = ρC<sub>d</sub>A / 2m = ${this.dragFlight.dragFactor.toFixed(4)} 1/m</p>
+            ${windSpeed ? `<p style="margin: 2px 0;">Wind: ${windSpeed} m/s (drag acts on the speed relative to the air)</p>` : ''}
+            <p style="margin: 2px 0;">No closed form exists, so the path is integrated numerically (${this.getIntegratorDescription()}).</p>
+            ${this.getDragSummaryHTML()}
+        `;
+    }
+
+    // Refreshes the comparison in the air resistance panel (skipped when nothing changed)
+    updateDragComparison(flights = { vacuum: this.vacuumFlight, drag: this.dragFlight }) {
+        if (!this.dragControls) return;
+        const html = this.getDragSummaryHTML(flights);
+        if (html !== this.dragSummaryHTML) {
+            this.dragSummaryHTML = html;
+            this.dragControls.summary.innerHTML = html;
+        }
+    }
+
+    // Air resistance panel in the physics HUD: drag on/off, ball properties and wind
+    createDragControls() {
+        this.removeDragControls();
+
+        const { panel } = createHudSection(`Air Resistance (ρ = ${this.getAirDensity()} kg/m³)`, { id: 'drag-controls', keys: true });
+
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = this.dragSettings.enabled;
+        toggle.disabled = this.getAirDensity() <= 0;
+        toggle.addEventListener('change', () => {
+            this.dragSettings.enabled = toggle.checked;
+        });
+        addHudRow(panel, 'Air resistance:', toggle);
+
+        const fields = [
+            ['mass', 'Ball mass (kg):', 0.01, 0.05],
+            ['radius', 'Ball radius (m):', 0.01, 0.01],
+            ['dragCoefficient', 'Drag coefficient:', 0, 0.01],
+            ['windSpeed', 'Wind (m/s):', 0, 1],
+            ['windDirection', 'Wind direction (°):', -360, 15]
+        ];
+        fields.forEach(([key, labelText, min, step]) => {
+            addHudRow(panel, labelText, createHudNumberInput({
+                value: this.dragSettings[key],
+                min,
+                step,
+                onChange: (value) => { this.dragSettings[key] = value; }
+            }));
+        });
+
+        const summary = document.createElement('div');
+        summary.style.marginTop = '8px';
+        panel.appendChild(summary);
+
+        this.dragSummaryHTML = '';
+        this.dragControls = { panel, toggle, summary };
+    }
+
+    removeDragControls() {
+        if (this.dragControls) {
+            this.dragControls.panel.remove();
+            this.dragControls = null;
+        }
+    }
+
+    // ---------------------- Cross-Body Comparison ----------------------
+
+    // Button in the physics HUD plus the results table (hidden until comparison mode is on)
+    createComparisonControls() {
+        const button = createHudButton('Compare on all bodies', () => this.setComparisonMode(!this.comparison), { wide: true });
+        button.style.marginTop = '10px';
+        const hud = document.getElementById('physics-hud') || this.dragControls?.panel || document.body;
+        hud.appendChild(button);
+
+        const panel = document.createElement('div');
+        panel.id = 'comparison-panel';
+        panel.style.position = 'fixed';
+        panel.style.left = '10px';
+        panel.style.bottom = '60px';
+        panel.style.maxHeight = '50vh';
+        panel.style.overflowY = 'auto';
+        panel.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+        panel.style.color = 'white';
+        panel.style.padding = '10px';
+        panel.style.borderRadius = '8px';
+        panel.style.fontFamily = 'Arial, sans-serif';
+        panel.style.fontSize = '12px';
+        panel.style.zIndex = '1000';
+        panel.style.display = 'none';
+        ['mousedown', 'touchstart'].forEach(type => {
+            panel.addEventListener(type, (event) => event.stopPropagation());
+        });
+        panel.addEventListener('change', (event) => {
+            const name = event.target.dataset.body;
+            if (!name || !this.comparison) return;
+            this.comparison.setSelected(name, event.target.checked);
+            this.comparisonKey = ''; // Force a redraw with the new selection
+        });
+        document.body.appendChild(panel);
+
+        this.comparisonControls = { button, panel };
+    }
+
+    setComparisonMode(enabled) {
+        if (enabled === !!this.comparison) return;
+        if (enabled) {
+            this.comparison = new ThrowComparison(this.scene, this.catalog);
+            this.comparisonKey = '';
+            if (this.isHoldingBall) {
+                this.updateTrajectoryPreview();
+            }
+            this.frameComparison();
+        } else {
+            this.comparison.dispose();
+            this.comparison = null;
+        }
+        if (this.comparisonControls) {
+            this.comparisonControls.panel.style.display = enabled ? 'block' : 'none';
+            this.comparisonControls.button.textContent = enabled ? 'Hide comparison' : 'Compare on all bodies';
+        }
+        console.log(`Comparison mode ${enabled ? 'on' : 'off'}`);
+    }
+
+    // Replays the aimed throw on the selected bodies; only redraws when something changed
+    updateComparison(startPos, direction) {
+        if (!this.comparison || this.ballThrown) return;
+        const drag = this.dragSettings.enabled ? this.dragSettings : null;
+        const key = [
+            ...startPos.toArray(), ...direction.toArray(), this.throwForce, this.throwAngle,
+            drag ? [drag.mass, drag.radius, drag.dragCoefficient, drag.windSpeed, drag.windDirection].join() : 'vacuum'
+        ].map(value => typeof value === 'number' ? value.toFixed(3) : value).join('|');
+        if (key === this.comparisonKey) return;
+        this.comparisonKey = key;
+
+        const horizontal = this.throwForce * Math.cos(this.throwAngle);
+        const results = this.comparison.update({
+            position: startPos,
+            velocity: new THREE.Vector3(direction.x * horizontal, this.throwForce * Math.sin(this.throwAngle), direction.z * horizontal),
+            ball: drag,
+            wind: this.getWindVector(direction)
+        });
+        this.renderComparisonTable(results);
+    }
+
+    renderComparisonTable(results) {
+        if (!this.comparisonControls) return;
+        const byName = new Map(results.map(result => [result.name, result]));
+        const current = this.body?.name;
+        const rows = this.comparison.bodies.map(body => {
+            const result = byName.get(body.name);
+            const color = `#${this.comparison.getColor(body.name).getHexString()}`;
+            const cells = result
+                ? [result.gravity, result.flight.range, result.flight.apex, result.flight.flightTime].map(v => `<td style="text-align: right;">${v.toFixed(2)}</td>`).join('')
+                : '<td colspan="4" style="text-align: center; color: #777;">not shown</td>';
+            return `
+                <tr style="${body.name === current ? 'font-weight: bold;' : ''}">
+                    <td><input type="checkbox" data-body="${body.name}" ${result ? 'checked' : ''}></td>
+                    <td><span style="display: inline-block; width: 10px; height: 10px; background: ${color};"></span>
+                        ${this.catalog.getDisplayName(body.name)}${body.name === current ? ' (here)' : ''}</td>
+                    ${cells}
+                </tr>`;
+        }).join('');
+        this.comparisonControls.panel.innerHTML = `
+            <h3 style="margin: 0 0 8px 0; color: #4CAF50; font-size: 14px;">
+                Same throw everywhere: ${this.throwForce.toFixed(1)} m/s at ${(this.throwAngle * 180 / Math.PI).toFixed(1)}°
+                ${this.dragSettings.enabled ? '(with air)' : '(vacuum)'}
+            </h3>
+            <table style="border-collapse: collapse;">
+                <tr><th></th><th style="text-align: left;">Body</th><th>g (m/s²)</th><th>Range (m)</th><th>Apex (m)</th><th>Time (s)</th></tr>
+                ${rows}
+            </table>
+        `;
+    }
+
+    // Pulls the camera back so every comparison path is in view
+    frameComparison() {
+        if (!this.comparison || this.comparison.results.length === 0) return;
+        const bounds = this.comparison.getBounds();
+        const center = bounds.getCenter(new THREE.Vector3());
+        const size = bounds.getSize(new THREE.Vector3());
+        const span = Math.max(size.x, size.z, size.y);
+        // Step back along the aim rather than to the side: the throw direction follows the camera,
+        // so looking from the side would turn every path away from the view
+        const direction = this.camera.getWorldDirection(new THREE.Vector3());
+        direction.y = 0;
+        if (direction.lengthSq() < 1e-6) direction.set(0, 0, -1);
+        this.camera.position.copy(center).add(direction.normalize().multiplyScalar(-span * 0.8));
+        this.camera.position.y += span * 0.6;
+        this.camera.lookAt(center);
+        if (this.controls && this.controls.target) {
+            this.controls.maxDistance = Math.max(this.controls.maxDistance, span * 2);
+            this.controls.target.copy(center);
+        }
+    }
+
+    // ---------------------- Throw Log ----------------------
+
+    // Throw count and download buttons in the physics HUD
+    createThrowLogControls() {
+        this.throwLogControls = createThrowLogControls(this.throwLog);
+    }
+
+    // Takes a throw that is still in the air out of the log: it will never get a landing
+    abandonThrowRecord() {
+        if (this.currentThrowRecord) {
+            this.throwLog.discard(this.currentThrowRecord);
+            this.currentThrowRecord = null;
+        }
+    }
+
+    // ---------------------- Kinematics Graphs ----------------------
+
+    // Graph panel plus a show/hide button in the physics HUD
+    createGraphs() {
+        this.graphs = new KinematicsGraphs().mount();
+        this.graphs.setVisible(true);
+        this.graphsKey = '';
+
+        const button = createHudButton('Hide graphs', () => {
+            const visible = !this.graphs.isVisible();
+            this.graphs.setVisible(visible);
+            button.textContent = visible ? 'Hide graphs' : 'Show graphs';
+            this.graphsKey = '';
+            this.updateGraphs();
+        }, { wide: true });
+        button.style.marginTop = '10px';
+        button.addEventListener('mousedown', (event) => event.stopPropagation());
+        (document.getElementById('physics-hud') || document.body).appendChild(button);
+        this.graphsButton = button;
+    }
+
+    // While aiming the graphs show the theory for the next throw; during and after a throw, the
+    // logged samples. Only redraws when something changed.
+    updateGraphs() {
+        if (!this.graphs || !this.graphs.isVisible()) return;
+        const throws = this.throwLog.throws;
+        let current;
+        let history;
+        if (this.isHoldingBall && !this.ballThrown) {
+            current = {
+                gravity: this.gravity,
+                initialVelocity: this.throwForce,
+                angle: this.throwAngle * 180 / Math.PI,
+                launchHeight: this.throwStartPosition.y,
+                landingHeight: this.throwPrediction ? this.throwPrediction.landingHeight : 0
+            };
+            history = throws;
+        } else {
+            current = throws[throws.length - 1] || null;
+            history = throws.slice(0, -1);
+        }
+        const key = [
+            throws.length, current?.id, current?.samples?.length,
+            current?.initialVelocity, current?.angle, current?.launchHeight?.toFixed(2), current?.landingHeight?.toFixed(2)
+        ].join('|');
+        if (key === this.graphsKey) return;
+        this.graphsKey = key;
+        this.graphs.draw(current, history);
+    }
+
+    // ---------------------- Numerical Integrators ----------------------
+
+    // simulateFlight() options for the chosen method; {} keeps the defaults (RK4, 1/120 s)
+    getIntegratorOptions() {
+        const { method, timeStep } = this.integratorSettings;
+        return method === 'analytic' ? {} : { integrator: method, timeStep };
+    }
+
+    getIntegratorDescription() {
+        const { integrator, timeStep } = this.getIntegratorOptions();
+        return integrator
+            ? `${INTEGRATORS[integrator].label}, Δt = ${timeStep.toFixed(4)} s`
+            : 'Runge-Kutta 4, Δt = 1/120 s';
+    }
+
+    // Method and time step selects plus the comparison toggle, in the physics HUD
+    createIntegratorControls() {
+        this.integratorControls = createIntegratorControls(this.integratorSettings, {
+            onChange: () => { this.integratorComparisonKey = ''; },
+            onCompare: () => this.setIntegratorComparison(!this.integratorComparison)
+        });
+    }
+
+    setIntegratorComparison(enabled) {
+        if (enabled === !!this.integratorComparison) return;
+        if (enabled) {
+            this.integratorComparison = new IntegratorComparison().mount();
+            this.integratorComparison.setVisible(true);
+            this.integratorComparisonKey = '';
+            if (this.isHoldingBall) {
+                this.updateTrajectoryPreview();
+            }
+        } else {
+            this.integratorComparison.dispose();
+            this.integratorComparison = null;
+        }
+        if (this.integratorControls) {
+            this.integratorControls.button.textContent = enabled ? 'Hide comparison' : 'Compare methods';
+        }
+    }
+
+    // Runs every integrator on the aimed throw (vacuum, so the exact answer is known) up to the
+    // analytic landing time; only recomputes when the throw or the time step changed
+    updateIntegratorComparison(startPos, direction) {
+        if (!this.integratorComparison || this.ballThrown) return;
+        const timeStep = this.integratorSettings.timeStep;
+        const duration = (this.throwPrediction || this.predictThrow(startPos, direction)).time;
+        const key = [startPos.y, duration, this.throwForce, this.throwAngle, this.gravity, timeStep, this.integratorSettings.method]
+            .map(value => typeof value === 'number' ? value.toFixed(4) : value).join('|');
+        if (key === this.integratorComparisonKey) return;
+        this.integratorComparisonKey = key;
+
+        const horizontal = this.throwForce * Math.cos(this.throwAngle);
+        const vy = this.throwForce * Math.sin(this.throwAngle);
+        const results = compareIntegrators({
+            position: startPos,
+            velocity: new THREE.Vector3(direction.x * horizontal, vy, direction.z * horizontal),
+            gravity: this.gravity,
+            timeStep,
+            duration
+        });
+        this.integratorComparison.draw(results, timeStep, this.integratorSettings.method);
+    }
+
+    // ---------------------- Projectile Launcher ----------------------
+
+    // Launcher section in the physics HUD: mode toggle, angle sweep, clear, and the sweep results
+    createLauncherControls() {
+        this.launcherControls = createLauncherControls({
+            onToggle: () => this.setLauncherMode(!this.launcher),
+            onFire: () => this.fireProjectile(),
+            onSweep: () => this.sweepLaunchAngles(),
+            onClear: () => {
+                if (this.launcher) this.launcher.clear();
+            }
+        });
+        this.setLauncherMode(false);
+    }
+
+    setLauncherMode(enabled) {
+        if (enabled) {
+            this.setChallengeMode(false);
+        }
+        if (enabled && !this.launcher) {
+            this.launcher = new ProjectileLauncher(this.scene, this.physicsHandler);
+        } else if (!enabled && this.launcher) {
+            this.launcher.dispose();
+            this.launcher = null;
+        }
+        if (this.launcherControls) {
+            const { toggle, fire, sweep, clear, summary } = this.launcherControls;
+            toggle.textContent = enabled ? 'Launcher: on' : 'Launcher mode';
+            toggle.style.backgroundColor = enabled ? 'rgba(76, 175, 80, 0.8)' : 'rgba(33, 150, 243, 0.7)';
+            fire.disabled = !enabled;
+            sweep.disabled = !enabled;
+            clear.disabled = !enabled;
+            if (!enabled) summary.innerHTML = '';
+        }
+    }
+
+    // Horizontal aim direction (the way the camera looks) and the launch point at the character's hand height
+    getLaunchSetup() {
+        const direction = this.getAimDirection(this.character ? this.character.position : new THREE.Vector3());
+        const start = this.character
+            ? this.character.position.clone().add(new THREE.Vector3(0, 1.5, 0))
+            : new THREE.Vector3(0, 2, 0);
+        return { direction, start };
+    }
+
+    // The flight a launched projectile follows: with air / the chosen integrator when they apply
+    getLaunchFlight(start, direction, angle) {
+        const flights = this.simulateThrowFlights(start, direction, this.throwForce, angle);
+        return flights.ball || flights.vacuum;
+    }
+
+    // Fires one projectile with the current speed and angle
+    fireProjectile() {
+        if (!this.launcher) return;
+        const { direction, start } = this.getLaunchSetup();
+        const angle = this.throwAngle;
+        this.launcher.fire({
+            flight: this.getLaunchFlight(start, direction, angle),
+            color: ProjectileLauncher.angleColor(angle * 180 / Math.PI)
+        });
+    }
+
+    // Fires one projectile every launchSweepStep degrees from 0° to 90° at the current speed and
+    // draws the vacuum envelope y = h + v²/2g − gx²/2v², the curve no path can get above
+    sweepLaunchAngles() {
+        if (!this.launcher) return;
+        const { direction, start } = this.getLaunchSetup();
+        const v = this.throwForce;
+        const g = this.gravity;
+        const h = start.y - this.findHeightAtPosition(start.x, start.z); // Launch height above the ground below
+
+        const shots = [];
+        for (let degrees = 0; degrees <= 90; degrees += this.launchSweepStep) {
+            const flight = this.getLaunchFlight(start, direction, THREE.MathUtils.degToRad(degrees));
+            shots.push({ degrees, flight, color: ProjectileLauncher.angleColor(degrees) });
+        }
+        this.launcher.clear();
+        this.launcher.queueShots(shots);
+
+        // Envelope in the vertical plane of the aim, out to the longest possible vacuum range
+        const maxRange = (v / g) * Math.sqrt(v * v + 2 * g * h);
+        const envelope = [];
+        for (let i = 0; i <= 60; i++) {
+            const x = (maxRange * i) / 60;
+            const y = start.y + (v * v) / (2 * g) - (g * x * x) / (2 * v * v);
+            const point = start.clone().addScaledVector(direction, x);
+            envelope.push(point.setY(Math.max(y, this.findHeightAtPosition(point.x, point.z))));
+        }
+        this.launcher.setEnvelope(envelope);
+
+        // Best angle of the sweep vs. the vacuum optimum tan θ* = v / √(v² + 2gh) (45° from the ground)
+        const best = shots.reduce((a, b) => (b.flight.range > a.flight.range ? b : a));
+        const optimum = THREE.MathUtils.radToDeg(Math.atan(v / Math.sqrt(v * v + 2 * g * h)));
+        const rows = shots.map(shot => `
+            <tr style="${shot === best ? 'font-weight: bold;' : ''}">
+                <td style="color: #${shot.color.getHexString()};">■ ${shot.degrees}°</td>
+                <td style="text-align: right;">${shot.flight.range.toFixed(1)} m</td>
+            </tr>`).join('');
+        this.launcherControls.summary.innerHTML = `
+            <div>Longest: <strong>${best.degrees}°</strong> → ${best.flight.range.toFixed(2)} m</div>
+            <div>Vacuum optimum from ${h.toFixed(1)} m up: θ* = ${optimum.toFixed(1)}°, R* = ${maxRange.toFixed(2)} m
+                ${this.isDragActive() ? '<br>(air lowers the best angle)' : ''}</div>
+            <div style="max-height: 120px; overflow-y: auto; margin-top: 4px;">
+                <table style="width: 100%; border-collapse: collapse;">${rows}</table>
+            </div>
+        `;
+    }
+
+    // Horizontal throw direction from `origin`: straight at the challenge target when there is one,
+    // otherwise the way the camera looks
+    getAimDirection(origin) {
+        if (this.challenge?.target) {
+            return this.challenge.getDirection(origin);
+        }
+        const direction = this.camera.getWorldDirection(new THREE.Vector3());
+        direction.y = 0;
+        return direction.normalize();
+    }
+
+    // ---------------------- Target Challenge ----------------------
+
+    // Challenge section in the physics HUD: start/stop, the question, the answer box and the scores
+    createChallengeControls() {
+        this.challengeControls = createChallengeControls({
+            onToggle: () => this.setChallengeMode(!this.challenge),
+            onAnswer: (value) => {
+                this.challengeAnswer = value;
+                this.applyChallengeAnswer();
+            },
+            onThrow: () => this.throwBall(),
+            onNext: () => this.nextChallengeTarget()
+        });
+        this.updateChallengeTitle();
+    }
+
+    updateChallengeTitle() {
+        if (!this.challengeControls) return;
+        const best = this.challenge ? this.challenge.getHighScore() : (TargetChallenge.loadHighScores()[this.planetName] || 0);
+        this.challengeControls.title.textContent = `Target Challenge (best on ${this.planetName}: ${best})`;
+    }
+
+    setChallengeMode(enabled) {
+        if (enabled === !!this.challenge) return;
+        if (enabled) {
+            this.setLauncherMode(false);
+            this.challenge = new TargetChallenge(this.scene, this.physicsHandler, {
+                planet: this.planetName,
+                groundHeight: (x, z) => this.findHeightAtPosition(x, z)
+            });
+            this.challenge.startRun();
+            this.nextChallengeTarget();
+        } else {
+            this.challenge.dispose();
+            this.challenge = null;
+            this.challengeAnswer = null;
+        }
+        if (this.challengeControls) {
+            this.challengeControls.toggle.textContent = enabled ? 'Stop challenge' : 'Start challenge';
+            this.challengeControls.game.style.display = enabled ? 'block' : 'none';
+        }
+        this.updateChallengeTitle();
+        console.log(`Target challenge ${enabled ? 'on' : 'off'}`);
+    }
+
+    // Puts the ball back in the hand and spawns the next target (a new run after the last round)
+    nextChallengeTarget() {
+        if (!this.challenge || this.ballThrown) return;
+        if (this.challenge.awaitingScore) return; // Wait for the current throw to be scored
+        if (this.challenge.isRunOver()) {
+            this.challenge.startRun();
+        }
+        if (this.ballBody && !this.isHoldingBall) {
+            this.resetBall();
+        }
+        const origin = this.character ? this.character.position.clone().add(new THREE.Vector3(0, 1.5, 0)) : new THREE.Vector3(0, 2, 0);
+        const camera = this.camera.getWorldDirection(new THREE.Vector3());
+        this.challenge.spawn(origin, camera, this.gravity);
+        this.challengeAnswer = null;
+        this.challengeQuestionKey = '';
+        if (this.challengeControls) {
+            this.challengeControls.answer.value = '';
+            this.challengeControls.message.innerHTML = '';
+        }
+        this.renderChallengeQuestion();
+        this.updateTrajectoryPreview();
+    }
+
+    // Sets the throw from the question and the typed answer; false when there is no answer yet
+    applyChallengeAnswer() {
+        const question = this.challenge?.question;
+        if (!question || this.challengeAnswer === null) return false;
+        if (question.mode === 'angle') {
+            this.throwForce = question.speed;
+            this.throwAngle = THREE.MathUtils.degToRad(THREE.MathUtils.clamp(this.challengeAnswer, 0, 90));
+        } else {
+            this.throwAngle = THREE.MathUtils.degToRad(question.angle);
+            this.throwForce = Math.max(this.challengeAnswer, 0);
+        }
+        return true;
+    }
+
+    // Moves the answer up or down by `steps` (1° or 0.5 m/s each), from the current angle or speed
+    // when nothing is typed yet; for the arrow keys and the thumbs up/down gestures
+    stepChallengeAnswer(steps) {
+        const question = this.challenge?.question;
+        if (!question || this.challenge.targetScored) return;
+        let answer;
+        if (question.mode === 'angle') {
+            const current = this.challengeAnswer ?? Math.round(THREE.MathUtils.radToDeg(this.throwAngle));
+            answer = THREE.MathUtils.clamp(current + steps, 0, 90);
+        } else {
+            const current = this.challengeAnswer ?? Math.round(this.throwForce * 2) / 2;
+            answer = Math.max(current + steps * 0.5, 0);
+        }
+        this.challengeAnswer = answer;
+        if (this.challengeControls) {
+            this.challengeControls.answer.value = answer;
+        }
+        this.applyChallengeAnswer();
+    }
+
+    // The question, measured from where the character stands now (redrawn only when that changes)
+    renderChallengeQuestion() {
+        if (!this.challenge?.target || !this.challengeControls) return;
+        const origin = this.throwStartPosition;
+        const { distance, rise } = this.challenge.measure(origin);
+        const question = this.challenge.question;
+        const key = [distance.toFixed(1), rise.toFixed(1), question.mode, this.challenge.getRound()].join('|');
+        if (key === this.challengeQuestionKey) return;
+        this.challengeQuestionKey = key;
+
+        const round = Math.min(this.challenge.results.length + 1, this.challenge.rounds);
+        const given = question.mode === 'angle'
+            ? `Your throw speed is fixed at <strong>v = ${question.speed.toFixed(1)} m/s</strong>. What launch angle θ (°) lands on the bullseye?`
+            : `Your launch angle is fixed at <strong>θ = ${question.angle}°</strong>. What throw speed v (m/s) lands on the bullseye?`;
+        this.challengeControls.question.innerHTML = `
+            <div>Target ${round} of ${this.challenge.rounds} · score ${this.challenge.getTotal()}</div>
+            <div>Distance d = ${distance.toFixed(1)} m, height Δh = ${rise.toFixed(1)} m (from your hand), g = ${this.gravity.toFixed(2)} m/s²</div>
+            <div style="margin-top: 4px;">${given}</div>
+            <div style="color: #aaaaaa; margin-top: 4px;">Δh = d·tan θ − g·d² / (2v²·cos²θ)</div>
+        `;
+        this.challengeControls.answer.placeholder = question.mode === 'angle' ? 'θ in °' : 'v in m/s';
+    }
+
+    // Scores the throw (point: where it came down through the target's height, or null if it never did)
+    scoreChallengeThrow(point) {
+        if (!this.challenge?.target) return;
+        const exact = this.challenge.solve(this.throwStartPosition, this.gravity);
+        const result = this.challenge.score(point, this.challengeAnswer);
+        const unit = this.challenge.question.mode === 'angle' ? '°' : ' m/s';
+        const exactText = exact.length > 0 ? exact.map(value => `${value.toFixed(1)}${unit}`).join(' or ') : 'out of reach';
+
+        let html = point
+            ? `Missed the centre by <strong>${result.miss.toFixed(2)} m</strong>: <strong>${result.points} points</strong>.`
+            : `The ball never came down to the target's height: <strong>0 points</strong>.`;
+        html += `<br>Your answer: ${result.answer.toFixed(1)}${unit}; exact: ${exactText}.`;
+        if (this.isDragActive()) {
+            html += '<br><em>Air resistance is on, so vacuum answers fall short.</em>';
+        }
+        if (this.challenge.isRunOver()) {
+            const total = this.challenge.getTotal();
+            const record = this.challenge.saveHighScore(total);
+            html += `<br><strong>Run over: ${total} / ${this.challenge.rounds * 100}</strong>${record ? ' (new high score!)' : ''}. Press N to play again.`;
+            this.updateChallengeTitle();
+        } else {
+            html += '<br>Press N for the next target.';
+        }
+        this.showChallengeMessage(html);
+        console.log(`Challenge round ${result.round}: ${result.points} points`);
+    }
+
+    showChallengeMessage(html) {
+        if (this.challengeControls) {
+            this.challengeControls.message.innerHTML = html;
+        }
+    }
+
+    // ---------------------- Launch Platform ----------------------
+
+    // Launch platform section in the physics HUD: how high a tower the character stands on
+    createPlatformControls() {
+        const { panel } = createHudSection('Launch Platform', { id: 'platform-controls', keys: true });
+        const input = addHudRow(panel, 'Height (m):', createHudNumberInput({
+            value: this.platformHeight,
+            min: 0,
+            max: 50,
+            onChange: (value) => this.setPlatformHeight(value)
+        }));
+        this.platformControls = { panel, input };
+    }
+
+    // Puts the character on a tower `height` m tall (0: back on the ground). The tower travels with
+    // the character, so throws can be made from any height anywhere on the terrain.
+    setPlatformHeight(height) {
+        this.platformHeight = Math.max(height, 0);
+        this.removeLaunchPlatform();
+        if (this.platformHeight > 0) {
+            // Reaches 3 m into the ground so it stays planted on slopes
+            const depth = this.platformHeight + 3;
+            const mesh = new THREE.Mesh(
+                new THREE.BoxGeometry(3, depth, 3),
+                new THREE.MeshStandardMaterial({ color: 0x795548, roughness: 0.9 })
+            );
+            mesh.castShadow = true;
+            mesh.receiveShadow = true;
+            this.scene.add(mesh);
+            const body = new CANNON.Body({ mass: 0, material: this.groundMaterial });
+            body.addShape(new CANNON.Box(new CANNON.Vec3(1.5, depth / 2, 1.5)));
+            this.physicsHandler.addBody(body);
+            this.launchPlatform = { mesh, body };
+        }
+        this.placeCharacter();
+        if (this.isHoldingBall && !this.ballThrown) {
+            this.updateTrajectoryPreview();
+        }
+    }
+
+    // Stands the character (and its platform) on the ground at the character's x, z
+    placeCharacter() {
+        if (!this.character) return;
+        const { x, z } = this.character.position;
+        const ground = this.findHeightAtPosition(x, z);
+        this.character.position.y = ground + this.platformHeight + this.characterHeight;
+        if (this.characterBody) {
+            this.characterBody.position.copy(this.character.position);
+        }
+        if (this.launchPlatform) {
+            const { mesh, body } = this.launchPlatform;
+            const centre = ground + this.platformHeight - mesh.geometry.parameters.height / 2;
+            mesh.position.set(x, centre, z);
+            body.position.set(x, centre, z);
+        }
+    }
+
+    removeLaunchPlatform() {
+        if (!this.launchPlatform) return;
+        const { mesh, body } = this.launchPlatform;
+        this.physicsHandler.removeBody(body);
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+        this.scene.remove(mesh);
+        this.launchPlatform = null;
+    }
+
     // Resets the ball to the held state.
     resetBall() {
+        this.abandonThrowRecord();
         this.isHoldingBall = true;
         this.ballThrown = false;
         this.ballBody.velocity.set(0, 0, 0);
@@ -2032,7 +3093,6 @@ disposeHierarchy(parent, disposeMaterials = true) {
             if (this.ballBody) this.ballBody.position.set(0, 2, 0);
         }
         this.updateTrajectoryPreview();
-        this.updatePhysicsCalculations();
     }
     pickupdropball(){
         if (this.isHoldingBall) {
@@ -2082,6 +3142,18 @@ disposeHierarchy(parent, disposeMaterials = true) {
             this.keyStates[key] = true;
         }
 
+        // Target challenge: Enter throws, N moves on to the next target, the arrows set the answer
+        if (this.challenge) {
+            if (key === 'Enter') {
+                this.throwBall();
+            } else if (key === 'n' || key === 'N') {
+                this.nextChallengeTarget();
+            } else if (key === 'ArrowUp' || key === 'ArrowDown') {
+                this.stepChallengeAnswer(key === 'ArrowUp' ? 1 : -1);
+                return;
+            }
+        }
+
         // Handle trajectory angle adjustments
         if (key === 'ArrowUp') {
             // Decrease angle to make ball go more forward/horizontal
@@ -2127,6 +3199,14 @@ disposeHierarchy(parent, disposeMaterials = true) {
         this.showAngleChangeNotification();
     }
 
+    // Throw speed in m/s, clamped to minThrowForce-maxThrowForce
+    setThrowForce(force) {
+        this.throwForce = THREE.MathUtils.clamp(force, this.minThrowForce, this.maxThrowForce);
+        if (this.isHoldingBall && !this.ballThrown) {
+            this.updateTrajectoryPreview();
+        }
+    }
+
     // Add method to show angle change notification
     showAngleChangeNotification() {
         const notification = document.getElementById('angle-notification') || this.createAngleNotification();
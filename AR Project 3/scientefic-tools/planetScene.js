@@ -12,7 +12,7 @@ export class PlanetScene {
         this.isActive = false;
     }
 
-    async setup(planetName) {
+    async setup(planetName, body = null, catalog = null) {
         try {
             // Clean up any existing environment
             if (this.environment) {
@@ -21,7 +21,7 @@ export class PlanetScene {
             
             // Create and set up the planet environment
             this.environment = new PlanetEnvironment(this.scene, this.camera);
-            await this.environment.setup(planetName);
+            await this.environment.setup(planetName, body, catalog);
             
             // Start the clock if needed
             this.clock.start();
@@ -0,0 +1,18 @@
+// Copies @mediapipe/hands from node_modules into assets/mediapipe/hands/, where the MediaPipe hand
+// tracking backend (tracking/mediaPipeBackend.js) loads it from, so it works offline. Runs after
+// npm install; without it the backend only loads with ?mediapipe=cdn.
+import { cpSync, existsSync } from 'node:fs';
+
+const source = new URL('../node_modules/@mediapipe/hands/', import.meta.url);
+const target = new URL('../assets/mediapipe/hands/', import.meta.url);
+const RUNTIME_FILE = /\.(js|wasm|data|tflite|binarypb)$/;
+
+if (existsSync(source)) {
+    cpSync(source, target, {
+        recursive: true,
+        filter: (file) => !/\.\w+$/.test(file) || RUNTIME_FILE.test(file)
+    });
+    console.log('Copied @mediapipe/hands to assets/mediapipe/hands/');
+} else {
+    console.warn('@mediapipe/hands is not installed: MediaPipe hand tracking needs ?mediapipe=cdn to load');
+}
@@ -0,0 +1,56 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.145.0/build/three.module.js';
+
+// Fresnel atmosphere glow: a slightly larger shell that is transparent where it faces the viewer
+// and brightens towards the limb, stronger on the side lit by the sun.
+
+const vertexShader = `
+    varying vec3 vWorldNormal;
+    varying vec3 vWorldPosition;
+
+    void main() {
+        vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+        vWorldPosition = worldPosition.xyz;
+        vWorldNormal = normalize(mat3(modelMatrix) * normal);
+        gl_Position = projectionMatrix * viewMatrix * worldPosition;
+    }
+`;
+
+const fragmentShader = `
+    uniform vec3 glowColor;
+    uniform float intensity;
+    uniform float power;
+    uniform vec3 sunPosition;
+
+    varying vec3 vWorldNormal;
+    varying vec3 vWorldPosition;
+
+    void main() {
+        vec3 normal = normalize(vWorldNormal);
+        vec3 viewDirection = normalize(cameraPosition - vWorldPosition);
+        vec3 sunDirection = normalize(sunPosition - vWorldPosition);
+
+        float fresnel = pow(1.0 - abs(dot(normal, viewDirection)), power);
+        // Keep a faint rim on the night side so the planet outline stays visible
+        float daylight = 0.25 + 0.75 * smoothstep(-0.3, 0.4, dot(normal, sunDirection));
+
+        gl_FragColor = vec4(glowColor * intensity, fresnel * daylight * intensity);
+    }
+`;
+
+// `sunPosition` should be a shared THREE.Vector3 kept up to date with the sun's world position
+export function createAtmosphereMaterial(options = {}) {
+    return new THREE.ShaderMaterial({
+        uniforms: {
+            glowColor: { value: new THREE.Color(options.color ?? 0x88aaff) },
+            intensity: { value: options.intensity ?? 1.0 },
+            power: { value: options.power ?? 3.0 },
+            sunPosition: { value: options.sunPosition || new THREE.Vector3() }
+        },
+        vertexShader,
+        fragmentShader,
+        transparent: true,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending,
+        side: THREE.FrontSide
+    });
+}
@@ -0,0 +1,48 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.145.0/build/three.module.js';
+
+// Used until the real night texture has loaded (or when it is missing): no lights at all
+const blackTexture = new THREE.DataTexture(new Uint8Array([0, 0, 0, 255]), 1, 1, THREE.RGBAFormat);
+blackTexture.needsUpdate = true;
+
+// Adds a night-side emissive texture (city lights) to a MeshPhongMaterial / MeshStandardMaterial.
+// The lights fade in where the surface faces away from the sun. Returns the uniforms so the
+// caller can set `nightMap.value` once the texture arrives.
+export function applyNightLights(material, options = {}) {
+    const uniforms = {
+        nightMap: { value: options.nightMap || blackTexture },
+        nightIntensity: { value: options.intensity ?? 1.0 },
+        sunPosition: { value: options.sunPosition || new THREE.Vector3() }
+    };
+
+    material.onBeforeCompile = (shader) => {
+        Object.assign(shader.uniforms, uniforms);
+
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>
+                varying vec2 vNightUv;
+                varying vec3 vNightWorldPosition;
+                varying vec3 vNightWorldNormal;`)
+            .replace('#include <fog_vertex>', `#include <fog_vertex>
+                vNightUv = uv;
+                vNightWorldPosition = (modelMatrix * vec4(transformed, 1.0)).xyz;
+                vNightWorldNormal = normalize(mat3(modelMatrix) * objectNormal);`);
+
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', `#include <common>
+                uniform sampler2D nightMap;
+                uniform float nightIntensity;
+                uniform vec3 sunPosition;
+                varying vec2 vNightUv;
+                varying vec3 vNightWorldPosition;
+                varying vec3 vNightWorldNormal;`)
+            .replace('#include <output_fragment>', `#include <output_fragment>
+                float sunFacing = dot(normalize(vNightWorldNormal), normalize(sunPosition - vNightWorldPosition));
+                // Lights switch on through the terminator rather than at a hard edge
+                float darkness = smoothstep(0.15, -0.25, sunFacing);
+                gl_FragColor.rgb += texture2D(nightMap, vNightUv).rgb * darkness * nightIntensity;`);
+    };
+    // Materials sharing this hook compile to the same program
+    material.customProgramCacheKey = () => 'nightLights';
+
+    return uniforms;
+}
@@ -0,0 +1,142 @@
+// Julian date of the Unix epoch (1970-01-01T00:00:00Z)
+const UNIX_EPOCH_JD = 2440587.5;
+const MS_PER_DAY = 86400000;
+
+export function dateToJulian(date) {
+    return date.getTime() / MS_PER_DAY + UNIX_EPOCH_JD;
+}
+
+export function julianToDate(julianDate) {
+    return new Date((julianDate - UNIX_EPOCH_JD) * MS_PER_DAY);
+}
+
+// Time multipliers, expressed as simulated days per real second
+export const TIME_RATES = [
+    { label: '1x (real time)', daysPerSecond: 1 / 86400 },
+    { label: '1 minute/s', daysPerSecond: 1 / 1440 },
+    { label: '1 hour/s', daysPerSecond: 1 / 24 },
+    { label: '1 day/s', daysPerSecond: 1 },
+    { label: '1 week/s', daysPerSecond: 7 },
+    { label: '1 month/s', daysPerSecond: 30.44 },
+    { label: '1 year/s', daysPerSecond: 365.25 },
+    { label: '10 years/s', daysPerSecond: 3652.5 }
+];
+
+// Owns simulated time for the solar system. Time advances by real elapsed seconds
+// rather than per rendered frame, so orbital speed no longer depends on refresh rate.
+export class SimulationClock {
+    constructor(options = {}) {
+        this.julianDate = options.julianDate ?? (options.date ? dateToJulian(options.date) : dateToJulian(new Date()));
+        this.rateIndex = options.rateIndex ?? TIME_RATES.findIndex(rate => rate.label === '1 month/s');
+        this.direction = 1;        // 1 = forward, -1 = reverse
+        this.isPaused = false;
+        this.maxStepSeconds = 0.1; // Avoids a huge jump after the tab was in the background
+        this.lastTime = null;
+        this.onChange = null;      // Called when rate, direction, pause state or date is changed by the user
+    }
+
+    // Advances simulated time; call once per rendered frame. Returns the current Julian date.
+    update(now = performance.now()) {
+        if (this.lastTime !== null) {
+            const elapsedSeconds = Math.min((now - this.lastTime) / 1000, this.maxStepSeconds);
+            this.julianDate += this.getDaysPerSecond() * elapsedSeconds;
+        }
+        this.lastTime = now;
+        return this.julianDate;
+    }
+
+    getDaysPerSecond() {
+        if (this.isPaused) return 0;
+        return this.direction * TIME_RATES[this.rateIndex].daysPerSecond;
+    }
+
+    getDate() {
+        return julianToDate(this.julianDate);
+    }
+
+    getRateLabel() {
+        if (this.isPaused) return 'Paused';
+        const label = TIME_RATES[this.rateIndex].label;
+        return this.direction < 0 ? `Reverse ${label}` : label;
+    }
+
+    play() {
+        this.isPaused = false;
+        this.notifyChange();
+    }
+
+    pause() {
+        this.isPaused = true;
+        this.notifyChange();
+    }
+
+    togglePause() {
+        if (this.isPaused) {
+            this.play();
+        } else {
+            this.pause();
+        }
+        return this.isPaused;
+    }
+
+    reverse() {
+        this.direction = -this.direction;
+        this.notifyChange();
+    }
+
+    setRateIndex(index) {
+        this.rateIndex = Math.max(0, Math.min(index, TIME_RATES.length - 1));
+        this.notifyChange();
+    }
+
+    faster() {
+        this.setRateIndex(this.rateIndex + 1);
+    }
+
+    slower() {
+        this.setRateIndex(this.rateIndex - 1);
+    }
+
+    // Steps along a single signed ladder: ... reverse 1 day/s, reverse 1x, paused, 1x, 1 day/s ...
+    // This lets a single up/down control (e.g. thumbs up/down) reach pause and reverse.
+    stepRate(step) {
+        const current = this.isPaused ? 0 : this.direction * (this.rateIndex + 1);
+        const limit = TIME_RATES.length;
+        const next = Math.max(-limit, Math.min(current + step, limit));
+
+        if (next === 0) {
+            this.isPaused = true;
+        } else {
+            this.isPaused = false;
+            this.direction = Math.sign(next);
+            this.rateIndex = Math.abs(next) - 1;
+        }
+        this.notifyChange();
+    }
+
+    // Accepts a Date, an ISO date string or a Julian date number
+    jumpToDate(date) {
+        let julianDate;
+        if (typeof date === 'number') {
+            julianDate = date;
+        } else {
+            const parsed = date instanceof Date ? date : new Date(date);
+            julianDate = dateToJulian(parsed);
+        }
+
+        if (!Number.isFinite(julianDate)) {
+            console.warn('Invalid date for simulation clock:', date);
+            return false;
+        }
+
+        this.julianDate = julianDate;
+        this.notifyChange();
+        return true;
+    }
+
+    notifyChange() {
+        if (typeof this.onChange === 'function') {
+            this.onChange(this);
+        }
+    }
+}
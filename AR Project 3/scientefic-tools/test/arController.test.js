@@ -0,0 +1,152 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import ARController from '../xr/arController.js';
+
+// navigator.xr stand-in: `supported` answers isSessionSupported(), `requestSession` makes the session
+function createXRSystem({ supported = true, requestSession } = {}) {
+    const calls = [];
+    return {
+        calls,
+        async isSessionSupported(mode) {
+            calls.push(['isSessionSupported', mode]);
+            if (supported instanceof Error) throw supported;
+            return supported;
+        },
+        async requestSession(mode, options) {
+            calls.push(['requestSession', mode, options]);
+            return requestSession ? requestSession() : new FakeSession();
+        }
+    };
+}
+
+class FakeSession extends EventTarget {
+    constructor() {
+        super();
+        this.ended = false;
+        this.hitTestSource = { cancelled: false, cancel() { this.cancelled = true; } };
+    }
+    async requestReferenceSpace(type) { return { type }; }
+    async requestHitTestSource() { return this.hitTestSource; }
+    async end() {
+        this.ended = true;
+        this.dispatchEvent(new Event('end'));
+    }
+}
+
+function createRenderer() {
+    return {
+        xr: {
+            enabled: false,
+            session: null,
+            setReferenceSpaceType(type) { this.referenceSpaceType = type; },
+            async setSession(session) { this.session = session; },
+            getReferenceSpace() { return { type: this.referenceSpaceType }; }
+        }
+    };
+}
+
+// A scene with the sun and a planet, and the parts of SolarSystem the controller uses
+function createSolarSystemScene() {
+    const scene = new THREE.Scene();
+    scene.background = new THREE.Color(0x000000);
+    const sun = new THREE.Mesh();
+    const planet = new THREE.Mesh();
+    scene.add(sun, planet);
+    const solarSystem = {
+        planetEnvironment: null,
+        starField: { visible: true },
+        controls: { enabled: true },
+        getSystemObjects: () => [sun, planet]
+    };
+    return { scene, solarSystem, objects: [sun, planet] };
+}
+
+function createController(xrSystem, options = {}) {
+    const { scene, solarSystem, objects } = createSolarSystemScene();
+    const controller = new ARController(createRenderer(), scene, new THREE.PerspectiveCamera(), solarSystem, { xrSystem, ...options });
+    return { controller, scene, solarSystem, objects };
+}
+
+// Everything the desktop view had before a session
+function assertDesktopView({ controller, scene, solarSystem, objects }) {
+    assert.equal(controller.session, null);
+    assert.ok(objects.every(object => object.parent === scene));
+    assert.equal(scene.getObjectByName('arAnchor'), undefined);
+    assert.ok(scene.background instanceof THREE.Color);
+    assert.equal(solarSystem.starField.visible, true);
+    assert.equal(solarSystem.controls.enabled, true);
+    assert.equal(document.getElementById('ar-overlay'), null);
+}
+
+test('without WebXR the desktop view stays as it is', async () => {
+    const setup = createController(null);
+
+    assert.equal(await setup.controller.isSupported(), false);
+    assert.equal(await setup.controller.start(), false);
+    assertDesktopView(setup);
+});
+
+test('an unsupported immersive-ar session is never requested', async () => {
+    const xrSystem = createXRSystem({ supported: false });
+    const setup = createController(xrSystem);
+
+    assert.equal(await setup.controller.start(), false);
+    assert.deepEqual(xrSystem.calls, [['isSessionSupported', 'immersive-ar']]);
+    assertDesktopView(setup);
+});
+
+test('a failing support check counts as unsupported', async () => {
+    const setup = createController(createXRSystem({ supported: new Error('SecurityError') }));
+
+    assert.equal(await setup.controller.isSupported(), false);
+    assert.equal(await setup.controller.start(), false);
+    assertDesktopView(setup);
+});
+
+test('a session moves the solar system into the AR anchor and ending it restores the desktop view', async () => {
+    let ended = 0;
+    const xrSystem = createXRSystem();
+    const setup = createController(xrSystem, { onSessionEnded: () => ended++ });
+    const { controller, scene, solarSystem, objects } = setup;
+
+    assert.equal(await controller.start(), true);
+    const [, mode, options] = xrSystem.calls[1];
+    assert.equal(mode, 'immersive-ar');
+    assert.deepEqual(options.requiredFeatures, ['hit-test']);
+    assert.equal(options.domOverlay.root, document.getElementById('ar-overlay'));
+    assert.ok(controller.session instanceof FakeSession);
+    assert.equal(controller.renderer.xr.session, controller.session);
+    assert.equal(scene.background, null);
+    assert.equal(solarSystem.starField.visible, false);
+    assert.equal(solarSystem.controls.enabled, false);
+    assert.ok(objects.every(object => object.parent === controller.anchor));
+    assert.equal(await controller.start(), true, 'a second start keeps the running session');
+
+    const session = controller.session;
+    await controller.end();
+
+    assert.ok(session.ended);
+    assert.ok(session.hitTestSource.cancelled);
+    assert.equal(ended, 1);
+    assertDesktopView(setup);
+});
+
+test('a rejected session request falls back to the desktop view', async () => {
+    const xrSystem = createXRSystem({
+        requestSession: () => Promise.reject(new Error('NotAllowedError'))
+    });
+    const setup = createController(xrSystem);
+
+    assert.equal(await setup.controller.start(), false);
+    assertDesktopView(setup);
+});
+
+test('AR only starts from the solar system view', async () => {
+    const xrSystem = createXRSystem();
+    const setup = createController(xrSystem);
+    setup.solarSystem.planetEnvironment = {};
+
+    assert.equal(await setup.controller.start(), false);
+    assert.deepEqual(xrSystem.calls, []);
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { PlanetEnvironment } from '../planetEnvironment.js';
+import { PhysicsHandler } from '../physics.js';
+
+const SPEED = 10;
+const ANGLE = Math.PI / 4;
+
+// A ball just thrown on flat ground from 1.5 m up, with the parts of update() around it stubbed
+function createThrow() {
+    const physicsHandler = new PhysicsHandler();
+    const ball = new THREE.Mesh(new THREE.SphereGeometry(0.2));
+    ball.position.set(0, 1.5, 0);
+    const ballBody = new CANNON.Body({ mass: 2, shape: new CANNON.Sphere(0.2), type: CANNON.Body.KINEMATIC });
+    ballBody.position.set(0, 1.5, 0);
+    physicsHandler.addBody(ballBody, ball, { interpolate: false });
+
+    const env = Object.create(PlanetEnvironment.prototype);
+    Object.assign(env, {
+        isInUpdateLoop: true,
+        launcher: null,
+        cloudDeck: null,
+        challenge: null,
+        controls: null,
+        handTracker: null,
+        currentThrowRecord: null,
+        physicsHandler,
+        physicsWorld: physicsHandler.world,
+        ball,
+        ballBody,
+        ballThrown: true,
+        isHoldingBall: false,
+        ballFlight: null,
+        gravity: 9.82,
+        storedThrowForce: SPEED,
+        storedThrowAngle: ANGLE,
+        throwStartPosition: new THREE.Vector3(0, 1.5, 0),
+        initialThrowDirection: new THREE.Vector3(1, 0, 0),
+        throwStartTime: 0,
+        lastTime: 0,
+        landingMarker: new THREE.Object3D(),
+        renderer: { render() {} }
+    });
+    env.getSurfaceHeight = () => 0;
+    env.handleCharacterMovement = () => {};
+    env.updateSecondaryTrajectory = () => {};
+    env.updateLandingMarker = () => {};
+    env.updateDragComparison = () => {};
+    env.showProjectileExplanation = () => {};
+    return env;
+}
+
+// Runs update() at `now` ms since the throw
+function frameAt(t, env, now) {
+    t.mock.method(performance, 'now', () => now);
+    env.update();
+    performance.now.mock.restore();
+}
+
+test('the physics world keeps stepping while the ball is in the air', (t) => {
+    const env = createThrow();
+    const { physicsHandler } = env;
+    const rolling = new CANNON.Body({ mass: 1, shape: new CANNON.Sphere(0.2) });
+    rolling.position.set(5, 10, 5);
+    let retired = false;
+    physicsHandler.addProjectile(rolling, new THREE.Mesh(), { lifetime: 0.5, onRemove: () => { retired = true; } });
+
+    for (let now = 50; now <= 1000; now += 50) frameAt(t, env, now);
+
+    assert.ok(env.ballThrown, 'still in the air after 1 s');
+    assert.ok(physicsHandler.world.time > 0.9);
+    assert.ok(rolling.position.y < 10, 'other bodies keep falling');
+    assert.ok(retired, 'projectile lifetimes keep running');
+});
+
+test('the thrown ball is kinematic on its flight and dynamic once it lands', (t) => {
+    const env = createThrow();
+    const vx = SPEED * Math.cos(ANGLE);
+
+    frameAt(t, env, 500);
+    assert.equal(env.ballBody.type, CANNON.Body.KINEMATIC);
+    assert.ok(Math.abs(env.ball.position.x - vx * 0.5) < 1e-9, 'on the analytic path, not moved by the step');
+    assert.ok(Math.abs(env.ballBody.velocity.x - vx) < 1e-9, 'the body moves at the flight speed');
+
+    let now = 500;
+    while (env.ballThrown && now < 5000) {
+        now += 50;
+        frameAt(t, env, now);
+    }
+
+    assert.equal(env.ballThrown, false);
+    assert.equal(env.ballBody.type, CANNON.Body.DYNAMIC);
+    assert.ok(env.ballBody.velocity.y < 0, 'it hits the ground moving down, so it can bounce');
+    assert.ok(Math.abs(env.ball.position.y - 0.2) < 1e-9);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { HandTracker } from '../handTracking.js';
+import { computeCalibrationProfile } from '../tracking/calibration.js';
+
+const DEFAULTS = { pinch: 0.5, throw: 1.3 };
+const repeat = (value, count = 10) => Array.from({ length: count }, (_, i) => value + i * 0.001);
+
+test('the profile holds only what the gestures read', () => {
+    const profile = computeCalibrationProfile({
+        handSizes: repeat(0.12),
+        openSpreads: repeat(0.15),
+        restSpeeds: repeat(0.05),
+        pinchSpreads: repeat(0.01),
+        reachX: repeat(0.2).concat(repeat(0.7)),
+        throwSpeeds: repeat(2.4)
+    }, DEFAULTS);
+
+    assert.deepEqual(Object.keys(profile.thresholds).sort(), ['pinch', 'throw']);
+    assert.deepEqual(Object.keys(profile.calibration).sort(), ['offsetX', 'scaleFactorX']);
+    assert.ok(profile.thresholds.pinch < DEFAULTS.pinch);
+    assert.ok(profile.calibration.offsetX > 0.19 && profile.calibration.offsetX < 0.21);
+    assert.deepEqual(profile.warnings, []);
+});
+
+test('a tracker maps planet selection onto the calibrated sweep', () => {
+    const tracker = new HandTracker(new THREE.Scene(), new THREE.PerspectiveCamera(), null, null, null, { calibrationProfile: null });
+    tracker.video.width = 640;
+    tracker.video.height = 480;
+
+    tracker.applyCalibrationProfile({
+        thresholds: { pinch: 0.1, throw: 2 },
+        calibration: { offsetX: 0.25, scaleFactorX: 0.5 }
+    });
+
+    assert.equal(tracker.calibration.offsetX, 160);
+    assert.equal(tracker.calibration.scaleFactorX, 0.5);
+    assert.equal(tracker.calibration.offsetY, 0);
+    assert.equal(tracker.calibration.scaleFactorY, 1);
+    assert.equal(tracker.gestureThresholds.pinch, 0.1);
+});
@@ -0,0 +1,17 @@
+// Module resolve hook for the tests. The app imports three, cannon-es and tween straight from the
+// CDN (see the importmap in index.html), which Node refuses to load; this maps those URLs onto the
+// same files of the npm packages in node_modules, e.g.
+//   https://cdn.jsdelivr.net/npm/three@0.145.0/build/three.module.js -> node_modules/three/build/three.module.js
+const CDN = 'https://cdn.jsdelivr.net/npm/';
+const NODE_MODULES = new URL('../node_modules/', import.meta.url);
+
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier.startsWith(CDN)) {
+        // [@scope/]name[@version]/path
+        const match = specifier.slice(CDN.length).match(/^((?:@[^/]+\/)?[^@/]+)(?:@[^/]+)?\/(.+)$/);
+        if (match) {
+            return { url: new URL(`${match[1]}/${match[2]}`, NODE_MODULES).href, shortCircuit: true };
+        }
+    }
+    return nextResolve(specifier, context);
+}
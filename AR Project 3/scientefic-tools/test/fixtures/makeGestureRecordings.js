@@ -0,0 +1,107 @@
+// Writes the gesture recordings in test/fixtures/gestures/ that test/gestureReplay.test.js replays.
+// They are made with HandRecorder, so they are exactly what a session recorded in the app would
+// save, but the hands are posed here instead of in front of a camera so every pose is unambiguous:
+//
+//   node test/fixtures/makeGestureRecordings.js
+//
+// A recording made in the app (handTracker.stopRecording()) can be dropped into the same folder
+// and given its expected gestures in the test.
+import { writeFileSync } from 'node:fs';
+import HandRecorder from '../../tracking/handRecorder.js';
+
+const FRAME_SIZE = { width: 640, height: 480 };
+const FRAME_TIME = 66;  // ms, the tracker's 15 frames a second
+
+// Finger joints (knuckle, middle joint, last joint, tip) above the knuckle, in hand sizes
+const EXTENDED = [0, 0.4, 0.7, 1.0];
+const CURLED = [0, 0.3, 0.1, 0];
+const KNUCKLE_X = { index: -0.3, middle: -0.1, ring: 0.1, pinky: 0.3 };
+const THUMB = {
+    out: [[-0.3, 0.2], [-0.55, 0.4], [-0.75, 0.55], [-0.95, 0.7]],
+    in: [[-0.3, 0.2], [-0.4, 0.35], [-0.25, 0.45], [-0.05, 0.35]]
+};
+
+// The 21 landmarks (0-1 of the frame) of an upright hand with its wrist at (x, y). `size` is the
+// wrist to middle knuckle distance in frame heights; `fingers` lists the extended ones.
+function pose({ x, y, size = 0.2, fingers = [], pinch = null }) {
+    const aspect = FRAME_SIZE.height / FRAME_SIZE.width;
+    const at = (dx, dy) => [x + dx * size * aspect, y - dy * size, 0];
+    const landmarks = [at(0, 0)];
+    THUMB[fingers.includes('thumb') ? 'out' : 'in'].forEach(([dx, dy]) => landmarks.push(at(dx, dy)));
+    ['index', 'middle', 'ring', 'pinky'].forEach(finger => {
+        const heights = fingers.includes(finger) ? EXTENDED : CURLED;
+        heights.forEach(height => landmarks.push(at(KNUCKLE_X[finger], 1 + height)));
+    });
+    if (pinch !== null) {
+        // Thumb tip `pinch` frame widths left of the index tip
+        const [tipX, tipY] = landmarks[8];
+        landmarks[4] = [tipX - pinch, tipY, 0];
+    }
+    return landmarks;
+}
+
+const OPEN = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+const TWO_FINGERS = ['index', 'middle'];
+const THREE_FINGERS = ['index', 'middle', 'ring'];
+
+// One recording from a list of [frame count, (frame number) => hands]
+function record(segments) {
+    const recorder = new HandRecorder({ frameSize: FRAME_SIZE });
+    recorder.start(FRAME_SIZE);
+    let time = 0;
+    segments.forEach(([count, hands]) => {
+        for (let i = 0; i < count; i++) {
+            recorder.addFrame(time, hands(i));
+            time += FRAME_TIME;
+        }
+    });
+    return recorder.stop();
+}
+
+const right = landmarks => ({ landmarks, handedness: 'Right', score: 0.97 });
+const left = landmarks => ({ landmarks, handedness: 'Left', score: 0.95 });
+const noHands = () => [];
+
+const RECORDINGS = {
+    // Solar system view: open hand drifting right (orbit), two fingers over Mars (0.375-0.5 of the
+    // width), then a third finger up to enter it
+    'select-planet': record([
+        [6, i => [right(pose({ x: 0.3 + i * 0.02, y: 0.8, fingers: OPEN }))]],
+        [3, noHands],
+        [6, () => [right(pose({ x: 0.45, y: 0.8, fingers: TWO_FINGERS }))]],
+        [6, () => [right(pose({ x: 0.45, y: 0.8, fingers: THREE_FINGERS }))]],
+        [3, noHands]
+    ]),
+
+    // Solar system view: thumb and index pinched, then opening up (zoom)
+    'pinch-zoom': record([
+        [4, noHands],
+        [8, i => [right(pose({ x: 0.5, y: 0.8, pinch: 0.02 + i * 0.01 }))]],
+        [3, noHands]
+    ]),
+
+    // On a planet: two fingers by the ball to pick it up, the open hand held still, then swept up
+    // and to the side fast enough to throw
+    'pick-up-and-throw': record([
+        [5, () => [right(pose({ x: 0.5, y: 0.85, fingers: TWO_FINGERS }))]],
+        [3, noHands],
+        [5, () => [right(pose({ x: 0.4, y: 0.85, fingers: OPEN }))]],
+        [5, i => [right(pose({ x: 0.4 + (i + 1) * 0.06, y: 0.85 - (i + 1) * 0.06, fingers: OPEN }))]],
+        [3, noHands]
+    ]),
+
+    // Solar system view: two open hands moving apart (zoom in)
+    'two-hand-zoom': record([
+        [8, i => [
+            left(pose({ x: 0.4 - i * 0.02, y: 0.8, size: 0.15, fingers: OPEN })),
+            right(pose({ x: 0.6 + i * 0.02, y: 0.8, size: 0.15, fingers: OPEN }))
+        ]],
+        [3, noHands]
+    ])
+};
+
+Object.entries(RECORDINGS).forEach(([name, recording]) => {
+    const file = new URL(`gestures/${name}.json`, import.meta.url);
+    writeFileSync(file, `${JSON.stringify(recording)}\n`);
+    console.log(`${name}.json: ${recording.frames.length} frames`);
+});
@@ -0,0 +1,152 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import * as THREE from 'three';
+import GestureRegistry from '../tracking/gestureRegistry.js';
+import { HandTracker } from '../handTracking.js';
+import { replayRecording } from '../tracking/handReplayer.js';
+
+// 21 landmarks (video pixels) of an upright hand with the `extended` fingers up
+function hand(extended = []) {
+    const landmarks = Array.from({ length: 21 }, () => [320, 400, 0]);
+    landmarks[1] = [300, 380, 0];
+    landmarks[4] = extended.includes('thumb') ? [220, 300, 0] : [310, 370, 0];
+    [['index', 8], ['middle', 12], ['ring', 16], ['pinky', 20]].forEach(([finger, tip]) => {
+        landmarks[tip - 2] = [320, 300, 0];
+        landmarks[tip] = extended.includes(finger) ? [320, 250, 0] : [320, 320, 0];
+    });
+    return landmarks;
+}
+
+// What the registry asks of HandTracker, with the same finger test
+function createTracker({ env = null, palmSpeed = 0 } = {}) {
+    return {
+        solarSystem: { planetEnvironment: env },
+        gestureThresholds: { throw: 5 },
+        isFingerExtended(landmarks, base, tip) {
+            if (tip === 4) return Math.hypot(landmarks[4][0] - landmarks[0][0], landmarks[4][1] - landmarks[0][1]) > 60;
+            return landmarks[tip][1] < landmarks[tip - 2][1];
+        },
+        computeThrowVelocity: () => new THREE.Vector3(palmSpeed, 0, 0)
+    };
+}
+
+const POINT = { index: true, middle: false, ring: false, pinky: false };
+
+test('add() rejects gestures it could never match', () => {
+    const registry = new GestureRegistry();
+
+    assert.throws(() => registry.add({ fingers: POINT }), /needs a name/);
+    assert.throws(() => registry.add({ name: 'Wave', context: 'moon' }), /unknown context "moon"/);
+    assert.throws(() => registry.add({ name: 'Wave', context: ['surface', 'orbit'] }), /unknown context "orbit"/);
+    assert.throws(() => registry.add({ name: 'Wave', fingers: { toe: true } }), /unknown finger "toe"/);
+    assert.throws(() => registry.add({ name: 'Wave', trigger: 'end' }), /trigger must be/);
+    assert.throws(() => registry.update('Wave', { priority: 1 }), /No gesture named "Wave"/);
+    assert.equal(registry.list().length, 0);
+});
+
+test('the highest priority gesture that matches wins', () => {
+    const registry = new GestureRegistry([
+        { name: 'AnyHand', priority: 1 },
+        { name: 'Point', priority: 10, fingers: POINT },
+        { name: 'Fist', priority: 5, fingers: { index: false, middle: false } }
+    ]);
+    const tracker = createTracker();
+
+    assert.deepEqual(registry.list().map(gesture => gesture.name), ['Point', 'Fist', 'AnyHand']);
+    assert.equal(registry.detect(tracker, hand(['index']), 0), 'Point');
+    assert.equal(registry.detect(tracker, hand([]), 100), 'Fist');
+    assert.equal(registry.detect(tracker, hand(['index', 'middle']), 200), 'AnyHand');
+
+    registry.update('AnyHand', { priority: 20 });
+    assert.equal(registry.detect(tracker, hand(['index']), 300), 'AnyHand');
+});
+
+test('context and motion decide where and how fast a gesture counts', () => {
+    const registry = new GestureRegistry([
+        { name: 'Throw', context: 'holdingBall', motion: { minPalmSpeed: 'throw' } }
+    ]);
+    const holding = { character: {}, isHoldingBall: true };
+
+    assert.equal(registry.detect(createTracker({ palmSpeed: 8 }), hand(), 0), null);
+    assert.equal(registry.detect(createTracker({ env: holding, palmSpeed: 2 }), hand(), 100), null);
+    assert.equal(registry.detect(createTracker({ env: holding, palmSpeed: 8 }), hand(), 200), 'Throw');
+});
+
+test('a disabled or removed gesture is skipped and the next one matches', () => {
+    const calls = [];
+    const registry = new GestureRegistry([
+        { name: 'Point', priority: 10, fingers: POINT, action: () => calls.push('Point') },
+        { name: 'AnyHand', priority: 1, action: () => calls.push('AnyHand') }
+    ]);
+    const tracker = createTracker();
+
+    registry.setEnabled('Point', false);
+    assert.equal(registry.detect(tracker, hand(['index']), 0), 'AnyHand');
+    registry.setEnabled('Point', true);
+    assert.equal(registry.detect(tracker, hand(['index']), 100), 'Point');
+    assert.equal(registry.remove('Point'), true);
+    assert.equal(registry.remove('Point'), false);
+    assert.equal(registry.detect(tracker, hand(['index']), 200), 'AnyHand');
+
+    assert.deepEqual(calls, ['AnyHand', 'Point', 'AnyHand']);
+});
+
+test('remap() swaps the action and keeps how the gesture is recognised', () => {
+    const calls = [];
+    const registry = new GestureRegistry([
+        { name: 'Point', priority: 10, fingers: POINT, debounce: 0, action: () => calls.push('old') }
+    ]);
+
+    registry.remap('Point', (frame) => calls.push(frame.landmarks.length));
+
+    assert.equal(registry.detect(createTracker(), hand(['index']), 0), 'Point');
+    assert.equal(registry.detect(createTracker(), hand([]), 100), null);
+    assert.deepEqual(calls, [21]);
+    assert.deepEqual(registry.get('Point').fingers, POINT);
+});
+
+test("trigger 'start' runs the action once per gesture, not on every frame", () => {
+    const starts = [];
+    const registry = new GestureRegistry([
+        { name: 'Point', fingers: POINT, trigger: 'start', action: ({ timestamp }) => starts.push(timestamp) }
+    ]);
+    const tracker = createTracker();
+
+    [0, 100, 200].forEach(time => registry.detect(tracker, hand(['index']), time));
+    registry.detect(tracker, hand([]), 300);
+    [400, 500].forEach(time => registry.detect(tracker, hand(['index']), time));
+    registry.reset();
+    registry.detect(tracker, hand(['index']), 600);
+
+    assert.deepEqual(starts, [0, 400, 600]);
+});
+
+test('debounce keeps the action from running again too soon', () => {
+    const fired = [];
+    const registry = new GestureRegistry([
+        { name: 'Point', fingers: POINT, debounce: 250, action: ({ timestamp }) => fired.push(timestamp) }
+    ]);
+    const tracker = createTracker();
+
+    [0, 100, 200, 300, 400, 500, 600].forEach(time => registry.detect(tracker, hand(['index']), time));
+
+    assert.deepEqual(fired, [0, 300, 600]);
+});
+
+test('remapping Pinch/Zoom replaces the camera zoom', () => {
+    const controls = { target: new THREE.Vector3(), update() {} };
+    const camera = new THREE.PerspectiveCamera(60, 4 / 3, 1, 1000);
+    camera.position.set(0, 20, 60);
+    const tracker = new HandTracker(new THREE.Scene(), camera, { controls, planetEnvironment: null }, null, null, { calibrationProfile: null });
+    tracker.debug.enabled = false;
+    const pinches = [];
+    tracker.gestures.remap('Pinch/Zoom', ({ started }) => pinches.push(started));
+    const recording = JSON.parse(readFileSync(new URL('./fixtures/gestures/pinch-zoom.json', import.meta.url), 'utf8'));
+
+    replayRecording(tracker, recording);
+
+    assert.deepEqual(camera.position.toArray(), [0, 20, 60]);
+    assert.equal(pinches[0], true);
+    assert.ok(pinches.length > 1 && pinches.slice(1).every(started => !started));
+});
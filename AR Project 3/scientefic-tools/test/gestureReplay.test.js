@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import * as THREE from 'three';
+import { HandTracker } from '../handTracking.js';
+import { replayRecording, gestureSequence } from '../tracking/handReplayer.js';
+
+const PLANETS = ['mercury', 'venus', 'earth', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune'];
+
+function loadRecording(name) {
+    return JSON.parse(readFileSync(new URL(`./fixtures/gestures/${name}.json`, import.meta.url), 'utf8'));
+}
+
+// The parts of SolarSystem the gestures use, noting what they did
+function createSolarSystem() {
+    const solarSystem = {
+        planetOrder: PLANETS,
+        planets: new Map(PLANETS.map(name => [name, { mesh: { name } }])),
+        controls: { target: new THREE.Vector3(), update() {} },
+        planetEnvironment: null,
+        currentlyHighlightedOrderedPlanet: null,
+        highlighted: [],
+        entered: [],
+        highlightPlanet(mesh) { this.highlighted.push(mesh.name); },
+        // Entering a planet leaves the solar system view, as SolarSystem.enterPlanet() does
+        enterPlanet(mesh) {
+            this.entered.push(mesh?.name);
+            this.planetEnvironment = createPlanetEnvironment();
+        }
+    };
+    return solarSystem;
+}
+
+// The parts of PlanetEnvironment the ball gestures use
+function createPlanetEnvironment() {
+    return {
+        character: {},
+        isHoldingBall: false,
+        ballThrown: false,
+        throws: [],
+        pickupBall() { this.isHoldingBall = true; },
+        throwBall(velocity) {
+            this.throws.push(velocity.clone());
+            this.isHoldingBall = false;
+            this.ballThrown = true;
+        },
+        setThrowAngle() {}
+    };
+}
+
+function createTracker(solarSystem) {
+    const camera = new THREE.PerspectiveCamera(60, 4 / 3, 1, 1000);
+    camera.position.set(0, 20, 60);
+    camera.lookAt(solarSystem.controls.target);
+    const tracker = new HandTracker(new THREE.Scene(), camera, solarSystem, null, null, { calibrationProfile: null });
+    tracker.debug.enabled = false;
+    return tracker;
+}
+
+test('two fingers highlight the planet under them and a third finger enters it', () => {
+    const solarSystem = createSolarSystem();
+    const tracker = createTracker(solarSystem);
+
+    const entries = replayRecording(tracker, loadRecording('select-planet'));
+
+    assert.deepEqual(gestureSequence(entries), ['Rotate', 'Tap', 'ThreeFingerEntry']);
+    assert.ok(solarSystem.highlighted.length > 0);
+    assert.ok(solarSystem.highlighted.every(name => name === 'mars'));
+    assert.deepEqual(solarSystem.entered, ['mars']);
+});
+
+test('a pinch that opens up zooms the camera in', () => {
+    const solarSystem = createSolarSystem();
+    const tracker = createTracker(solarSystem);
+    const startDistance = tracker.camera.position.distanceTo(solarSystem.controls.target);
+
+    const entries = replayRecording(tracker, loadRecording('pinch-zoom'));
+
+    assert.deepEqual(gestureSequence(entries), ['Pinch/Zoom']);
+    assert.ok(tracker.camera.position.distanceTo(solarSystem.controls.target) < startDistance);
+});
+
+test('on a planet the ball is picked up with two fingers and thrown with a fast open hand', () => {
+    const solarSystem = createSolarSystem();
+    const env = createPlanetEnvironment();
+    solarSystem.planetEnvironment = env;
+    const tracker = createTracker(solarSystem);
+
+    const entries = replayRecording(tracker, loadRecording('pick-up-and-throw'));
+
+    assert.deepEqual(gestureSequence(entries), ['Grab', 'Rotate', 'Throw', 'Rotate']);
+    assert.equal(env.throws.length, 1);
+    assert.ok(env.throws[0].length() > tracker.gestureThresholds.throw);
+});
+
+test('two open hands moving apart zoom in', () => {
+    const solarSystem = createSolarSystem();
+    const tracker = createTracker(solarSystem);
+    const startDistance = tracker.camera.position.distanceTo(solarSystem.controls.target);
+
+    const entries = replayRecording(tracker, loadRecording('two-hand-zoom'));
+
+    assert.deepEqual(gestureSequence(entries), ['TwoHandZoomOrbit']);
+    assert.ok(tracker.camera.position.distanceTo(solarSystem.controls.target) < startDistance);
+});
+
+test('a replay gives the same gestures every time', () => {
+    const recording = loadRecording('select-planet');
+    const first = replayRecording(createTracker(createSolarSystem()), recording);
+    const second = replayRecording(createTracker(createSolarSystem()), recording);
+
+    assert.deepEqual(second, first);
+});
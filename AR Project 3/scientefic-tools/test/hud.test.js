@@ -0,0 +1,64 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHudSection } from '../utils/hud.js';
+import { createIntegratorControls } from '../models/integratorComparison.js';
+import { createLauncherControls } from '../models/projectileLauncher.js';
+
+function createHud() {
+    const hud = document.createElement('div');
+    hud.id = 'physics-hud';
+    document.body.appendChild(hud);
+    return hud;
+}
+
+afterEach(() => {
+    document.body.innerHTML = '';
+});
+
+test('a section goes into the physics HUD and keeps clicks and, when asked, keys to itself', () => {
+    const hud = createHud();
+    let outside = 0;
+    ['mousedown', 'keydown'].forEach(type => hud.addEventListener(type, () => outside++));
+
+    const { panel, title } = createHudSection('Launcher', { id: 'launcher-controls' });
+    const typing = createHudSection('Integrator', { keys: true });
+    ['mousedown', 'keydown'].forEach(type => {
+        panel.dispatchEvent(new window.Event(type, { bubbles: true }));
+        typing.panel.dispatchEvent(new window.Event(type, { bubbles: true }));
+    });
+
+    assert.equal(panel.parentElement, hud);
+    assert.equal(panel.id, 'launcher-controls');
+    assert.equal(title.textContent, 'Launcher');
+    assert.equal(outside, 1, 'only the keydown on the section without keys gets out');
+});
+
+test('the integrator selects update the settings they were given', () => {
+    createHud();
+    const settings = { method: 'analytic', timeStep: 1 / 120 };
+    let changes = 0;
+    let compares = 0;
+
+    const controls = createIntegratorControls(settings, { onChange: () => changes++, onCompare: () => compares++ });
+    controls.method.value = 'euler';
+    controls.method.dispatchEvent(new window.Event('change'));
+    controls.timeStep.value = String(1 / 30);
+    controls.timeStep.dispatchEvent(new window.Event('change'));
+    controls.button.click();
+
+    assert.deepEqual(settings, { method: 'euler', timeStep: 1 / 30 });
+    assert.equal(changes, 2);
+    assert.equal(compares, 1);
+});
+
+test('clearing the launcher empties the sweep results', () => {
+    createHud();
+    let cleared = 0;
+    const controls = createLauncherControls({ onToggle() {}, onFire() {}, onSweep() {}, onClear: () => cleared++ });
+    controls.summary.innerHTML = '<div>Longest: 45°</div>';
+
+    controls.clear.click();
+
+    assert.equal(cleared, 1);
+    assert.equal(controls.summary.innerHTML, '');
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import LoaderHelper from '../utils/loaderHelper.js';
+
+// Runs `fn` with console.info and console.warn recorded instead of printed
+function captureConsole(fn) {
+    const lines = [];
+    const { info, warn } = console;
+    console.info = (...args) => lines.push(['info', args.join(' ')]);
+    console.warn = (...args) => lines.push(['warn', args.join(' ')]);
+    try {
+        fn();
+    } finally {
+        console.info = info;
+        console.warn = warn;
+    }
+    return lines;
+}
+
+test('missing assets are reported once per batch of loads, not one warning each', () => {
+    const loader = new LoaderHelper();
+    const urls = ['assets/textures/planets/mars.jpg', 'assets/textures/planets/venus.jpg', 'assets/textures/planets/earth.jpg'];
+
+    const lines = captureConsole(() => {
+        urls.forEach(url => loader.manager.itemStart(url));
+        loader.manager.itemError(urls[0]);
+        loader.manager.itemEnd(urls[0]);
+        loader.manager.itemError(urls[1]);
+        loader.manager.itemEnd(urls[1]);
+        loader.manager.itemEnd(urls[2]);
+    });
+
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0][0], 'info');
+    assert.match(lines[0][1], /^2 optional assets not found/);
+    assert.match(lines[0][1], /mars\.jpg, assets\/textures\/planets\/venus\.jpg$/);
+    assert.deepEqual([...loader.failed], urls.slice(0, 2));
+});
+
+test('a batch without missing assets stays quiet', () => {
+    const loader = new LoaderHelper();
+
+    const lines = captureConsole(() => {
+        loader.manager.itemStart('assets/textures/planets/earth.jpg');
+        loader.manager.itemEnd('assets/textures/planets/earth.jpg');
+    });
+
+    assert.deepEqual(lines, []);
+});
@@ -0,0 +1,68 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import MediaPipeBackend, { MEDIAPIPE_CDN_PATH } from '../tracking/mediaPipeBackend.js';
+
+// Stands in for window.Hands: initialize() only succeeds for files under `available`
+function stubHands(available) {
+    const created = [];
+    window.Hands = class {
+        constructor({ locateFile }) {
+            this.base = locateFile('');
+            this.closed = false;
+            created.push(this);
+        }
+        setOptions() {}
+        onResults() {}
+        async initialize() {
+            if (!available.includes(this.base)) throw new Error(`404 ${this.base}hands.binarypb`);
+        }
+        close() { this.closed = true; }
+    };
+    return created;
+}
+
+afterEach(() => {
+    delete window.Hands;
+});
+
+test('loads MediaPipe from the local assets when they are there', async () => {
+    const created = stubHands(['/assets/hands/']);
+    const backend = new MediaPipeBackend({ assetPath: '/assets/hands' });
+
+    await backend.load();
+
+    assert.equal(created.length, 1);
+    assert.equal(backend.hands.base, '/assets/hands/');
+});
+
+test('stays with the local assets by default', async () => {
+    const created = stubHands([MEDIAPIPE_CDN_PATH]);
+    const backend = new MediaPipeBackend({ assetPath: '/assets/hands/' });
+
+    await assert.rejects(backend.load(), /404/);
+    assert.deepEqual(created.map(hands => hands.base), ['/assets/hands/']);
+    assert.equal(backend.hands, null);
+});
+
+test('falls back to the CDN when asked to and the local assets are missing', async () => {
+    const created = stubHands([MEDIAPIPE_CDN_PATH]);
+    const backend = new MediaPipeBackend({ assetPath: '/assets/hands/', fallbackPath: MEDIAPIPE_CDN_PATH });
+
+    await backend.load();
+
+    assert.deepEqual(created.map(hands => hands.base), ['/assets/hands/', MEDIAPIPE_CDN_PATH]);
+    assert.ok(created[0].closed);
+    assert.equal(backend.hands, created[1]);
+});
+
+test('a hands.js that fails to load leaves no script tag behind', async () => {
+    const backend = new MediaPipeBackend({ assetPath: '/assets/hands/' });
+
+    const loading = backend.load();
+    const script = document.head.querySelector('script');
+    assert.equal(script.src, 'http://localhost:8080/assets/hands/hands.js');
+    script.dispatchEvent(new window.Event('error'));
+
+    await assert.rejects(loading, /Could not load/);
+    assert.equal(document.head.querySelector('script'), null);
+});
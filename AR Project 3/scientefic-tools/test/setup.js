@@ -0,0 +1,20 @@
+// Loaded before every test file (see the test script in package.json): resolves the app's CDN
+// imports from node_modules and gives the modules the browser globals they use, from jsdom.
+import { register } from 'node:module';
+import { JSDOM } from 'jsdom';
+
+register('./cdnResolver.js', import.meta.url);
+
+const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+    url: 'http://localhost:8080/'
+});
+
+globalThis.window = dom.window;
+['document', 'navigator', 'localStorage', 'HTMLElement'].forEach(name => {
+    // navigator is a read-only global from Node 21 on
+    Object.defineProperty(globalThis, name, {
+        value: dom.window[name],
+        configurable: true,
+        writable: true
+    });
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import ThrowLog from '../models/throwLog.js';
+
+function beginThrow(log) {
+    return log.begin({
+        planet: 'Mars',
+        gravity: 3.73,
+        initialVelocity: 10,
+        angle: Math.PI / 4,
+        origin: new THREE.Vector3(0, 1.5, 0),
+        direction: new THREE.Vector3(1, 0, 0),
+        airDensity: 0.02,
+        drag: false,
+        predicted: { range: 27.3, apex: 6.7, flightTime: 3.9 }
+    });
+}
+
+test('a throw that never lands is left out of the exports', () => {
+    const log = new ThrowLog();
+    const landed = beginThrow(log);
+    log.finish(landed, 3.9, new THREE.Vector3(27, 0, 0));
+    const abandoned = beginThrow(log);
+    log.addSample(abandoned, 0.5, new THREE.Vector3(3, 4, 0));
+
+    log.discard(abandoned);
+
+    assert.deepEqual(log.throws, [landed]);
+    assert.equal(log.toCSV('throws').trim().split('\n').length, 2);
+    assert.ok(log.toCSV('samples').trim().split('\n').slice(1).every(row => row.startsWith('1,')));
+});
+
+test('a landed throw is never discarded', () => {
+    const log = new ThrowLog();
+    const record = beginThrow(log);
+    log.finish(record, 3.9, new THREE.Vector3(27, 0, 0));
+    let changes = 0;
+    log.onChange = () => changes++;
+
+    log.discard(record);
+
+    assert.deepEqual(log.throws, [record]);
+    assert.equal(changes, 0);
+});
+
+test('the download link is revoked only after the click', async () => {
+    const log = new ThrowLog();
+    const revoked = [];
+    const { createObjectURL, revokeObjectURL } = URL;
+    URL.createObjectURL = () => 'blob:throws';
+    URL.revokeObjectURL = (url) => revoked.push(url);
+    let clicked = false;
+    window.HTMLAnchorElement.prototype.click = function () {
+        clicked = true;
+        assert.deepEqual(revoked, []);
+    };
+    try {
+        log.download('csv');
+        assert.ok(clicked);
+        assert.deepEqual(revoked, []);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        assert.deepEqual(revoked, ['blob:throws']);
+    } finally {
+        URL.createObjectURL = createObjectURL;
+        URL.revokeObjectURL = revokeObjectURL;
+        delete window.HTMLAnchorElement.prototype.click;
+    }
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { PlanetEnvironment } from '../planetEnvironment.js';
+
+// Just the state updateTrajectoryPreview() reads, with the expensive steps counted instead of run
+function createHeldBall() {
+    const env = Object.create(PlanetEnvironment.prototype);
+    Object.assign(env, {
+        isHoldingBall: true,
+        ballThrown: false,
+        character: { position: new THREE.Vector3(0, 2, 0) },
+        camera: new THREE.PerspectiveCamera(),
+        throwStartPosition: new THREE.Vector3(),
+        throwForce: 15,
+        throwAngle: Math.PI / 4,
+        gravity: 9.82,
+        dragSettings: { enabled: true, mass: 0.45, radius: 0.11, dragCoefficient: 0.47, windSpeed: 0, windDirection: 0 },
+        integratorSettings: { method: 'analytic', timeStep: 1 / 60 },
+        platformHeight: 0,
+        challenge: null,
+        throwPreviewKey: '',
+        counts: { path: 0, drag: 0, physics: 0 }
+    });
+    env.previewThrowPath = () => env.counts.path++;
+    env.updateDragPreview = () => env.counts.drag++;
+    env.updatePhysicsCalculations = () => env.counts.physics++;
+    env.updateComparison = () => {};
+    env.updateIntegratorComparison = () => {};
+    env.renderChallengeQuestion = () => {};
+    return env;
+}
+
+test('a ball held still is predicted once, not every frame', () => {
+    const env = createHeldBall();
+
+    for (let frame = 0; frame < 10; frame++) env.updateTrajectoryPreview();
+
+    assert.deepEqual(env.counts, { path: 1, drag: 1, physics: 1 });
+});
+
+test('the preview follows changes to the throw, the air and the stance', () => {
+    const env = createHeldBall();
+    env.updateTrajectoryPreview();
+
+    env.throwForce = 20;
+    env.updateTrajectoryPreview();
+    env.dragSettings = { ...env.dragSettings, windSpeed: 5 };
+    env.updateTrajectoryPreview();
+    env.integratorSettings.method = 'euler';
+    env.updateTrajectoryPreview();
+    env.character.position.x += 1;
+    env.updateTrajectoryPreview();
+    env.updateTrajectoryPreview();
+
+    assert.equal(env.counts.drag, 5);
+});
+
+test('clearing the preview draws it again on the next frame', () => {
+    const env = createHeldBall();
+    env.updateTrajectoryPreview();
+
+    env.clearTrajectoryPreview();
+    env.updateTrajectoryPreview();
+
+    assert.equal(env.counts.path, 2);
+});
+
+test('preview lines reuse their position buffer while the points fit', () => {
+    const env = createHeldBall();
+    const line = new THREE.Line(new THREE.BufferGeometry(), new THREE.LineDashedMaterial());
+    const points = count => Array.from({ length: count }, (_, i) => new THREE.Vector3(i, 10 - i, 0));
+
+    env.setLinePoints(line, points(40));
+    const buffer = line.geometry.getAttribute('position');
+    env.setLinePoints(line, points(25));
+
+    assert.equal(line.geometry.getAttribute('position'), buffer);
+    assert.equal(line.geometry.drawRange.count, 25);
+    assert.deepEqual(buffer.array.slice(24 * 3, 25 * 3), new Float32Array([24, -14, 0]));
+
+    env.setLinePoints(line, points(100));
+    assert.notEqual(line.geometry.getAttribute('position'), buffer);
+    assert.equal(line.geometry.drawRange.count, 100);
+});
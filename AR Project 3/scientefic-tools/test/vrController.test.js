@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import VRController from '../xr/vrController.js';
+
+// navigator.xr stand-in that grants every immersive-vr session
+function createXRSystem() {
+    const calls = [];
+    return {
+        calls,
+        async isSessionSupported(mode) {
+            calls.push(['isSessionSupported', mode]);
+            return true;
+        },
+        async requestSession(mode, options) {
+            calls.push(['requestSession', mode, options]);
+            return new FakeSession();
+        }
+    };
+}
+
+class FakeSession extends EventTarget {
+    constructor() {
+        super();
+        this.ended = false;
+    }
+    async end() {
+        this.ended = true;
+        this.dispatchEvent(new Event('end'));
+    }
+}
+
+// renderer.xr with the two controller groups three.js would hand out
+function createRenderer() {
+    const controllers = [new THREE.Group(), new THREE.Group()];
+    return {
+        xr: {
+            enabled: false,
+            session: null,
+            setReferenceSpaceType(type) { this.referenceSpaceType = type; },
+            async setSession(session) { this.session = session; },
+            getController: (index) => controllers[index]
+        }
+    };
+}
+
+// A planet at the origin and the parts of SolarSystem the controller uses. The camera sits a little
+// off the z axis so the controller ray hits a triangle rather than the sphere's vertex.
+function createController() {
+    const scene = new THREE.Scene();
+    const planetMesh = new THREE.Mesh(new THREE.SphereGeometry(1));
+    scene.add(planetMesh);
+    const planet = { name: 'Mars', mesh: planetMesh };
+    const calls = [];
+    const solarSystem = {
+        planetEnvironment: null,
+        cameraRig: null,
+        controls: { enabled: true },
+        originalCameraPosition: new THREE.Vector3(0.3, 0.2, 10),
+        getSystemObjects: () => [planetMesh],
+        findPlanetObject: (object) => (object === planetMesh ? planet : null),
+        zoomToPlanet: (name) => calls.push(['zoomToPlanet', name]),
+        enterPlanet: (target) => calls.push(['enterPlanet', target.name]),
+        zoomOut: () => calls.push(['zoomOut'])
+    };
+    const camera = new THREE.PerspectiveCamera();
+    camera.position.set(0.3, 0.2, 10);
+    const xrSystem = createXRSystem();
+    const controller = new VRController(createRenderer(), scene, camera, solarSystem, { xrSystem });
+    return { controller, scene, camera, solarSystem, xrSystem, calls };
+}
+
+test('a session puts the camera in the dolly and ending it restores the desktop view', async () => {
+    const { controller, scene, camera, solarSystem, xrSystem } = createController();
+
+    assert.equal(controller.renderer.xr.enabled, true);
+    assert.equal(await controller.start(), true);
+    assert.deepEqual(xrSystem.calls[0].slice(0, 2), ['requestSession', 'immersive-vr']);
+    assert.equal(controller.renderer.xr.session, controller.session);
+    assert.equal(controller.renderer.xr.referenceSpaceType, 'local-floor');
+    assert.equal(camera.parent, controller.dolly);
+    assert.equal(controller.dolly.parent, scene);
+    assert.deepEqual(controller.dolly.position.toArray(), [0.3, 0.2, 10]);
+    assert.deepEqual(camera.position.toArray(), [0, 0, 0]);
+    assert.equal(solarSystem.cameraRig, controller.dolly);
+    assert.equal(solarSystem.controls.enabled, false);
+    assert.equal(controller.controllers.length, 2);
+    assert.ok(controller.controllers.every(group => group.parent === controller.dolly && group.getObjectByName('ray')));
+
+    const session = controller.session;
+    await controller.end();
+
+    assert.ok(session.ended);
+    assert.equal(controller.session, null);
+    assert.equal(camera.parent, null);
+    assert.equal(scene.getObjectByName('vrDolly'), undefined);
+    assert.deepEqual(camera.position.toArray(), [0.3, 0.2, 10]);
+    assert.equal(solarSystem.cameraRig, null);
+    assert.equal(solarSystem.controls.enabled, true);
+    assert.deepEqual(controller.controllers, []);
+});
+
+test('the first select on a planet zooms to it and the second enters it', async () => {
+    const { controller, scene, calls } = createController();
+    await controller.start();
+    scene.updateMatrixWorld(true);
+    const [hand] = controller.controllers;
+
+    hand.dispatchEvent({ type: 'select' });
+    assert.deepEqual(calls, [['zoomToPlanet', 'Mars']]);
+
+    hand.dispatchEvent({ type: 'select' });
+    assert.deepEqual(calls, [['zoomToPlanet', 'Mars'], ['enterPlanet', 'Mars']]);
+    assert.equal(controller.selectedPlanet, null);
+});
+
+test('squeeze zooms out in space and picks up the ball on a planet', async () => {
+    const { controller, solarSystem, calls } = createController();
+    await controller.start();
+    const [hand] = controller.controllers;
+
+    hand.dispatchEvent({ type: 'squeeze' });
+    assert.deepEqual(calls, [['zoomOut']]);
+
+    let pickups = 0;
+    solarSystem.planetEnvironment = { isInUpdateLoop: true, isHoldingBall: false, pickupBall: () => pickups++ };
+    hand.dispatchEvent({ type: 'squeeze' });
+    solarSystem.planetEnvironment.isHoldingBall = true;
+    hand.dispatchEvent({ type: 'squeeze' });
+
+    assert.equal(pickups, 1);
+    assert.deepEqual(calls, [['zoomOut']]);
+});
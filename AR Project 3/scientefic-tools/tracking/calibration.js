@@ -0,0 +1,149 @@
+// Turns what the calibration wizard (tracking/calibrationWizard.js) measured of one person's hand
+// into the pinch and throw thresholds and the planet selection offset of HandTracker, and keeps the result in
+// localStorage so it is applied again on the next visit.
+//
+// Everything is measured in fractions of the video frame, so a profile works at any video size:
+//   handSizes     wrist to middle-finger knuckle (landmarks 0-9) of the open hand, in frame widths
+//   openSpreads   thumb tip to index tip (4-8) of the open hand, in frame widths
+//   restSpeeds    palm speed (HandTracker.computeThrowVelocity) while the open hand is held still
+//   pinchSpreads  thumb tip to index tip while pinching
+//   reachX        x of the point between the index and middle tips (8, 12) while sweeping it, 0-1
+//   throwSpeeds   palm speed during throwing motions
+
+const STORAGE_KEY = 'handTracker.calibration';
+
+// Typical hand at a comfortable distance: the size the default thresholds were tuned for
+export const REFERENCE_HAND_SIZE = 0.1;
+const HAND_LENGTH = 0.095;                           // m from wrist to middle knuckle, adult average
+const CAMERA_FOV = (60 * Math.PI) / 180;             // Horizontal field of view of a typical webcam
+export const CAMERA_DISTANCE_RANGE = [0.5, 1.5];     // m, where tracking works best
+const MIN_SAMPLES = 5;
+
+// Value below which `fraction` of the samples lie (linear between samples)
+export function percentile(values, fraction) {
+    if (values.length === 0) return NaN;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const position = (sorted.length - 1) * fraction;
+    const below = Math.floor(position);
+    const above = Math.min(below + 1, sorted.length - 1);
+    return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+}
+
+// Camera distance (m) from the hand size in the frame, with a pinhole camera of CAMERA_FOV
+export function estimateCameraDistance(handSize) {
+    return HAND_LENGTH / (2 * Math.tan(CAMERA_FOV / 2) * handSize);
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+// Builds a profile from the measurements; `defaults` are the thresholds kept for anything that
+// wasn't measured well enough (listed in profile.warnings). Returns
+// { version, createdAt, handSize, cameraDistance, thresholds: { pinch, throw },
+// calibration: { offsetX, scaleFactorX }, warnings } with the offset and scale as fractions of the
+// frame width.
+export function computeCalibrationProfile(measurements, defaults) {
+    const samples = name => measurements[name] || [];
+    const enough = name => samples(name).length >= MIN_SAMPLES;
+    const warnings = [];
+    const thresholds = {
+        pinch: defaults.pinch,
+        throw: defaults.throw
+    };
+    const calibration = { offsetX: 0, scaleFactorX: 1 };
+
+    let handSize = REFERENCE_HAND_SIZE;
+    let cameraDistance = null;
+    if (enough('handSizes')) {
+        handSize = percentile(samples('handSizes'), 0.5);
+        cameraDistance = estimateCameraDistance(handSize);
+        const [near, far] = CAMERA_DISTANCE_RANGE;
+        if (cameraDistance < near) {
+            warnings.push(`Your hand is about ${cameraDistance.toFixed(1)} m from the camera: move back a little.`);
+        } else if (cameraDistance > far) {
+            warnings.push(`Your hand is about ${cameraDistance.toFixed(1)} m from the camera: move closer.`);
+        }
+    } else {
+        warnings.push('No open hand was seen: hand size and distance use the defaults.');
+    }
+
+    if (enough('pinchSpreads') && enough('openSpreads')) {
+        // A third of the way from a full pinch to a relaxed open hand
+        const pinched = percentile(samples('pinchSpreads'), 0.1);
+        const open = percentile(samples('openSpreads'), 0.5);
+        if (open > pinched) {
+            thresholds.pinch = clamp(pinched + (open - pinched) / 3, 0.02, defaults.pinch);
+        } else {
+            warnings.push('The pinch was no closer than the open hand: pinch uses the default.');
+        }
+    } else {
+        warnings.push('No pinch was seen: pinch uses the default.');
+    }
+
+    if (enough('reachX')) {
+        // The comfortable sweep is mapped onto the whole row of planets
+        const left = percentile(samples('reachX'), 0.05);
+        const right = percentile(samples('reachX'), 0.95);
+        if (right - left > 0.1) {
+            calibration.offsetX = left;
+            calibration.scaleFactorX = right - left;
+        } else {
+            warnings.push('The sideways sweep was too small: planet selection uses the whole frame.');
+        }
+    } else {
+        warnings.push('No sweep was seen: planet selection uses the whole frame.');
+    }
+
+    if (enough('throwSpeeds')) {
+        // Half the fastest throw, but well above the jitter of a hand held still
+        const fastest = Math.max(...samples('throwSpeeds'));
+        const jitter = enough('restSpeeds') ? percentile(samples('restSpeeds'), 0.9) : 0;
+        const threshold = Math.max(fastest / 2, jitter * 3);
+        if (threshold < fastest) {
+            thresholds.throw = clamp(threshold, 0.3, 5);
+        } else {
+            warnings.push('The throws were not much faster than a still hand: throw uses the default.');
+        }
+    } else {
+        warnings.push('No throw was seen: throw uses the default.');
+    }
+
+    return {
+        version: 1,
+        createdAt: new Date().toISOString(),
+        handSize,
+        cameraDistance,
+        thresholds,
+        calibration,
+        warnings
+    };
+}
+
+export function loadCalibrationProfile() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (saved && saved.version === 1 && saved.thresholds && saved.calibration) return saved;
+    } catch (error) {
+        console.warn('Could not read the hand calibration:', error);
+    }
+    return null;
+}
+
+export function saveCalibrationProfile(profile) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+        return true;
+    } catch (error) {
+        console.warn('Could not save the hand calibration:', error);
+        return false;
+    }
+}
+
+export function clearCalibrationProfile() {
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+        console.warn('Could not remove the hand calibration:', error);
+    }
+}
@@ -0,0 +1,278 @@
+import { computeCalibrationProfile, saveCalibrationProfile } from './calibration.js';
+
+// Guided calibration: asks the user for one gesture after another, measures their hand while they
+// make it, then works out their own thresholds and offsets (tracking/calibration.js), applies them
+// to the HandTracker and saves them. While it runs, HandTracker.processHands() sends each frame here
+// instead of to the gesture detectors, so pinching or waving doesn't also move the camera.
+//
+// A step only counts time while a hand in the right pose is in view; `measure` records that frame
+// and returns false when the pose isn't right.
+export const CALIBRATION_STEPS = [
+    {
+        id: 'open',
+        title: 'Open hand',
+        instruction: 'Hold one open hand up to the camera, fingers spread, at your usual distance, and keep it still.',
+        duration: 2000,
+        measure: (landmarks, wizard) => {
+            const tracker = wizard.tracker;
+            if (!tracker.areAllFingersOpen(landmarks)) return false;
+            const { width } = wizard.getFrameSize();
+            tracker.updatePositionHistory(landmarks);
+            wizard.record('handSizes', Math.hypot(landmarks[9][0] - landmarks[0][0], landmarks[9][1] - landmarks[0][1]) / width);
+            wizard.record('openSpreads', tracker.distance3D(landmarks[4], landmarks[8]) / width);
+            wizard.record('restSpeeds', tracker.computeThrowVelocity().length());
+            return true;
+        }
+    },
+    {
+        id: 'pinch',
+        title: 'Pinch',
+        instruction: 'Pinch your thumb and index finger together, let go, and pinch again a few times.',
+        duration: 3000,
+        measure: (landmarks, wizard) => {
+            wizard.record('pinchSpreads', wizard.tracker.distance3D(landmarks[4], landmarks[8]) / wizard.getFrameSize().width);
+            return true;
+        }
+    },
+    {
+        id: 'reach',
+        title: 'Reach',
+        instruction: 'Hold up your index and middle fingers and sweep them as far left and right as is comfortable.',
+        duration: 5000,
+        measure: (landmarks, wizard) => {
+            if (!wizard.tracker.isTwoFingersExtended(landmarks)) return false;
+            const { width } = wizard.getFrameSize();
+            wizard.record('reachX', (landmarks[8][0] + landmarks[12][0]) / 2 / width);
+            return true;
+        }
+    },
+    {
+        id: 'throw',
+        title: 'Throw',
+        instruction: 'Make two or three quick throwing motions towards the screen, opening your hand as you let go.',
+        duration: 4000,
+        measure: (landmarks, wizard) => {
+            const tracker = wizard.tracker;
+            tracker.updatePositionHistory(landmarks);
+            if (tracker.areAllFingersOpen(landmarks)) {
+                wizard.record('throwSpeeds', tracker.computeThrowVelocity().length());
+            }
+            return true;
+        }
+    }
+];
+
+export default class CalibrationWizard {
+    constructor(tracker, options = {}) {
+        this.tracker = tracker;
+        this.steps = options.steps || CALIBRATION_STEPS;
+        this.save = options.save ?? true;          // Keep the profile in localStorage
+        this.onFinish = options.onFinish || null;  // (profile) once the last step is done
+        this.maxFrameGap = 200;                    // ms; longer gaps (hand lost) don't count as time
+
+        this.active = false;
+        this.stepIndex = 0;
+        this.stepTime = 0;        // ms of the current step done so far
+        this.lastFrameTime = null;
+        this.handInView = false;
+        this.measurements = {};   // name -> samples, see tracking/calibration.js
+        this.profile = null;
+        this.panel = null;
+    }
+
+    start() {
+        this.active = true;
+        this.stepIndex = 0;
+        this.measurements = {};
+        this.profile = null;
+        this.startStep();
+        this.createPanel();
+        this.updatePanel();
+    }
+
+    cancel() {
+        this.active = false;
+        this.removePanel();
+    }
+
+    getFrameSize() {
+        const video = this.tracker.video;
+        return {
+            width: video.width || video.videoWidth,
+            height: video.height || video.videoHeight
+        };
+    }
+
+    record(name, value) {
+        if (!Number.isFinite(value)) return;
+        if (!this.measurements[name]) this.measurements[name] = [];
+        this.measurements[name].push(value);
+    }
+
+    getStep() {
+        return this.steps[this.stepIndex] || null;
+    }
+
+    // One frame of hands (video pixels) at `now` ms, from HandTracker.processHands()
+    handleFrame(hands, now) {
+        if (!this.active) return;
+        const step = this.getStep();
+        const elapsed = this.lastFrameTime === null ? 0 : now - this.lastFrameTime;
+        this.lastFrameTime = now;
+
+        const { aim } = this.tracker.assignHandRoles(hands);
+        this.handInView = !!aim;
+        if (aim && step.measure(aim.landmarks, this) !== false && elapsed <= this.maxFrameGap) {
+            this.stepTime += elapsed;
+        }
+        if (this.stepTime >= step.duration) {
+            this.nextStep();
+        } else {
+            this.updatePanel();
+        }
+    }
+
+    startStep() {
+        this.stepTime = 0;
+        this.lastFrameTime = null;
+        // Palm speeds are measured from this step's frames only
+        this.tracker.lastPalmPositions = [];
+        this.tracker.lastSmoothedPosition = null;
+    }
+
+    nextStep() {
+        this.stepIndex++;
+        if (this.stepIndex >= this.steps.length) {
+            this.finish();
+            return;
+        }
+        this.startStep();
+        this.updatePanel();
+    }
+
+    finish() {
+        this.active = false;
+        this.profile = computeCalibrationProfile(this.measurements, this.tracker.defaultThresholds);
+        this.tracker.applyCalibrationProfile(this.profile);
+        if (this.save) {
+            saveCalibrationProfile(this.profile);
+        }
+        this.tracker.lastPalmPositions = [];
+        this.tracker.lastSmoothedPosition = null;
+        this.showSummary();
+        if (this.onFinish) this.onFinish(this.profile);
+    }
+
+    // ---------------------- Panel ----------------------
+
+    createPanel() {
+        if (this.panel || typeof document === 'undefined') return;
+        const panel = document.createElement('div');
+        panel.id = 'calibration-wizard';
+        Object.assign(panel.style, {
+            position: 'fixed',
+            top: '50%',
+            left: '50%',
+            transform: 'translate(-50%, -50%)',
+            width: '340px',
+            padding: '16px',
+            backgroundColor: 'rgba(0, 0, 0, 0.85)',
+            color: 'white',
+            borderRadius: '10px',
+            fontFamily: 'Arial, sans-serif',
+            fontSize: '14px',
+            zIndex: '2000'
+        });
+
+        const title = document.createElement('div');
+        title.style.color = '#4CAF50';
+        title.style.fontWeight = 'bold';
+        title.style.fontSize = '16px';
+        title.style.marginBottom = '8px';
+        panel.appendChild(title);
+
+        const text = document.createElement('div');
+        text.style.marginBottom = '10px';
+        text.style.lineHeight = '1.4';
+        panel.appendChild(text);
+
+        const bar = document.createElement('div');
+        Object.assign(bar.style, {
+            height: '8px',
+            backgroundColor: 'rgba(255, 255, 255, 0.2)',
+            borderRadius: '4px',
+            overflow: 'hidden',
+            marginBottom: '6px'
+        });
+        const fill = document.createElement('div');
+        Object.assign(fill.style, { height: '100%', width: '0%', backgroundColor: '#4CAF50' });
+        bar.appendChild(fill);
+        panel.appendChild(bar);
+
+        const status = document.createElement('div');
+        status.style.fontSize = '12px';
+        status.style.color = '#BBBBBB';
+        status.style.marginBottom = '10px';
+        panel.appendChild(status);
+
+        const buttons = document.createElement('div');
+        buttons.style.display = 'flex';
+        buttons.style.gap = '6px';
+        const addButton = (label, action) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            Object.assign(button.style, {
+                flex: '1',
+                padding: '6px',
+                backgroundColor: 'rgba(33, 150, 243, 0.7)',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer'
+            });
+            button.addEventListener('click', action);
+            buttons.appendChild(button);
+            return button;
+        };
+        const skip = addButton('Skip step', () => this.nextStep());
+        const close = addButton('Cancel', () => this.cancel());
+        panel.appendChild(buttons);
+
+        ['mousedown', 'touchstart'].forEach(type => {
+            panel.addEventListener(type, (event) => event.stopPropagation());
+        });
+        document.body.appendChild(panel);
+        this.panel = { root: panel, title, text, fill, status, skip, close };
+    }
+
+    updatePanel() {
+        const step = this.getStep();
+        if (!this.panel || !step) return;
+        const { title, text, fill, status } = this.panel;
+        title.textContent = `Hand calibration ${this.stepIndex + 1}/${this.steps.length}: ${step.title}`;
+        text.textContent = step.instruction;
+        fill.style.width = `${Math.min(100, (this.stepTime / step.duration) * 100).toFixed(0)}%`;
+        status.textContent = this.handInView ? 'Measuring...' : 'Show your hand to the camera';
+    }
+
+    showSummary() {
+        if (!this.panel) return;
+        const { title, text, fill, status, skip, close } = this.panel;
+        const { thresholds, cameraDistance, warnings } = this.profile;
+        title.textContent = 'Hand calibration done';
+        fill.style.width = '100%';
+        text.innerHTML = `
+            <div>Pinch: ${thresholds.pinch.toFixed(3)} &nbsp; Throw: ${thresholds.throw.toFixed(2)}</div>
+            ${cameraDistance ? `<div>Hand about ${cameraDistance.toFixed(1)} m from the camera</div>` : ''}
+        `;
+        status.textContent = warnings.join(' ') || (this.save ? 'Saved for your next visit.' : '');
+        skip.style.display = 'none';
+        close.textContent = 'Close';
+    }
+
+    removePanel() {
+        if (!this.panel) return;
+        this.panel.root.remove();
+        this.panel = null;
+    }
+}
@@ -0,0 +1,80 @@
+// The app's built-in one-hand gestures (format in tracking/gestureRegistry.js). HandTracker loads
+// these into its registry; the priorities keep the order the gestures were always checked in.
+export const DEFAULT_GESTURES = [
+    {
+        // Index, middle and ring up: enter the highlighted planet
+        name: 'ThreeFingerEntry',
+        priority: 100,
+        context: 'solarSystem',
+        fingers: { thumb: false, index: true, middle: true, ring: true },
+        debounce: 300,
+        action: (frame, tracker) => {
+            tracker.solarSystem.enterPlanet(tracker.solarSystem.currentlyHighlightedOrderedPlanet);
+        }
+    },
+    {
+        // Index and middle up: highlight the planet under them (left to right, Mercury to Neptune)
+        name: 'Tap',
+        priority: 90,
+        context: 'solarSystem',
+        fingers: { index: true, middle: true, ring: false, pinky: false },
+        action: ({ landmarks }, tracker) => tracker.attemptPlanetSelectionOrderedTwoFingers(landmarks)
+    },
+    {
+        // Thumb and index together: zoom by opening or closing the pinch
+        name: 'Pinch/Zoom',
+        priority: 80,
+        match: ({ landmarks, previous }, tracker) => !tracker.areMidRingPinkyExtended(landmarks) &&
+            tracker.isPinchClosed(landmarks, previous === 'Pinch/Zoom'),
+        action: ({ landmarks, started }, tracker) => tracker.applyPinchZoom(landmarks, started)
+    },
+    {
+        // Index and middle up next to the ball: pick it up
+        name: 'Grab',
+        priority: 70,
+        context: 'ballOnGround',
+        fingers: { index: true, middle: true, ring: false, pinky: false },
+        trigger: 'start',
+        debounce: 500,
+        action: (frame, tracker) => tracker.handlePickup()
+    },
+    {
+        // Holding the ball, open the hand while it moves fast: throw
+        name: 'Throw',
+        priority: 60,
+        context: 'holdingBall',
+        fingers: { thumb: true, index: true, middle: true, ring: true, pinky: true },
+        motion: { minPalmSpeed: 'throw' },
+        trigger: 'start',
+        action: ({ velocity, env }, tracker) => tracker.handleThrow(velocity, env)
+    },
+    {
+        // Open hand: orbit the camera with the palm
+        name: 'Rotate',
+        priority: 50,
+        fingers: { thumb: true, index: true, middle: true, ring: true, pinky: true },
+        action: ({ landmarks }, tracker) => tracker.handleRotation(landmarks)
+    },
+    {
+        // Thumbs up: steeper throw on a planet surface, faster time in the solar system view
+        name: 'ThumbUp',
+        priority: 40,
+        match: ({ landmarks }, tracker) => tracker.isThumbUp(landmarks),
+        debounce: 500,
+        action: ({ env }, tracker) => {
+            if (env?.character) tracker.adjustTrajectoryAngle(true);
+            else tracker.adjustTimeScale(1);
+        }
+    },
+    {
+        // Thumbs down: flatter throw, or slower (then paused, then reversed) time
+        name: 'ThumbDown',
+        priority: 40,
+        match: ({ landmarks }, tracker) => tracker.isThumbDown(landmarks),
+        debounce: 500,
+        action: ({ env }, tracker) => {
+            if (env?.character) tracker.adjustTrajectoryAngle(false);
+            else tracker.adjustTimeScale(-1);
+        }
+    }
+];
@@ -0,0 +1,169 @@
+// One-hand gestures as data instead of an if-chain: every frame the enabled gestures are tried from
+// the highest priority down and the first one that matches is the frame's gesture. A gesture is
+//
+//   {
+//     name,                  e.g. 'Pinch/Zoom'; shown in the gesture overlay and returned by detect()
+//     priority: 0,           higher is tried first
+//     context: 'any',        where it works: a GESTURE_CONTEXTS name or a list that must all hold
+//     fingers: { index: true, ring: false },  each of FINGERS extended (true) or curled (false);
+//                            fingers left out can be either
+//     motion: { minPalmSpeed, maxPalmSpeed }, palm speed limits, numbers or gestureThresholds keys
+//     match(frame, tracker), any further test, e.g. a distance between landmarks
+//     trigger: 'frame',      when the action runs: 'frame' on every matching frame, 'start' only
+//                            on the frame the gesture begins
+//     debounce: 0,           ms the action then waits before it can run again
+//     action(frame, tracker),
+//     enabled: true
+//   }
+//
+// `frame` is { landmarks (video pixels), timestamp (ms), env (the planet environment or null),
+// velocity (palm velocity, when a motion condition measured it), previous (the gesture matched the
+// frame before, or null) }; actions also get `started`, true on the gesture's first frame.
+// match() should only look at the hand: everything a gesture changes belongs in its action.
+
+// Landmark indices of each finger's base and tip, as used by HandTracker.isFingerExtended()
+export const FINGERS = {
+    thumb: [1, 4],
+    index: [5, 8],
+    middle: [9, 12],
+    ring: [13, 16],
+    pinky: [17, 20]
+};
+
+// What the app is doing, from the planet environment (null in the solar system view)
+export const GESTURE_CONTEXTS = {
+    any: () => true,
+    solarSystem: env => !env?.character,
+    surface: env => !!env?.character,
+    holdingBall: env => !!env?.character && !!env.isHoldingBall,
+    ballOnGround: env => !!env?.character && !env.isHoldingBall && !env.ballThrown
+};
+
+const GESTURE_DEFAULTS = {
+    priority: 0,
+    context: 'any',
+    fingers: null,
+    motion: null,
+    match: null,
+    trigger: 'frame',
+    debounce: 0,
+    action: null,
+    enabled: true
+};
+
+export default class GestureRegistry {
+    constructor(gestures = []) {
+        this.gestures = new Map();   // name -> gesture
+        this.active = null;          // Name of the gesture matched last frame
+        this.lastFired = new Map();  // name -> timestamp its action last ran
+        gestures.forEach(gesture => this.add(gesture));
+    }
+
+    // Adds a gesture, or replaces the one with the same name
+    add(gesture) {
+        if (!gesture?.name) {
+            throw new Error('A gesture needs a name');
+        }
+        const contexts = [].concat(gesture.context ?? GESTURE_DEFAULTS.context);
+        const unknownContext = contexts.find(context => !GESTURE_CONTEXTS[context]);
+        if (unknownContext) {
+            throw new Error(`Gesture "${gesture.name}": unknown context "${unknownContext}" (expected ${Object.keys(GESTURE_CONTEXTS).join(', ')})`);
+        }
+        const unknownFinger = Object.keys(gesture.fingers || {}).find(finger => !FINGERS[finger]);
+        if (unknownFinger) {
+            throw new Error(`Gesture "${gesture.name}": unknown finger "${unknownFinger}" (expected ${Object.keys(FINGERS).join(', ')})`);
+        }
+        if (gesture.trigger && gesture.trigger !== 'frame' && gesture.trigger !== 'start') {
+            throw new Error(`Gesture "${gesture.name}": trigger must be 'frame' or 'start'`);
+        }
+        const entry = { ...GESTURE_DEFAULTS, ...gesture };
+        this.gestures.set(entry.name, entry);
+        return entry;
+    }
+
+    remove(name) {
+        this.lastFired.delete(name);
+        return this.gestures.delete(name);
+    }
+
+    get(name) {
+        return this.gestures.get(name) || null;
+    }
+
+    // Changes some fields of a gesture, e.g. { priority } or { debounce }
+    update(name, changes) {
+        const gesture = this.gestures.get(name);
+        if (!gesture) {
+            throw new Error(`No gesture named "${name}"`);
+        }
+        return this.add({ ...gesture, ...changes, name });
+    }
+
+    setEnabled(name, enabled) {
+        this.update(name, { enabled });
+    }
+
+    // Gives a gesture a different action, keeping how it is recognised
+    remap(name, action) {
+        this.update(name, { action });
+    }
+
+    // Gestures in the order they are tried
+    list() {
+        return [...this.gestures.values()].sort((a, b) => b.priority - a.priority);
+    }
+
+    // Finds this frame's gesture and runs its action. Returns the gesture's name, or null.
+    detect(tracker, landmarks, timestamp) {
+        const frame = {
+            landmarks,
+            timestamp,
+            env: tracker.solarSystem?.planetEnvironment || null,
+            velocity: null,
+            previous: this.active
+        };
+        const gesture = this.list().find(candidate => candidate.enabled && this.matches(candidate, frame, tracker));
+        if (!gesture) {
+            this.active = null;
+            return null;
+        }
+
+        const started = this.active !== gesture.name;
+        this.active = gesture.name;
+        frame.started = started;
+        const lastFired = this.lastFired.get(gesture.name) ?? -Infinity;
+        if (gesture.action && (gesture.trigger === 'frame' || started) && timestamp - lastFired >= gesture.debounce) {
+            this.lastFired.set(gesture.name, timestamp);
+            gesture.action(frame, tracker);
+        }
+        return gesture.name;
+    }
+
+    matches(gesture, frame, tracker) {
+        const contexts = [].concat(gesture.context);
+        if (!contexts.every(context => GESTURE_CONTEXTS[context](frame.env))) return false;
+
+        if (gesture.fingers) {
+            const fingersMatch = Object.entries(gesture.fingers).every(([finger, extended]) => {
+                const [base, tip] = FINGERS[finger];
+                return tracker.isFingerExtended(frame.landmarks, base, tip) === extended;
+            });
+            if (!fingersMatch) return false;
+        }
+
+        if (gesture.motion) {
+            frame.velocity = frame.velocity || tracker.computeThrowVelocity();
+            const speed = frame.velocity.length();
+            const limit = value => (typeof value === 'string' ? tracker.gestureThresholds[value] : value);
+            if (gesture.motion.minPalmSpeed !== undefined && !(speed > limit(gesture.motion.minPalmSpeed))) return false;
+            if (gesture.motion.maxPalmSpeed !== undefined && !(speed < limit(gesture.motion.maxPalmSpeed))) return false;
+        }
+
+        return !gesture.match || !!gesture.match(frame, tracker);
+    }
+
+    // Forgets the active gesture, e.g. when the hand leaves the frame
+    reset() {
+        this.active = null;
+    }
+}
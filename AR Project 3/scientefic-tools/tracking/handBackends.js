@@ -0,0 +1,49 @@
+import HandposeBackend from './handposeBackend.js';
+import MediaPipeBackend from './mediaPipeBackend.js';
+import PlaybackBackend from './playbackBackend.js';
+
+// Hand tracking backends turn whatever a hand model outputs into the same frames, so the gesture
+// code in HandTracker never depends on the model. Each frame is an array of hands:
+//
+//   { landmarks, handedness, score }
+//
+// landmarks are the 21 MediaPipe hand points (0 wrist, 4 thumb tip, 8 index tip, ... 20 little
+// finger tip) as [x, y, z]: x and y from 0 to 1 across and down the video frame, z the depth
+// relative to the wrist on the same scale as x (negative towards the camera). handedness is 'Left'
+// or 'Right' as the user sees their own hands, or null when the model can't tell.
+//
+// A backend has needsCamera, async load(), async estimate(video, timestamp) -> hands, and close().
+
+export const HAND_BACKENDS = {
+    mediapipe: MediaPipeBackend,
+    handpose: HandposeBackend,
+    playback: PlaybackBackend
+};
+
+// Tried in this order when the backend is 'auto'
+export const AUTO_BACKENDS = ['mediapipe', 'handpose'];
+
+export function createHandBackend(name, options = {}) {
+    const Backend = HAND_BACKENDS[name];
+    if (!Backend) {
+        throw new Error(`Unknown hand tracking backend "${name}" (expected auto, ${Object.keys(HAND_BACKENDS).join(', ')})`);
+    }
+    return new Backend(options);
+}
+
+// Creates and loads the named backend; 'auto' takes the first of AUTO_BACKENDS that loads
+export async function loadHandBackend(name = 'auto', options = {}) {
+    const candidates = name === 'auto' ? AUTO_BACKENDS : [name];
+    let lastError = null;
+    for (const candidate of candidates) {
+        const backend = createHandBackend(candidate, options);
+        try {
+            await backend.load();
+            return backend;
+        } catch (error) {
+            console.warn(`Hand tracking backend "${candidate}" could not be loaded:`, error);
+            lastError = error;
+        }
+    }
+    throw lastError;
+}
@@ -0,0 +1,69 @@
+// Records the hands a backend reports, frame by frame, in the recording format PlaybackBackend
+// plays back (see tracking/playbackBackend.js). A gesture performed once in front of the camera can
+// then be replayed without one: in the app with ?hands=playback, or through the gesture code alone
+// with replayRecording() from tracking/handReplayer.js.
+export default class HandRecorder {
+    constructor(options = {}) {
+        this.frameSize = options.frameSize || { width: 640, height: 480 };
+        this.maxFrames = options.maxFrames ?? 9000;  // About 10 minutes at 15 tracked frames a second
+        this.precision = options.precision ?? 5;     // Decimals kept of the 0-1 coordinates
+        this.frames = [];
+        this.startTime = null;   // Timestamp of the first frame; frame times count from it
+        this.isRecording = false;
+    }
+
+    // `frameSize` is the video the landmarks are fractions of
+    start(frameSize = this.frameSize) {
+        this.frameSize = { width: frameSize.width || 640, height: frameSize.height || 480 };
+        this.frames = [];
+        this.startTime = null;
+        this.isRecording = true;
+    }
+
+    // Adds the hands from one estimate() of a backend at `timestamp` ms
+    addFrame(timestamp, hands) {
+        if (!this.isRecording) return;
+        if (this.startTime === null) this.startTime = timestamp;
+        const scale = 10 ** this.precision;
+        const round = value => Math.round(value * scale) / scale;
+        this.frames.push({
+            t: Math.round((timestamp - this.startTime) * 10) / 10,
+            hands: hands.map(hand => ({
+                landmarks: hand.landmarks.map(point => point.map(round)),
+                handedness: hand.handedness ?? null,
+                score: round(hand.score ?? 1)
+            }))
+        });
+        if (this.frames.length >= this.maxFrames) {
+            console.warn(`Hand recording stopped at ${this.maxFrames} frames`);
+            this.isRecording = false;
+        }
+    }
+
+    stop() {
+        this.isRecording = false;
+        return this.getRecording();
+    }
+
+    getRecording() {
+        return {
+            version: 1,
+            width: this.frameSize.width,
+            height: this.frameSize.height,
+            frames: this.frames
+        };
+    }
+
+    // Saves a recording as a JSON file through the browser's download
+    static download(recording, filename = 'hand-recording.json') {
+        const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Some browsers start the download only after click() returns
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+}
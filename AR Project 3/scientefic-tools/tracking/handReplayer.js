@@ -0,0 +1,34 @@
+import PlaybackBackend from './playbackBackend.js';
+
+// Feeds a recording (tracking/handRecorder.js) through a HandTracker's gesture pipeline,
+// processHands(), one frame after another and timed by the recording itself instead of the clock,
+// so the same recording always produces the same gestures. No camera, hand model, GPU or animation
+// loop is involved, so it also runs in Node: test/gestureReplay.test.js replays the recordings in
+// test/fixtures/gestures/ and checks the gestures still come out as expected.
+//
+// Returns one entry per frame: { t (ms into the recording), gesture (null: none), hands (count) }.
+// options.onFrame(entry, tracker) runs after each frame, e.g. to look at the app state;
+// options.startTime (ms, default 0) offsets the frame times the tracker sees.
+export function replayRecording(tracker, recording, options = {}) {
+    PlaybackBackend.validate(recording);
+    const startTime = options.startTime ?? 0;
+    tracker.video.width = recording.width || 640;
+    tracker.video.height = recording.height || 480;
+
+    return recording.frames.map(frame => {
+        const hands = frame.hands.map(hand => ({ handedness: null, score: 1, ...hand }));
+        const gesture = tracker.processHands(tracker.toVideoPixels(hands), startTime + frame.t);
+        // processHands() reports a hand making no gesture as 'idle'
+        const entry = { t: frame.t, gesture: gesture && gesture !== 'idle' ? gesture : null, hands: hands.length };
+        if (options.onFrame) options.onFrame(entry, tracker);
+        return entry;
+    });
+}
+
+// The gestures a replay went through, with repeats of the same gesture on consecutive frames
+// collapsed: e.g. ['Rotate', 'Pinch/Zoom', 'Rotate']
+export function gestureSequence(entries) {
+    return entries
+        .map(entry => entry.gesture)
+        .filter((gesture, i, gestures) => gesture && gesture !== gestures[i - 1]);
+}
@@ -0,0 +1,39 @@
+// The legacy @tensorflow-models/handpose model, from the TensorFlow.js script tags in index.html
+// (window.handpose). One hand at a time and no handedness; its landmarks come in video pixels and
+// are scaled to the 0-1 frame coordinates every backend returns (see tracking/handBackends.js).
+export default class HandposeBackend {
+    constructor(options = {}) {
+        this.name = 'handpose';
+        this.needsCamera = true;
+        this.config = {
+            maxContinuousChecks: 13,
+            detectionConfidence: 0.8,
+            iouThreshold: 0.4,
+            scoreThreshold: 0.5,
+            ...options.config
+        };
+        this.model = null;
+    }
+
+    async load() {
+        if (!window.handpose) {
+            throw new Error('Handpose model not loaded. Make sure the handpose script is included.');
+        }
+        this.model = await window.handpose.load(this.config);
+    }
+
+    async estimate(video) {
+        const width = video.width || video.videoWidth;
+        const height = video.height || video.videoHeight;
+        const predictions = await this.model.estimateHands(video);
+        return predictions.map(prediction => ({
+            landmarks: prediction.landmarks.map(([x, y, z]) => [x / width, y / height, z / width]),
+            handedness: null,
+            score: prediction.handInViewConfidence
+        }));
+    }
+
+    close() {
+        this.model = null;
+    }
+}
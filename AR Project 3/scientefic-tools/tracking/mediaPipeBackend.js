@@ -0,0 +1,106 @@
+// @mediapipe/hands, preferably from local files: hands.js, its wasm and the model are loaded from
+// `assetPath` (assets/mediapipe/hands/ by default, filled in by npm install, see assets/README.md)
+// so nothing is fetched from the network. Only when `fallbackPath` is given (e.g. MEDIAPIPE_CDN_PATH,
+// with ?mediapipe=cdn in the app) is the same version loaded from there if the local files are
+// missing. Tracks up to maxHands hands and tells left from right.
+export const DEFAULT_MEDIAPIPE_PATH = new URL('../assets/mediapipe/hands/', import.meta.url).href;
+export const MEDIAPIPE_CDN_PATH = 'https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1675469240/';
+
+export default class MediaPipeBackend {
+    constructor(options = {}) {
+        this.name = 'mediapipe';
+        this.needsCamera = true;
+        this.assetPath = (options.assetPath || DEFAULT_MEDIAPIPE_PATH).replace(/\/?$/, '/');
+        this.fallbackPath = options.fallbackPath || null;  // Local files only unless set
+        this.maxHands = options.maxHands ?? 2;
+        // MediaPipe labels handedness as if the image were mirrored (a selfie view). The webcam feed
+        // isn't, so by default the labels are swapped to name the hand the user actually raised.
+        this.mirrored = options.mirrored ?? false;
+        this.hands = null;
+        this.results = [];       // Filled in by the onResults callback
+    }
+
+    async load() {
+        const paths = [this.assetPath];
+        if (this.fallbackPath) paths.push(this.fallbackPath.replace(/\/?$/, '/'));
+        let lastError = null;
+        for (const path of paths) {
+            try {
+                this.hands = await this.loadFrom(path);
+                return;
+            } catch (error) {
+                console.warn(`MediaPipe Hands could not be loaded from ${path}:`, error);
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    async loadFrom(path) {
+        if (!window.Hands) {
+            await loadScript(`${path}hands.js`);
+        }
+        const hands = new window.Hands({
+            locateFile: (file) => `${path}${file}`
+        });
+        hands.setOptions({
+            maxNumHands: this.maxHands,
+            modelComplexity: 1,
+            minDetectionConfidence: 0.7,
+            minTrackingConfidence: 0.5
+        });
+        hands.onResults((results) => {
+            this.results = this.convertResults(results);
+        });
+        try {
+            await hands.initialize();
+        } catch (error) {
+            hands.close();
+            throw error;
+        }
+        return hands;
+    }
+
+    // MediaPipe landmarks are already 0-1 of the frame, only the format changes
+    convertResults(results) {
+        return (results.multiHandLandmarks || []).map((points, i) => {
+            const classification = results.multiHandedness?.[i];
+            let handedness = classification?.label === 'Left' || classification?.label === 'Right'
+                ? classification.label
+                : null;
+            if (handedness && !this.mirrored) {
+                handedness = handedness === 'Left' ? 'Right' : 'Left';
+            }
+            return {
+                landmarks: points.map(point => [point.x, point.y, point.z]),
+                handedness,
+                score: classification?.score ?? 1
+            };
+        });
+    }
+
+    async estimate(video) {
+        await this.hands.send({ image: video });
+        return this.results;
+    }
+
+    close() {
+        if (this.hands) {
+            this.hands.close();
+            this.hands = null;
+        }
+    }
+}
+
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = resolve;
+        script.onerror = () => {
+            script.remove();
+            reject(new Error(`Could not load ${src}`));
+        };
+        document.head.appendChild(script);
+    });
+}
@@ -0,0 +1,102 @@
+// Replays a recording of hand frames instead of reading a camera, for demos without a webcam and
+// for checking gestures against the same input every time. A recording is JSON:
+//
+//   { "version": 1, "width": 640, "height": 480,
+//     "frames": [{ "t": 0, "hands": [{ "landmarks": [[x, y, z], ...21], "handedness": "Right", "score": 0.98 }] }, ...] }
+//
+// with t in ms from the start, increasing, and the hands in the normalised backend format. width
+// and height are the size of the video the hands were recorded from (the gesture thresholds are in
+// its pixels). It is given as options.recording or fetched from options.url.
+
+const LANDMARK_COUNT = 21;
+
+export default class PlaybackBackend {
+    constructor(options = {}) {
+        this.name = 'playback';
+        this.needsCamera = false;
+        this.url = options.url || null;
+        this.recording = options.recording || null;
+        this.loop = options.loop ?? true;  // Otherwise no hands once the recording has played
+        this.frameSize = { width: 640, height: 480 };
+        this.duration = 0;       // t of the last frame, ms
+        this.startTime = null;   // Timestamp of the first estimate(), when playback starts
+    }
+
+    // Throws when `recording` isn't a usable recording
+    static validate(recording) {
+        if (!recording || !Array.isArray(recording.frames) || recording.frames.length === 0) {
+            throw new Error('Hand recording has no frames');
+        }
+        recording.frames.forEach((frame, i) => {
+            if (!Number.isFinite(frame.t) || (i > 0 && frame.t < recording.frames[i - 1].t)) {
+                throw new Error(`Hand recording frame ${i}: t must be a number, in increasing order`);
+            }
+            if (!Array.isArray(frame.hands)) {
+                throw new Error(`Hand recording frame ${i}: hands must be an array`);
+            }
+            frame.hands.forEach((hand, j) => {
+                const valid = Array.isArray(hand.landmarks) &&
+                    hand.landmarks.length === LANDMARK_COUNT &&
+                    hand.landmarks.every(point => Array.isArray(point) && point.length === 3 && point.every(Number.isFinite));
+                if (!valid) {
+                    throw new Error(`Hand recording frame ${i}, hand ${j}: expected ${LANDMARK_COUNT} [x, y, z] landmarks`);
+                }
+            });
+        });
+    }
+
+    async load() {
+        if (!this.recording) {
+            if (!this.url) {
+                throw new Error('Playback needs a recording or a url to load one from');
+            }
+            const response = await fetch(this.url);
+            if (!response.ok) {
+                throw new Error(`Could not load hand recording ${this.url} (HTTP ${response.status})`);
+            }
+            this.recording = await response.json();
+        }
+        PlaybackBackend.validate(this.recording);
+        this.frameSize = {
+            width: this.recording.width || 640,
+            height: this.recording.height || 480
+        };
+        this.duration = this.recording.frames[this.recording.frames.length - 1].t;
+        this.startTime = null;
+    }
+
+    // The last frame at or before `time` ms into the recording
+    frameAt(time) {
+        const frames = this.recording.frames;
+        let low = 0;
+        let high = frames.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (frames[middle].t <= time) low = middle; else high = middle - 1;
+        }
+        return frames[low];
+    }
+
+    // `timestamp` is any clock in ms (performance.now() in the tracking loop); the first call starts
+    // the recording from its beginning
+    async estimate(video, timestamp) {
+        if (this.startTime === null) this.startTime = timestamp;
+        let time = timestamp - this.startTime;
+        if (time > this.duration) {
+            if (!this.loop) return [];
+            time = this.duration > 0 ? time % this.duration : 0;
+        }
+        return this.frameAt(time).hands.map(hand => ({
+            landmarks: hand.landmarks.map(point => point.slice()),
+            handedness: hand.handedness ?? null,
+            score: hand.score ?? 1
+        }));
+    }
+
+    // Plays the recording from the start again on the next estimate()
+    restart() {
+        this.startTime = null;
+    }
+
+    close() {}
+}
@@ -0,0 +1,117 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.145.0/build/three.module.js';
+import { getIntegrator } from './integrators.js';
+
+// Projectile flight with quadratic air drag, integrated numerically (there is no closed form).
+//
+//   F_drag = ½ · ρ · C_d · A · |v_rel| · v_rel      v_rel = v - wind (velocity relative to the air)
+//   a      = (0, -g, 0) - k · |v_rel| · v_rel       k = ρ · C_d · A / (2m)
+//
+// ρ is the body's surface atmosphere density (kg/m³), so Venus (~65) drags far more than Earth
+// (1.225) and Mars (0.02), and on airless bodies (ρ = 0) this reduces to the vacuum parabola.
+
+// A football-sized ball: a sphere has C_d ≈ 0.47
+export const DEFAULT_BALL = {
+    mass: 0.45,           // kg
+    radius: 0.11,         // m (used for the drag area; the drawn ball is bigger so it is easy to see)
+    dragCoefficient: 0.47
+};
+
+// k in a = -k·|v|·v, in 1/m
+export function dragFactor(density, ball = DEFAULT_BALL) {
+    if (!(density > 0) || !(ball.mass > 0)) return 0;
+    const area = Math.PI * ball.radius * ball.radius;
+    return (density * ball.dragCoefficient * area) / (2 * ball.mass);
+}
+
+const relative = new THREE.Vector3();
+
+// Acceleration of the ball for a given velocity, written into `target`
+export function flightAcceleration(velocity, gravity, k, wind, target = new THREE.Vector3()) {
+    target.set(0, -gravity, 0);
+    if (k > 0) {
+        relative.copy(velocity);
+        if (wind) relative.sub(wind);
+        target.addScaledVector(relative, -k * relative.length());
+    }
+    return target;
+}
+
+// Integrates a throw until the ball comes back down to the ground, with any of the steppers in
+// utils/integrators.js (RK4 at 1/120 s unless options.integrator / options.timeStep say otherwise).
+// options.groundHeight is a fixed height (default 0) or a function (x, z) -> height for terrain.
+// Returns { samples: [{ t, position, velocity }], flightTime, range, apex, landing, dragFactor } where
+// range is the horizontal distance from the launch point and apex the highest point above it.
+export function simulateFlight(options) {
+    const gravity = options.gravity;
+    const k = dragFactor(options.density || 0, options.ball || DEFAULT_BALL);
+    const wind = options.wind || null;
+    const ground = options.groundHeight ?? 0;
+    const groundHeight = typeof ground === 'function' ? ground : () => ground;
+    const timeStep = options.timeStep ?? 1 / 120;
+    const integrator = getIntegrator(options.integrator || 'rk4');
+    const acceleration = (v, target) => flightAcceleration(v, gravity, k, wind, target);
+    const maxTime = options.maxTime ?? 60;
+
+    const start = options.position.clone();
+    const position = start.clone();
+    const velocity = options.velocity.clone();
+    const samples = [{ t: 0, position: position.clone(), velocity: velocity.clone() }];
+    let apex = position.y;
+    let t = 0;
+
+    while (t < maxTime) {
+        const last = samples[samples.length - 1];
+        integrator.step(position, velocity, timeStep, acceleration);
+        t += timeStep;
+
+        // Height above the ground before and after the step; the ground under the ball changes too
+        const before = last.position.y - groundHeight(last.position.x, last.position.z);
+        const after = position.y - groundHeight(position.x, position.z);
+        if (after <= 0 && before > after) {
+            // Interpolate back to the moment the ball crossed the ground
+            const fraction = Math.max(before, 0) / Math.max(before - after, 1e-9);
+            const landingTime = last.t + fraction * timeStep;
+            position.lerpVectors(last.position, position, fraction);
+            velocity.lerpVectors(last.velocity, velocity, fraction);
+            samples.push({ t: landingTime, position: position.clone(), velocity: velocity.clone() });
+            t = landingTime;
+            break;
+        }
+
+        apex = Math.max(apex, position.y);
+        samples.push({ t, position: position.clone(), velocity: velocity.clone() });
+    }
+
+    const landing = samples[samples.length - 1].position;
+    return {
+        samples,
+        flightTime: t,
+        range: Math.hypot(landing.x - start.x, landing.z - start.z),
+        apex: apex - start.y,
+        landing: landing.clone(),
+        dragFactor: k
+    };
+}
+
+// Ball position at time t along a simulated flight (clamped to the landing point)
+export function sampleFlight(flight, t, target = new THREE.Vector3()) {
+    const samples = flight.samples;
+    if (t <= 0) return target.copy(samples[0].position);
+    if (t >= flight.flightTime) return target.copy(samples[samples.length - 1].position);
+
+    // Samples are evenly spaced except for the final (landing) one
+    const step = samples.length > 2 ? samples[1].t : flight.flightTime;
+    const index = Math.min(Math.floor(t / step), samples.length - 2);
+    const a = samples[index];
+    const b = samples[index + 1];
+    return target.lerpVectors(a.position, b.position, (t - a.t) / Math.max(b.t - a.t, 1e-9));
+}
+
+// Every n-th sample position, for drawing the path as a line
+export function flightPoints(flight, every = 4) {
+    const points = [];
+    flight.samples.forEach((sample, i) => {
+        if (i % every === 0 || i === flight.samples.length - 1) points.push(sample.position.clone());
+    });
+    return points;
+}
@@ -0,0 +1,114 @@
+// Building blocks for the sections of the physics HUD (#physics-hud in index.html), so every
+// panel has the same look: a ruled-off section with a green title, blue buttons and label rows.
+
+const BUTTON_STYLE = {
+    backgroundColor: 'rgba(33, 150, 243, 0.7)',
+    color: 'white',
+    border: 'none',
+    cursor: 'pointer'
+};
+
+// Events a section keeps to itself: clicks shouldn't throw the ball, and with `keys` typing in
+// its fields shouldn't move the character or change the angle
+function stopEvents(element, keys) {
+    const types = keys ? ['keydown', 'keyup', 'mousedown', 'touchstart'] : ['mousedown', 'touchstart'];
+    types.forEach(type => {
+        element.addEventListener(type, (event) => event.stopPropagation());
+    });
+}
+
+// Adds an empty section with `titleText` (none when null) to the HUD and returns { panel, title }
+export function createHudSection(titleText, options = {}) {
+    const panel = document.createElement('div');
+    if (options.id) panel.id = options.id;
+    panel.style.marginTop = '10px';
+    panel.style.paddingTop = '10px';
+    panel.style.borderTop = '1px solid rgba(255, 255, 255, 0.3)';
+    panel.style.fontSize = '13px';
+
+    let title = null;
+    if (titleText !== null) {
+        title = document.createElement('div');
+        title.textContent = titleText;
+        title.style.color = '#4CAF50';
+        title.style.fontWeight = 'bold';
+        title.style.marginBottom = '6px';
+        panel.appendChild(title);
+    }
+
+    stopEvents(panel, options.keys ?? false);
+    (document.getElementById('physics-hud') || document.body).appendChild(panel);
+    return { panel, title };
+}
+
+// A blue button; `wide` ones fill the row on their own, the others share a flex row
+export function createHudButton(label, action, options = {}) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    Object.assign(button.style, BUTTON_STYLE);
+    if (options.wide) {
+        button.style.width = '100%';
+        button.style.padding = '6px';
+        button.style.borderRadius = '5px';
+    } else {
+        button.style.flex = '1';
+        button.style.padding = '4px';
+        button.style.borderRadius = '4px';
+    }
+    button.addEventListener('click', action);
+    return button;
+}
+
+// A flex row for createHudButton()s (and an input to go with them)
+export function createHudButtonRow(items) {
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.gap = '4px';
+    items.forEach(item => row.appendChild(item));
+    return row;
+}
+
+// A labelled row around `input`, appended to `parent`
+export function addHudRow(parent, labelText, input) {
+    const row = document.createElement('label');
+    row.className = 'control-group';
+    const label = document.createElement('span');
+    label.className = 'control-label';
+    label.textContent = labelText;
+    row.appendChild(label);
+    row.appendChild(input);
+    parent.appendChild(row);
+    return input;
+}
+
+// A number input that only reports values from `min` to `max`
+export function createHudNumberInput({ value, min = -Infinity, max = Infinity, step = 1, onChange }) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    if (Number.isFinite(min)) input.min = min;
+    if (Number.isFinite(max)) input.max = max;
+    input.step = step;
+    input.value = value;
+    input.style.width = '70px';
+    input.addEventListener('input', () => {
+        const number = parseFloat(input.value);
+        if (Number.isFinite(number) && number >= min && number <= max) {
+            onChange(number);
+        }
+    });
+    return input;
+}
+
+// A select over `options` ([value, label] pairs)
+export function createHudSelect(options, value, onChange) {
+    const select = document.createElement('select');
+    options.forEach(([optionValue, optionLabel]) => {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = optionLabel;
+        select.appendChild(option);
+    });
+    select.value = value;
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+}
@@ -0,0 +1,103 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.145.0/build/three.module.js';
+
+// Numerical integrators for the projectile lab. Each step advances position and velocity (modified
+// in place) by dt, given acceleration(velocity, target) -> target. Gravity and air drag only depend
+// on the velocity, which keeps the steppers short.
+//
+//   Euler                x += v·dt,  v += a(v)·dt                         (1st order, gains energy)
+//   Semi-implicit Euler  v += a(v)·dt,  x += v·dt                         (1st order, symplectic)
+//   Velocity Verlet      x += v·dt + ½a·dt²,  v += ½(a + a')·dt           (2nd order)
+//   Runge-Kutta 4        four slope evaluations per step                  (4th order)
+
+const a1 = new THREE.Vector3(), a2 = new THREE.Vector3(), a3 = new THREE.Vector3(), a4 = new THREE.Vector3();
+const v2 = new THREE.Vector3(), v3 = new THREE.Vector3(), v4 = new THREE.Vector3();
+const sum = new THREE.Vector3();
+
+export const INTEGRATORS = {
+    euler: {
+        label: 'Euler',
+        step(position, velocity, dt, acceleration) {
+            acceleration(velocity, a1);
+            position.addScaledVector(velocity, dt);
+            velocity.addScaledVector(a1, dt);
+        }
+    },
+    semiImplicitEuler: {
+        label: 'Semi-implicit Euler',
+        step(position, velocity, dt, acceleration) {
+            acceleration(velocity, a1);
+            velocity.addScaledVector(a1, dt);
+            position.addScaledVector(velocity, dt);
+        }
+    },
+    verlet: {
+        label: 'Velocity Verlet',
+        step(position, velocity, dt, acceleration) {
+            acceleration(velocity, a1);
+            position.addScaledVector(velocity, dt).addScaledVector(a1, 0.5 * dt * dt);
+            // The new acceleration needs the new velocity, so estimate it first (exact without drag)
+            v2.copy(velocity).addScaledVector(a1, dt);
+            acceleration(v2, a2);
+            velocity.addScaledVector(a1.add(a2), 0.5 * dt);
+        }
+    },
+    rk4: {
+        label: 'Runge-Kutta 4',
+        step(position, velocity, dt, acceleration) {
+            acceleration(velocity, a1);
+            v2.copy(velocity).addScaledVector(a1, dt / 2);
+            acceleration(v2, a2);
+            v3.copy(velocity).addScaledVector(a2, dt / 2);
+            acceleration(v3, a3);
+            v4.copy(velocity).addScaledVector(a3, dt);
+            acceleration(v4, a4);
+
+            // x += dt/6 · (v1 + 2v2 + 2v3 + v4),  v += dt/6 · (a1 + 2a2 + 2a3 + a4)
+            sum.copy(velocity).addScaledVector(v2, 2).addScaledVector(v3, 2).add(v4);
+            position.addScaledVector(sum, dt / 6);
+            sum.copy(a1).addScaledVector(a2, 2).addScaledVector(a3, 2).add(a4);
+            velocity.addScaledVector(sum, dt / 6);
+        }
+    }
+};
+
+export function getIntegrator(name) {
+    const integrator = INTEGRATORS[name];
+    if (!integrator) {
+        throw new Error(`Unknown integrator "${name}" (expected one of ${Object.keys(INTEGRATORS).join(', ')})`);
+    }
+    return integrator;
+}
+
+// Flies the same vacuum throw with every integrator and measures it against the exact parabola.
+// Returns one entry per method: { name, label, points: [{ t, error, energyDrift }], finalError, maxDrift }
+// where error is the distance (m) from the exact position and energyDrift the relative change in
+// mechanical energy ½v² + gy (per unit mass), which should stay 0.
+export function compareIntegrators({ position, velocity, gravity, timeStep, duration }) {
+    const exact = new THREE.Vector3();
+    const gravityOnly = (v, target) => target.set(0, -gravity, 0);
+    const energy = (p, v) => 0.5 * v.lengthSq() + gravity * p.y;
+    const initialEnergy = energy(position, velocity);
+
+    return Object.entries(INTEGRATORS).map(([name, integrator]) => {
+        const p = position.clone();
+        const v = velocity.clone();
+        const points = [{ t: 0, error: 0, energyDrift: 0 }];
+        let maxDrift = 0;
+        for (let t = timeStep; t <= duration + 1e-9; t += timeStep) {
+            integrator.step(p, v, timeStep, gravityOnly);
+            exact.copy(position).addScaledVector(velocity, t);
+            exact.y -= 0.5 * gravity * t * t;
+            const drift = (energy(p, v) - initialEnergy) / Math.abs(initialEnergy || 1);
+            maxDrift = Math.max(maxDrift, Math.abs(drift));
+            points.push({ t, error: p.distanceTo(exact), energyDrift: drift });
+        }
+        return {
+            name,
+            label: integrator.label,
+            points,
+            finalError: points[points.length - 1].error,
+            maxDrift
+        };
+    });
+}
@@ -0,0 +1,98 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.145.0/build/three.module.js';
+
+// Orbital mechanics helpers for placing bodies on Keplerian orbits.
+//
+// Orbital elements are given in the usual published form:
+//   semiMajorAxis             a  (AU)
+//   eccentricity              e
+//   inclination               i  (degrees, to the ecliptic)
+//   longitudeOfAscendingNode  Ω  (degrees)
+//   argumentOfPerihelion      ω  (degrees)
+//   meanAnomalyAtEpoch        M0 (degrees)
+//   epoch                     Julian date the mean anomaly refers to (defaults to J2000)
+//   period                    optional orbital period in days (otherwise derived from a)
+
+export const J2000 = 2451545.0;
+export const DAYS_PER_YEAR = 365.25;
+
+const DEG_TO_RAD = Math.PI / 180;
+const TWO_PI = Math.PI * 2;
+
+// Kepler's third law for bodies orbiting the Sun: P[years] = a[AU]^1.5
+export function orbitalPeriodDays(semiMajorAxis) {
+    return DAYS_PER_YEAR * Math.pow(semiMajorAxis, 1.5);
+}
+
+// Wraps an angle in radians into [-π, π).
+function normalizeAngle(angle) {
+    angle = angle % TWO_PI;
+    if (angle >= Math.PI) angle -= TWO_PI;
+    if (angle < -Math.PI) angle += TWO_PI;
+    return angle;
+}
+
+// Solves Kepler's equation M = E - e·sin(E) for the eccentric anomaly E using Newton-Raphson.
+export function solveKepler(meanAnomaly, eccentricity, tolerance = 1e-10, maxIterations = 30) {
+    const M = normalizeAngle(meanAnomaly);
+    // Starting at π for highly eccentric orbits avoids overshooting near perihelion
+    let E = eccentricity < 0.8 ? M : Math.PI * Math.sign(M || 1);
+    for (let i = 0; i < maxIterations; i++) {
+        const f = E - eccentricity * Math.sin(E) - M;
+        const fPrime = 1 - eccentricity * Math.cos(E);
+        const delta = f / fPrime;
+        E -= delta;
+        if (Math.abs(delta) < tolerance) break;
+    }
+    return E;
+}
+
+// Mean anomaly (radians) of a body at the given Julian date.
+export function meanAnomalyAt(elements, julianDate) {
+    const epoch = elements.epoch ?? J2000;
+    const period = elements.period ?? orbitalPeriodDays(elements.semiMajorAxis);
+    const meanMotion = TWO_PI / period;
+    return elements.meanAnomalyAtEpoch * DEG_TO_RAD + meanMotion * (julianDate - epoch);
+}
+
+// Position on the orbit for a given eccentric anomaly, in the orbit's units (AU for planets).
+// Ecliptic coordinates are mapped to three.js with the ecliptic north pole along +Y.
+export function positionFromEccentricAnomaly(elements, eccentricAnomaly, target = new THREE.Vector3()) {
+    const a = elements.semiMajorAxis;
+    const e = elements.eccentricity;
+    const i = elements.inclination * DEG_TO_RAD;
+    const node = elements.longitudeOfAscendingNode * DEG_TO_RAD;
+    const peri = elements.argumentOfPerihelion * DEG_TO_RAD;
+
+    // Coordinates in the orbital plane, perihelion along +x
+    const xOrbit = a * (Math.cos(eccentricAnomaly) - e);
+    const yOrbit = a * Math.sqrt(1 - e * e) * Math.sin(eccentricAnomaly);
+
+    const cosNode = Math.cos(node), sinNode = Math.sin(node);
+    const cosPeri = Math.cos(peri), sinPeri = Math.sin(peri);
+    const cosI = Math.cos(i), sinI = Math.sin(i);
+
+    // Rotate by ω, then i, then Ω into heliocentric ecliptic coordinates
+    const x = (cosNode * cosPeri - sinNode * sinPeri * cosI) * xOrbit +
+              (-cosNode * sinPeri - sinNode * cosPeri * cosI) * yOrbit;
+    const y = (sinNode * cosPeri + cosNode * sinPeri * cosI) * xOrbit +
+              (-sinNode * sinPeri + cosNode * cosPeri * cosI) * yOrbit;
+    const z = (sinPeri * sinI) * xOrbit + (cosPeri * sinI) * yOrbit;
+
+    return target.set(x, z, -y);
+}
+
+// Position of a body at the given Julian date.
+export function orbitalPosition(elements, julianDate, target = new THREE.Vector3()) {
+    const E = solveKepler(meanAnomalyAt(elements, julianDate), elements.eccentricity);
+    return positionFromEccentricAnomaly(elements, E, target);
+}
+
+// Points tracing the full ellipse, sampled evenly in eccentric anomaly.
+export function createOrbitPoints(elements, segments = 256, scale = 1) {
+    const points = [];
+    for (let s = 0; s < segments; s++) {
+        const E = (s / segments) * TWO_PI;
+        points.push(positionFromEccentricAnomaly(elements, E).multiplyScalar(scale));
+    }
+    return points;
+}
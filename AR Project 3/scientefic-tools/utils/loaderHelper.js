@@ -0,0 +1,172 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.145.0/build/three.module.js';
+import { GLTFLoader } from 'https://cdn.jsdelivr.net/npm/three@0.145.0/examples/jsm/loaders/GLTFLoader.js';
+import { KTX2Loader } from 'https://cdn.jsdelivr.net/npm/three@0.145.0/examples/jsm/loaders/KTX2Loader.js';
+
+// Loads textures and models through one shared LoadingManager so the #loading overlay shows real
+// progress. Results are cached for the lifetime of the page, so leaving and re-entering a planet
+// (which rebuilds the scene) doesn't download anything twice. A missing asset resolves to null and
+// callers keep their flat-coloured material.
+//
+// Assets are plain relative paths (e.g. 'assets/textures/planets/earth.jpg'), so the app works
+// offline as long as the assets folder is served next to index.html.
+export default class LoaderHelper {
+    constructor(options = {}) {
+        this.basePath = options.basePath || '';
+        this.transcoderPath = options.transcoderPath || 'assets/basis/'; // KTX2 (Basis) transcoder files
+        this.overlay = null;
+        this.renderer = null;
+
+        this.cache = new Map();   // url -> Promise resolving to the asset (or null when missing)
+        this.failed = new Set();  // urls that could not be loaded
+        this.unreported = [];     // Failed urls not yet in a reportMissing() summary
+        this.pending = 0;
+
+        this.manager = new THREE.LoadingManager();
+        this.manager.onStart = (url, loaded, total) => this.updateOverlay(loaded, total);
+        this.manager.onProgress = (url, loaded, total) => this.updateOverlay(loaded, total);
+        this.manager.onLoad = () => {
+            this.hideOverlay();
+            this.reportMissing();
+        };
+        this.manager.onError = (url) => {
+            this.failed.add(url);
+            this.unreported.push(url);
+        };
+
+        this.textureLoader = new THREE.TextureLoader(this.manager);
+        this.gltfLoader = new GLTFLoader(this.manager);
+        this.ktx2Loader = null; // Created on first use, it needs a renderer to detect GPU formats
+    }
+
+    // One instance for the whole app so the cache survives SolarSystem/PlanetEnvironment rebuilds
+    static get shared() {
+        if (!LoaderHelper.instance) {
+            LoaderHelper.instance = new LoaderHelper();
+        }
+        return LoaderHelper.instance;
+    }
+
+    setRenderer(renderer) {
+        this.renderer = renderer.renderer || renderer; // Handle both Renderer class and raw THREE.WebGLRenderer
+        return this;
+    }
+
+    // Element whose text shows load progress (index.html's #loading by default)
+    attachOverlay(element = document.getElementById('loading')) {
+        this.overlay = element;
+        return this;
+    }
+
+    isLoading() {
+        return this.pending > 0;
+    }
+
+    updateOverlay(loaded, total) {
+        if (!this.overlay) return;
+        const percent = total > 0 ? Math.round((loaded / total) * 100) : 0;
+        this.overlay.textContent = `Loading assets... ${loaded}/${total} (${percent}%)`;
+        this.overlay.style.display = 'block';
+    }
+
+    hideOverlay() {
+        if (this.overlay) {
+            this.overlay.style.display = 'none';
+        }
+    }
+
+    // Missing assets are expected (most textures are optional), so instead of a warning per file
+    // there is one line per batch of loads listing them
+    reportMissing() {
+        if (this.unreported.length === 0) return;
+        const count = this.unreported.length;
+        console.info(`${count} optional asset${count === 1 ? '' : 's'} not found, flat colours used instead (see assets/README.md): ${this.unreported.join(', ')}`);
+        this.unreported = [];
+    }
+
+    resolve(path) {
+        if (/^(https?:|data:|blob:|\/)/.test(path)) return path;
+        return this.basePath + path;
+    }
+
+    // Wraps a loader call in a cached promise. Failures resolve to null rather than rejecting.
+    loadCached(path, load) {
+        if (!path) return Promise.resolve(null);
+        const url = this.resolve(path);
+        if (this.cache.has(url)) {
+            return this.cache.get(url);
+        }
+
+        this.pending++;
+        const promise = new Promise((resolve) => {
+            load(url, resolve, () => resolve(null));
+        }).finally(() => {
+            this.pending--;
+        });
+        this.cache.set(url, promise);
+        return promise;
+    }
+
+    // Resolves to a THREE.Texture, or null when the file is missing. `.ktx2` files go through KTX2Loader.
+    loadTexture(path, options = {}) {
+        const isKTX2 = typeof path === 'string' && path.toLowerCase().endsWith('.ktx2');
+        return this.loadCached(path, (url, onLoad, onError) => {
+            const loader = isKTX2 ? this.getKTX2Loader() : this.textureLoader;
+            if (!loader) {
+                console.warn(`Cannot load ${url}: KTX2 needs a renderer (call setRenderer first)`);
+                onError();
+                return;
+            }
+            loader.load(url, (texture) => {
+                if (options.sRGB !== false) {
+                    texture.encoding = THREE.sRGBEncoding;
+                }
+                if (options.repeat) {
+                    texture.wrapS = THREE.RepeatWrapping;
+                    texture.wrapT = THREE.RepeatWrapping;
+                    texture.repeat.set(options.repeat, options.repeat);
+                }
+                onLoad(texture);
+            }, undefined, onError);
+        });
+    }
+
+    // Resolves to the parsed glTF (or null). Callers should clone gltf.scene before adding it to the scene.
+    loadGLTF(path) {
+        return this.loadCached(path, (url, onLoad, onError) => {
+            const ktx2Loader = this.getKTX2Loader();
+            if (ktx2Loader) {
+                this.gltfLoader.setKTX2Loader(ktx2Loader);
+            }
+            this.gltfLoader.load(url, onLoad, undefined, onError);
+        });
+    }
+
+    // Convenience wrapper: a fresh copy of a cached model's scene, or null when it is missing
+    async loadModel(path) {
+        const gltf = await this.loadGLTF(path);
+        return gltf ? gltf.scene.clone(true) : null;
+    }
+
+    getKTX2Loader() {
+        if (this.ktx2Loader) return this.ktx2Loader;
+        if (!this.renderer) return null;
+        this.ktx2Loader = new KTX2Loader(this.manager)
+            .setTranscoderPath(this.resolve(this.transcoderPath))
+            .detectSupport(this.renderer);
+        return this.ktx2Loader;
+    }
+
+    // Applies a texture to a material once (and if) it loads; the material keeps its flat colour otherwise
+    applyTexture(material, path, slot = 'map', options = {}) {
+        return this.loadTexture(path, options).then((texture) => {
+            if (!texture || !material) return null;
+            material[slot] = texture;
+            if (slot === 'map' && material.color) {
+                // The texture carries the colour now
+                material.color.set(0xffffff);
+            }
+            material.needsUpdate = true;
+            return texture;
+        });
+    }
+}
@@ -0,0 +1,88 @@
+// Minimal line-chart drawing on a 2D canvas, shared by the lab's graph panels.
+
+// Draws one chart into `area` ({ x, y, width, height }) of the context.
+// options: {
+//   title, series: [{ points, color, alpha, dashed }],
+//   getX / getY: read a point's coordinates,
+//   includeZero: keep 0 inside both axis ranges (default true),
+//   formatY: tick label for the y range ends
+// }
+export function drawLinePlot(ctx, area, options) {
+    const { title, series, getX, getY } = options;
+    const includeZero = options.includeZero ?? true;
+    const formatY = options.formatY || (value => value.toFixed(1));
+    const margin = { left: 36, right: 8, top: 16, bottom: 16 };
+    const inner = {
+        x: area.x + margin.left,
+        y: area.y + margin.top,
+        width: area.width - margin.left - margin.right,
+        height: area.height - margin.top - margin.bottom
+    };
+
+    // Axis ranges over everything drawn
+    let minX = includeZero ? 0 : Infinity, maxX = includeZero ? 0 : -Infinity;
+    let minY = includeZero ? 0 : Infinity, maxY = includeZero ? 0 : -Infinity;
+    series.forEach(item => item.points.forEach(point => {
+        minX = Math.min(minX, getX(point));
+        maxX = Math.max(maxX, getX(point));
+        minY = Math.min(minY, getY(point));
+        maxY = Math.max(maxY, getY(point));
+    }));
+    if (!Number.isFinite(minX)) { minX = 0; maxX = 1; }
+    if (!Number.isFinite(minY)) { minY = 0; maxY = 1; }
+    if (maxX - minX < 1e-9) maxX = minX + 1;
+    if (maxY - minY < 1e-9) maxY = minY + 1;
+    const toX = value => inner.x + ((value - minX) / (maxX - minX)) * inner.width;
+    const toY = value => inner.y + inner.height - ((value - minY) / (maxY - minY)) * inner.height;
+
+    ctx.save();
+    ctx.font = '10px Arial';
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(title, inner.x, area.y + 11);
+
+    // Axes (through zero when it is in range), with the range at the ends
+    const axisX = Math.min(Math.max(0, minX), maxX);
+    const axisY = Math.min(Math.max(0, minY), maxY);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(inner.x, toY(axisY));
+    ctx.lineTo(inner.x + inner.width, toY(axisY));
+    ctx.moveTo(toX(axisX), inner.y);
+    ctx.lineTo(toX(axisX), inner.y + inner.height);
+    ctx.stroke();
+    ctx.fillStyle = '#aaaaaa';
+    ctx.textAlign = 'right';
+    ctx.fillText(formatY(maxY), inner.x - 3, inner.y + 8);
+    ctx.fillText(formatY(minY), inner.x - 3, inner.y + inner.height);
+    ctx.fillText(maxX.toFixed(1), inner.x + inner.width, area.y + area.height - 3);
+
+    series.forEach(item => {
+        if (item.points.length < 2) return;
+        ctx.strokeStyle = item.color;
+        ctx.globalAlpha = item.alpha ?? 1;
+        ctx.lineWidth = item.dashed ? 1 : 2;
+        ctx.setLineDash(item.dashed ? [4, 3] : []);
+        ctx.beginPath();
+        item.points.forEach((point, i) => {
+            const px = toX(getX(point));
+            const py = toY(getY(point));
+            if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+        });
+        ctx.stroke();
+    });
+    ctx.restore();
+}
+
+// A canvas sized for `rows` stacked charts, drawn at device resolution so text stays sharp
+export function createPlotCanvas(width, rowHeight, rows) {
+    const canvas = document.createElement('canvas');
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = width * ratio;
+    canvas.height = rowHeight * rows * ratio;
+    canvas.style.width = `${width}px`;
+    canvas.style.height = `${rowHeight * rows}px`;
+    const context = canvas.getContext('2d');
+    context.scale(ratio, ratio);
+    return { canvas, context };
+}
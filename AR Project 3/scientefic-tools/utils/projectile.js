@@ -0,0 +1,92 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.145.0/build/three.module.js';
+
+// Closed-form projectile motion in vacuum when the ball does not come down at the height it left
+// from: thrown off a platform or a cliff, onto a raised target, or onto sloping ground.
+//
+//   y(t) = y₀ + u sinθ · t − ½ g t²               height of the ball
+//   y_s(x) = y_s + m · x                          landing surface (m = slope, 0 for level ground)
+//
+// Setting them equal at x = u cosθ · t gives ½ g T² − (u sinθ − m u cosθ) T − h = 0 with
+// h = y₀ − y_s, the launch height above the surface line under the launch point, so
+//
+//   T = (b + √(b² + 2 g h)) / g                   b = u sinθ − m u cosθ
+//
+// The other root is negative (or, launching upwards onto something higher, the moment the ball
+// passes that height on the way up). For h = 0, m = 0 this is the textbook T = 2 u sinθ / g.
+
+// Flight time for horizontal speed vx, vertical speed vy and the surface above; NaN when the ball
+// never reaches it (too high to get up to)
+export function flightTime(vx, vy, gravity, drop, slope = 0) {
+    const b = vy - slope * vx;
+    const discriminant = b * b + 2 * gravity * drop;
+    if (discriminant < 0) return NaN;
+    const time = (b + Math.sqrt(discriminant)) / gravity;
+    return time > 0 ? time : NaN;
+}
+
+// The full solution for a throw at `speed` m/s and `angle` rad landing on a surface `drop` m below the
+// launch point (negative: above it) with gradient `slope`. Returns { vx, vy, b, discriminant, time,
+// range, apex (above the launch point), apexTime, impactSpeed, impactAngle (deg below horizontal),
+// symmetric (lands at the launch height on level ground) }
+export function solveThrow({ speed, angle, gravity, drop = 0, slope = 0 }) {
+    const vx = speed * Math.cos(angle);
+    const vy = speed * Math.sin(angle);
+    const b = vy - slope * vx;
+    const discriminant = b * b + 2 * gravity * drop;
+    const time = flightTime(vx, vy, gravity, drop, slope);
+    const apexTime = Math.max(vy / gravity, 0);
+    const impactVy = vy - gravity * time;
+    return {
+        vx,
+        vy,
+        b,
+        discriminant,
+        time,
+        range: vx * time,
+        apex: vy > 0 ? (vy * vy) / (2 * gravity) : 0,
+        apexTime,
+        impactSpeed: Math.hypot(vx, impactVy),
+        impactAngle: THREE.MathUtils.radToDeg(Math.atan2(-impactVy, vx)),
+        symmetric: Math.abs(drop) < 1e-3 && Math.abs(slope) < 1e-3
+    };
+}
+
+// Where a vacuum throw from `start` along the horizontal unit vector `direction` first meets the
+// surface groundHeight(x, z): marched in short steps, then refined by bisection. Returns { time,
+// point, slope (rise per metre along the throw under the landing point) } or null within maxTime.
+export function findLanding(start, direction, speed, angle, gravity, groundHeight, maxTime = 120) {
+    const vx = speed * Math.cos(angle);
+    const vy = speed * Math.sin(angle);
+    const positionAt = (t, target = new THREE.Vector3()) => target.set(
+        start.x + direction.x * vx * t,
+        start.y + vy * t - 0.5 * gravity * t * t,
+        start.z + direction.z * vx * t
+    );
+    const clearance = (t) => {
+        const position = positionAt(t);
+        return position.y - groundHeight(position.x, position.z);
+    };
+
+    const step = 0.02;
+    let before = 0;
+    let after = null;
+    for (let t = step; t <= maxTime; t += step) {
+        if (clearance(t) <= 0) {
+            after = t;
+            break;
+        }
+        before = t;
+    }
+    if (after === null) return null;
+    for (let i = 0; i < 40; i++) {
+        const middle = (before + after) / 2;
+        if (clearance(middle) > 0) before = middle; else after = middle;
+    }
+
+    const time = (before + after) / 2;
+    const point = positionAt(time);
+    point.y = groundHeight(point.x, point.z);
+    const ahead = groundHeight(point.x + direction.x * 0.5, point.z + direction.z * 0.5);
+    const behind = groundHeight(point.x - direction.x * 0.5, point.z - direction.z * 0.5);
+    return { time, point, slope: ahead - behind };
+}
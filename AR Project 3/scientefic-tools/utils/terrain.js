@@ -0,0 +1,207 @@
+// Procedural ground for the planet environments. A body's surface.terrain (data/bodies.json) picks a
+// style and a seed; the same seed always builds the same landscape:
+//
+//   flat     the old level plane
+//   hills    rolling fractal noise (Earth)
+//   dunes    wind-aligned ridges (Mars, Titan)
+//   craters  bowls with raised rims on a slightly bumpy plain (Mercury, the Moon)
+//
+// Any style can add a broad shield-volcano slope ("slope": Olympus Mons on Mars). The result is a
+// square grid of heights centred on the origin, which PlanetEnvironment turns into both the drawn
+// mesh and a CANNON.Heightfield. The ground around the spawn point is kept level so throws from
+// where the character starts still match the flat-ground formulas.
+
+export const TERRAIN_STYLES = ['flat', 'hills', 'dunes', 'craters'];
+
+export const DEFAULT_TERRAIN = {
+    style: 'flat',
+    seed: 1,
+    amplitude: 3,      // m: hill height, dune height or the depth of the largest crater
+    scale: 45,         // m: size of the largest hills / spacing of the dunes (÷ 2.5)
+    craters: 40,       // Number of craters (craters style)
+    flatRadius: 8,     // m: level pad around the origin, blending into the terrain by 2.5× that
+    slope: null        // { x, z, radius, height } in m
+};
+
+// Small fast seeded PRNG (mulberry32): returns a function giving numbers in [0, 1)
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// 2D gradient (Perlin) noise from a seeded permutation table; noise(x, z) is roughly in [-1, 1]
+export function createNoise(random) {
+    const permutation = Array.from({ length: 256 }, (_, i) => i);
+    for (let i = 255; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+    }
+    const table = permutation.concat(permutation);
+    const fade = t => t * t * t * (t * (t * 6 - 15) + 10);
+    const gradient = (hash, x, z) => {
+        const angle = (hash & 7) * Math.PI / 4;
+        return Math.cos(angle) * x + Math.sin(angle) * z;
+    };
+
+    return (x, z) => {
+        const xi = Math.floor(x);
+        const zi = Math.floor(z);
+        const fx = x - xi;
+        const fz = z - zi;
+        const X = xi & 255;
+        const Z = zi & 255;
+        const aa = table[table[X] + Z];
+        const ab = table[table[X] + Z + 1];
+        const ba = table[table[X + 1] + Z];
+        const bb = table[table[X + 1] + Z + 1];
+        const u = fade(fx);
+        const v = fade(fz);
+        const near = gradient(aa, fx, fz) + u * (gradient(ba, fx - 1, fz) - gradient(aa, fx, fz));
+        const far = gradient(ab, fx, fz - 1) + u * (gradient(bb, fx - 1, fz - 1) - gradient(ab, fx, fz - 1));
+        return (near + v * (far - near)) * Math.SQRT2;
+    };
+}
+
+// Fractal sum of `octaves` noise layers, each half the size and half the height of the last
+function fractal(noise, x, z, octaves) {
+    let sum = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    let total = 0;
+    for (let i = 0; i < octaves; i++) {
+        sum += amplitude * noise(x * frequency, z * frequency);
+        total += amplitude;
+        amplitude *= 0.5;
+        frequency *= 2;
+    }
+    return sum / total;
+}
+
+function smoothstep(edge0, edge1, x) {
+    const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+    return t * t * (3 - 2 * t);
+}
+
+// Height of one crater at distance r from its centre: a bowl `depth` deep inside the radius, a rim
+// a third of that high, and ejecta fading out over half a radius beyond it
+function craterProfile(r, radius, depth) {
+    const rim = depth / 3;
+    if (r < radius) {
+        const u = r / radius;
+        return u * u * (depth + rim) - depth;
+    }
+    const outside = (r - radius) / (0.5 * radius);
+    return rim * Math.exp(-outside * outside);
+}
+
+// Height function (x, z) -> m for the settings, before the spawn pad is levelled
+function createShape(settings) {
+    const random = createRandom(settings.seed);
+    const noise = createNoise(random);
+    const { amplitude, scale } = settings;
+    let shape;
+
+    switch (settings.style) {
+        case 'hills':
+            shape = (x, z) => amplitude * fractal(noise, x / scale, z / scale, 4);
+            break;
+        case 'dunes': {
+            // Crests run across a random wind direction; noise bends them and varies their height
+            const wind = random() * Math.PI;
+            const dx = Math.cos(wind);
+            const dz = Math.sin(wind);
+            const spacing = scale / 2.5;
+            shape = (x, z) => {
+                const along = (x * dx + z * dz) / spacing + 0.8 * fractal(noise, x / scale, z / scale, 2);
+                const crest = 1 - Math.abs(2 * (along - Math.floor(along)) - 1); // Triangle wave, 0-1
+                const height = 0.6 + 0.4 * fractal(noise, x / scale + 17.3, z / scale - 4.1, 2);
+                return amplitude * height * crest * crest * (3 - 2 * crest);
+            };
+            break;
+        }
+        case 'craters': {
+            // Many small craters and a few big ones (radius ∝ u³), depth in proportion to size
+            const half = settings.size / 2;
+            const craters = Array.from({ length: settings.craters }, () => {
+                const radius = 3 + 17 * Math.pow(random(), 3);
+                return {
+                    x: (random() * 2 - 1) * half,
+                    z: (random() * 2 - 1) * half,
+                    radius,
+                    depth: amplitude * radius / 20
+                };
+            });
+            shape = (x, z) => {
+                let height = 0.15 * amplitude * fractal(noise, x / 12, z / 12, 3);
+                for (const crater of craters) {
+                    const r = Math.hypot(x - crater.x, z - crater.z);
+                    if (r < crater.radius * 2.5) height += craterProfile(r, crater.radius, crater.depth);
+                }
+                return height;
+            };
+            break;
+        }
+        default:
+            shape = () => 0;
+    }
+
+    const slope = settings.slope;
+    if (!slope) return shape;
+    // A shield volcano's flank: starts `radius` m out and climbs `height` m to the summit at (x, z)
+    return (x, z) => {
+        const r = Math.hypot(x - slope.x, z - slope.z);
+        return shape(x, z) + slope.height * Math.pow(Math.max(0, 1 - r / slope.radius), 1.5);
+    };
+}
+
+// Builds the heightmap for `options` (DEFAULT_TERRAIN plus size and segments). Returns
+// { style, size, segments, elementSize, heights, heightAt } where heights holds (segments + 1)²
+// values row by row, x = -size/2 + i·elementSize along a row and z = -size/2 + j·elementSize down
+// the rows: the same vertex order as a THREE.PlaneGeometry laid flat with rotation.x = -π/2.
+export function generateTerrain(options = {}) {
+    const settings = { ...DEFAULT_TERRAIN, size: 200, segments: 100, ...options };
+    const { size, segments } = settings;
+    const elementSize = size / segments;
+    const shape = createShape(settings);
+    const padStart = settings.flatRadius;
+    const padEnd = settings.flatRadius * 2.5;
+
+    const columns = segments + 1;
+    const heights = new Float32Array(columns * columns);
+    for (let j = 0; j < columns; j++) {
+        const z = -size / 2 + j * elementSize;
+        for (let i = 0; i < columns; i++) {
+            const x = -size / 2 + i * elementSize;
+            const level = padEnd > 0 ? smoothstep(padStart, padEnd, Math.hypot(x, z)) : 1;
+            heights[j * columns + i] = level * shape(x, z);
+        }
+    }
+
+    // Height of the drawn surface at (x, z), clamped to the edge outside the grid. Each grid cell is
+    // two triangles split along the (x0, z1)-(x1, z0) diagonal like PlaneGeometry's, so the answer
+    // is exactly on the mesh rather than a smoothed guess.
+    const heightAt = (x, z) => {
+        const gx = Math.min(Math.max((x + size / 2) / elementSize, 0), segments);
+        const gz = Math.min(Math.max((z + size / 2) / elementSize, 0), segments);
+        const i = Math.min(Math.floor(gx), segments - 1);
+        const j = Math.min(Math.floor(gz), segments - 1);
+        const fx = gx - i;
+        const fz = gz - j;
+        const h00 = heights[j * columns + i];
+        const h10 = heights[j * columns + i + 1];
+        const h01 = heights[(j + 1) * columns + i];
+        const h11 = heights[(j + 1) * columns + i + 1];
+        if (fx + fz <= 1) {
+            return h00 + fx * (h10 - h00) + fz * (h01 - h00);
+        }
+        return h11 + (1 - fx) * (h01 - h11) + (1 - fz) * (h10 - h11);
+    };
+
+    return { style: settings.style, size, segments, elementSize, heights, heightAt };
+}
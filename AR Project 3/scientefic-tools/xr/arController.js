@@ -0,0 +1,379 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.145.0/build/three.module.js';
+
+// Places the solar system on a real-world surface using a WebXR `immersive-ar` session.
+// The XRSystem is injectable so the controller can be driven by a mocked navigator.xr.
+export default class ARController {
+    constructor(renderer, scene, camera, solarSystem, options = {}) {
+        this.renderer = renderer.renderer || renderer; // Handle both Renderer class and raw THREE.WebGLRenderer
+        this.scene = scene;
+        this.camera = camera;
+        this.solarSystem = solarSystem;
+        this.xrSystem = options.xrSystem !== undefined
+            ? options.xrSystem
+            : (typeof navigator !== 'undefined' ? navigator.xr : null);
+        this.onSessionEnded = options.onSessionEnded || null;
+
+        // Session state
+        this.session = null;
+        this.referenceSpace = null;
+        this.hitTestSource = null;
+        this.isPlaced = false;
+
+        // Scene objects owned by the controller while in AR
+        this.anchor = null;        // Group holding the sun, planets and orbits
+        this.reticle = null;
+        this.overlay = null;
+        this.savedState = null;
+
+        // Scale settings: 1 scene unit = 1 cm, so Neptune's orbit is ~1.3 m across
+        this.defaultScale = 0.01;
+        this.minScale = 0.002;
+        this.maxScale = 0.05;
+        this.placementLift = 0.1;  // Metres above the detected surface
+
+        // Touch gesture state for pinch-scaling and drag-rotating the placed system
+        this.touchState = {
+            startDistance: 0,
+            startScale: 1,
+            lastX: 0,
+            isPinching: false
+        };
+
+        this.onSelect = this.onSelect.bind(this);
+        this.onSessionEnd = this.onSessionEnd.bind(this);
+        this.onTouchStart = this.onTouchStart.bind(this);
+        this.onTouchMove = this.onTouchMove.bind(this);
+        this.onTouchEnd = this.onTouchEnd.bind(this);
+    }
+
+    async isSupported() {
+        if (!this.xrSystem || typeof this.xrSystem.isSessionSupported !== 'function') {
+            return false;
+        }
+        try {
+            return await this.xrSystem.isSessionSupported('immersive-ar');
+        } catch (error) {
+            console.warn('Could not query immersive-ar support:', error);
+            return false;
+        }
+    }
+
+    // Starts the AR session. Resolves to false (leaving the desktop view untouched) when AR is unavailable.
+    async start() {
+        if (this.session) return true;
+
+        if (this.solarSystem?.planetEnvironment) {
+            console.warn('AR is only available from the solar system view');
+            return false;
+        }
+
+        const supported = await this.isSupported();
+        if (!supported) {
+            console.warn('Immersive AR not supported, staying in desktop view');
+            return false;
+        }
+
+        try {
+            this.createOverlay();
+            const session = await this.xrSystem.requestSession('immersive-ar', {
+                requiredFeatures: ['hit-test'],
+                optionalFeatures: ['dom-overlay'],
+                domOverlay: { root: this.overlay }
+            });
+            await this.onSessionStarted(session);
+            console.log('AR session started');
+            return true;
+        } catch (error) {
+            console.error('Failed to start AR session:', error);
+            if (this.session) {
+                // onSessionEnd restores the desktop view
+                this.session.end().catch(() => this.onSessionEnd());
+            } else {
+                this.restoreDesktopView();
+            }
+            return false;
+        }
+    }
+
+    async end() {
+        if (this.session) {
+            await this.session.end();
+        }
+    }
+
+    async onSessionStarted(session) {
+        this.session = session;
+        session.addEventListener('select', this.onSelect);
+        session.addEventListener('end', this.onSessionEnd);
+
+        this.enterARView();
+
+        this.renderer.xr.enabled = true;
+        this.renderer.xr.setReferenceSpaceType('local');
+        await this.renderer.xr.setSession(session);
+        this.referenceSpace = this.renderer.xr.getReferenceSpace();
+
+        const viewerSpace = await session.requestReferenceSpace('viewer');
+        this.hitTestSource = await session.requestHitTestSource({ space: viewerSpace });
+    }
+
+    // Moves the solar system into an anchor group and hides everything that only makes sense on a flat screen.
+    enterARView() {
+        this.savedState = {
+            background: this.scene.background,
+            starFieldVisible: this.solarSystem?.starField ? this.solarSystem.starField.visible : true,
+            controlsEnabled: this.solarSystem?.controls ? this.solarSystem.controls.enabled : true
+        };
+
+        // Let the camera feed show through
+        this.scene.background = null;
+        if (this.solarSystem?.starField) {
+            this.solarSystem.starField.visible = false;
+        }
+        if (this.solarSystem?.controls) {
+            this.solarSystem.controls.enabled = false;
+        }
+
+        this.anchor = new THREE.Group();
+        this.anchor.name = 'arAnchor';
+        this.anchor.scale.setScalar(this.defaultScale);
+        this.anchor.visible = false;
+        this.scene.add(this.anchor);
+
+        if (this.solarSystem) {
+            this.solarSystem.getSystemObjects().forEach(object => this.anchor.add(object));
+        }
+
+        this.createReticle();
+        this.isPlaced = false;
+        this.setOverlayHint('Move your phone to find a surface, then tap to place the solar system');
+
+        this.overlay.addEventListener('touchstart', this.onTouchStart, { passive: false });
+        this.overlay.addEventListener('touchmove', this.onTouchMove, { passive: false });
+        this.overlay.addEventListener('touchend', this.onTouchEnd);
+    }
+
+    createReticle() {
+        const geometry = new THREE.RingGeometry(0.08, 0.1, 32).rotateX(-Math.PI / 2);
+        const material = new THREE.MeshBasicMaterial({ color: 0x00ff88 });
+        this.reticle = new THREE.Mesh(geometry, material);
+        this.reticle.matrixAutoUpdate = false;
+        this.reticle.visible = false;
+        this.scene.add(this.reticle);
+    }
+
+    createOverlay() {
+        if (this.overlay) return;
+
+        const overlay = document.createElement('div');
+        overlay.id = 'ar-overlay';
+        overlay.style.position = 'fixed';
+        overlay.style.inset = '0';
+        overlay.style.pointerEvents = 'auto';
+        overlay.style.fontFamily = 'Arial, sans-serif';
+
+        const hint = document.createElement('div');
+        hint.style.position = 'absolute';
+        hint.style.top = '20px';
+        hint.style.left = '50%';
+        hint.style.transform = 'translateX(-50%)';
+        hint.style.padding = '10px 20px';
+        hint.style.borderRadius = '5px';
+        hint.style.background = 'rgba(0, 0, 0, 0.7)';
+        hint.style.color = 'white';
+        hint.style.fontSize = '14px';
+        hint.style.textAlign = 'center';
+        overlay.appendChild(hint);
+
+        const buttonBar = document.createElement('div');
+        buttonBar.style.position = 'absolute';
+        buttonBar.style.bottom = '20px';
+        buttonBar.style.left = '50%';
+        buttonBar.style.transform = 'translateX(-50%)';
+        buttonBar.style.display = 'flex';
+        buttonBar.style.gap = '10px';
+
+        const repositionButton = this.createOverlayButton('Reposition', () => this.resetPlacement());
+        const exitButton = this.createOverlayButton('Exit AR', () => this.end());
+        buttonBar.appendChild(repositionButton);
+        buttonBar.appendChild(exitButton);
+        overlay.appendChild(buttonBar);
+
+        document.body.appendChild(overlay);
+        this.overlay = overlay;
+        this.overlayHint = hint;
+    }
+
+    createOverlayButton(label, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.style.padding = '10px 16px';
+        button.style.border = 'none';
+        button.style.borderRadius = '5px';
+        button.style.background = 'rgba(33, 150, 243, 0.8)';
+        button.style.color = 'white';
+        button.style.fontSize = '14px';
+        button.addEventListener('click', (event) => {
+            event.stopPropagation();
+            onClick();
+        });
+        return button;
+    }
+
+    setOverlayHint(text) {
+        if (this.overlayHint) {
+            this.overlayHint.textContent = text;
+            this.overlayHint.style.display = text ? 'block' : 'none';
+        }
+    }
+
+    // Called from the app's renderer.setAnimationLoop callback with the current XRFrame.
+    update(frame) {
+        if (!this.session || !frame) return;
+        this.updateHitTest(frame);
+    }
+
+    updateHitTest(frame) {
+        if (!this.hitTestSource || !this.reticle || this.isPlaced) {
+            if (this.reticle) this.reticle.visible = false;
+            return;
+        }
+
+        const hitTestResults = frame.getHitTestResults(this.hitTestSource);
+        if (hitTestResults.length > 0) {
+            const pose = hitTestResults[0].getPose(this.referenceSpace);
+            if (pose) {
+                this.reticle.matrix.fromArray(pose.transform.matrix);
+                this.reticle.visible = true;
+                return;
+            }
+        }
+        this.reticle.visible = false;
+    }
+
+    onSelect() {
+        if (this.isPlaced || !this.reticle?.visible || this.touchState.isPinching) return;
+        this.placeSystem(new THREE.Vector3().setFromMatrixPosition(this.reticle.matrix));
+    }
+
+    placeSystem(position) {
+        this.anchor.position.copy(position);
+        this.anchor.position.y += this.placementLift;
+        this.anchor.visible = true;
+        this.isPlaced = true;
+        this.reticle.visible = false;
+        this.setOverlayHint('Pinch to scale, drag to rotate');
+        console.log('Solar system placed at', this.anchor.position.toArray());
+    }
+
+    resetPlacement() {
+        if (!this.anchor) return;
+        this.anchor.visible = false;
+        this.anchor.rotation.set(0, 0, 0);
+        this.anchor.scale.setScalar(this.defaultScale);
+        this.isPlaced = false;
+        this.setOverlayHint('Move your phone to find a surface, then tap to place the solar system');
+    }
+
+    // ---------------------------
+    // Pinch / drag gestures on the DOM overlay
+    // ---------------------------
+    onTouchStart(event) {
+        if (!this.isPlaced || event.target.tagName === 'BUTTON') return;
+        if (event.touches.length === 2) {
+            this.touchState.isPinching = true;
+            this.touchState.startDistance = this.getTouchDistance(event.touches);
+            this.touchState.startScale = this.anchor.scale.x;
+        } else if (event.touches.length === 1) {
+            this.touchState.lastX = event.touches[0].clientX;
+        }
+    }
+
+    onTouchMove(event) {
+        if (!this.isPlaced || event.target.tagName === 'BUTTON') return;
+        event.preventDefault();
+
+        if (event.touches.length === 2 && this.touchState.isPinching && this.touchState.startDistance > 0) {
+            const ratio = this.getTouchDistance(event.touches) / this.touchState.startDistance;
+            const scale = THREE.MathUtils.clamp(this.touchState.startScale * ratio, this.minScale, this.maxScale);
+            this.anchor.scale.setScalar(scale);
+        } else if (event.touches.length === 1 && !this.touchState.isPinching) {
+            const x = event.touches[0].clientX;
+            this.anchor.rotation.y += (x - this.touchState.lastX) * 0.01;
+            this.touchState.lastX = x;
+        }
+    }
+
+    onTouchEnd(event) {
+        if (event.touches.length === 0) {
+            // Keep the pinch flag until the select event for the lifted finger has fired
+            setTimeout(() => { this.touchState.isPinching = false; }, 100);
+        }
+    }
+
+    getTouchDistance(touches) {
+        const dx = touches[0].clientX - touches[1].clientX;
+        const dy = touches[0].clientY - touches[1].clientY;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    // ---------------------------
+    // Session teardown
+    // ---------------------------
+    onSessionEnd() {
+        console.log('AR session ended');
+        if (this.session) {
+            this.session.removeEventListener('select', this.onSelect);
+            this.session.removeEventListener('end', this.onSessionEnd);
+        }
+        if (this.hitTestSource) {
+            this.hitTestSource.cancel();
+            this.hitTestSource = null;
+        }
+        this.session = null;
+        this.referenceSpace = null;
+
+        this.restoreDesktopView();
+
+        if (typeof this.onSessionEnded === 'function') {
+            this.onSessionEnded();
+        }
+    }
+
+    // Puts every moved object back into the scene exactly as it was before the session.
+    restoreDesktopView() {
+        if (this.anchor) {
+            this.anchor.children.slice().forEach(object => this.scene.add(object));
+            this.scene.remove(this.anchor);
+            this.anchor = null;
+        }
+        if (this.reticle) {
+            this.reticle.geometry.dispose();
+            this.reticle.material.dispose();
+            this.scene.remove(this.reticle);
+            this.reticle = null;
+        }
+        if (this.savedState) {
+            this.scene.background = this.savedState.background;
+            if (this.solarSystem?.starField) {
+                this.solarSystem.starField.visible = this.savedState.starFieldVisible;
+            }
+            if (this.solarSystem?.controls) {
+                this.solarSystem.controls.enabled = this.savedState.controlsEnabled;
+            }
+            this.savedState = null;
+        }
+        if (this.overlay) {
+            this.overlay.removeEventListener('touchstart', this.onTouchStart);
+            this.overlay.removeEventListener('touchmove', this.onTouchMove);
+            this.overlay.removeEventListener('touchend', this.onTouchEnd);
+            if (this.overlay.parentNode) {
+                this.overlay.parentNode.removeChild(this.overlay);
+            }
+            this.overlay = null;
+            this.overlayHint = null;
+        }
+        this.isPlaced = false;
+        this.touchState.isPinching = false;
+    }
+}
@@ -0,0 +1,312 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.145.0/build/three.module.js';
+
+// Immersive-VR mode: headset rendering plus controller rays that drive the same
+// planet selection and ball interaction flow as the mouse and hand gestures.
+export default class VRController {
+    constructor(renderer, scene, camera, solarSystem, options = {}) {
+        this.renderer = renderer.renderer || renderer; // Handle both Renderer class and raw THREE.WebGLRenderer
+        this.scene = scene;
+        this.camera = camera;
+        this.solarSystem = solarSystem;
+        this.xrSystem = options.xrSystem !== undefined
+            ? options.xrSystem
+            : (typeof navigator !== 'undefined' ? navigator.xr : null);
+
+        this.session = null;
+        this.button = null;
+        this.controllers = [];
+        this.dolly = null;              // Moves the viewer around; the headset pose is applied relative to it
+        this.savedCameraPosition = new THREE.Vector3();
+        this.selectedPlanet = null;
+        this.hoveredPlanet = null;
+        this.wasOnSurface = false;
+
+        this.raycaster = new THREE.Raycaster();
+        this.tempMatrix = new THREE.Matrix4();
+        this.rayLength = 50;
+
+        // Planet surface viewpoint (the astronaut stands at the origin)
+        this.surfaceViewPosition = new THREE.Vector3(0, 2, 12);
+
+        // The renderer must be XR-enabled before a session can be attached
+        this.renderer.xr.enabled = true;
+
+        this.onSessionEnd = this.onSessionEnd.bind(this);
+    }
+
+    async isSupported() {
+        if (!this.xrSystem || typeof this.xrSystem.isSessionSupported !== 'function') {
+            return false;
+        }
+        try {
+            return await this.xrSystem.isSessionSupported('immersive-vr');
+        } catch (error) {
+            console.warn('Could not query immersive-vr support:', error);
+            return false;
+        }
+    }
+
+    // Creates a VRButton-style entry point. The button label reflects support and session state.
+    createButton() {
+        const button = document.createElement('button');
+        button.id = 'enter-vr';
+        button.style.position = 'fixed';
+        button.style.bottom = '55px';
+        button.style.left = '50%';
+        button.style.transform = 'translateX(-50%)';
+        button.style.padding = '10px 18px';
+        button.style.border = '1px solid white';
+        button.style.borderRadius = '5px';
+        button.style.background = 'rgba(0, 0, 0, 0.7)';
+        button.style.color = 'white';
+        button.style.fontSize = '14px';
+        button.style.fontFamily = 'Arial, sans-serif';
+        button.style.zIndex = '1000';
+        button.style.display = 'none';
+        button.textContent = 'ENTER VR';
+        document.body.appendChild(button);
+        this.button = button;
+
+        this.isSupported().then((supported) => {
+            if (!supported) {
+                console.log('Immersive VR not supported, using desktop view');
+                return;
+            }
+            button.style.display = 'block';
+            button.style.cursor = 'pointer';
+            button.addEventListener('click', () => {
+                if (this.session) {
+                    this.end();
+                } else {
+                    this.start();
+                }
+            });
+        });
+
+        return button;
+    }
+
+    async start() {
+        if (this.session) return true;
+        try {
+            const session = await this.xrSystem.requestSession('immersive-vr', {
+                optionalFeatures: ['local-floor', 'bounded-floor']
+            });
+            await this.onSessionStarted(session);
+            console.log('VR session started');
+            return true;
+        } catch (error) {
+            console.error('Failed to start VR session:', error);
+            this.restoreDesktopView();
+            return false;
+        }
+    }
+
+    async end() {
+        if (this.session) {
+            await this.session.end();
+        }
+    }
+
+    async onSessionStarted(session) {
+        this.session = session;
+        session.addEventListener('end', this.onSessionEnd);
+
+        this.createDolly();
+        this.setupControllers();
+
+        this.renderer.xr.setReferenceSpaceType('local-floor');
+        await this.renderer.xr.setSession(session);
+
+        if (this.button) {
+            this.button.textContent = 'EXIT VR';
+        }
+    }
+
+    // Puts the camera inside a dolly group so tweens can move the viewer while the headset controls the view.
+    createDolly() {
+        this.savedCameraPosition.copy(this.camera.position);
+
+        this.dolly = new THREE.Group();
+        this.dolly.name = 'vrDolly';
+        this.dolly.position.copy(this.camera.position);
+        this.dolly.rotation.y = Math.atan2(this.camera.position.x, this.camera.position.z);
+        this.dolly.add(this.camera);
+        this.camera.position.set(0, 0, 0);
+        this.scene.add(this.dolly);
+
+        if (this.solarSystem) {
+            this.solarSystem.cameraRig = this.dolly;
+            if (this.solarSystem.controls) {
+                this.solarSystem.controls.enabled = false;
+            }
+        }
+        this.wasOnSurface = !!this.solarSystem?.planetEnvironment;
+    }
+
+    setupControllers() {
+        for (let i = 0; i < 2; i++) {
+            const controller = this.renderer.xr.getController(i);
+
+            const rayGeometry = new THREE.BufferGeometry().setFromPoints([
+                new THREE.Vector3(0, 0, 0),
+                new THREE.Vector3(0, 0, -1)
+            ]);
+            const ray = new THREE.Line(rayGeometry, new THREE.LineBasicMaterial({ color: 0x00ffff }));
+            ray.name = 'ray';
+            ray.scale.z = this.rayLength;
+            controller.add(ray);
+
+            const onSelect = () => this.onSelect(controller);
+            const onSqueeze = () => this.onSqueeze(controller);
+            controller.addEventListener('select', onSelect);
+            controller.addEventListener('squeeze', onSqueeze);
+            controller.userData.listeners = { onSelect, onSqueeze };
+
+            this.dolly.add(controller);
+            this.controllers.push(controller);
+        }
+    }
+
+    // Called from the app's renderer.setAnimationLoop callback.
+    update() {
+        if (!this.session) return;
+
+        const environment = this.getActiveEnvironment();
+        if (environment && !this.wasOnSurface) {
+            // Just landed on a planet: stand next to the astronaut
+            this.dolly.position.copy(this.surfaceViewPosition);
+            this.dolly.rotation.set(0, 0, 0);
+        } else if (!environment && this.wasOnSurface) {
+            this.dolly.position.copy(this.solarSystem.originalCameraPosition);
+            this.dolly.rotation.y = Math.atan2(this.dolly.position.x, this.dolly.position.z);
+        }
+        this.wasOnSurface = !!environment;
+
+        // Hover highlight and ray length for the first controller that points at a planet
+        let hovered = null;
+        for (const controller of this.controllers) {
+            const hit = environment ? null : this.intersectPlanets(controller);
+            const ray = controller.getObjectByName('ray');
+            if (ray) {
+                ray.scale.z = hit ? hit.distance : this.rayLength;
+            }
+            if (hit && !hovered) {
+                hovered = hit.planet;
+            }
+        }
+
+        if (hovered !== this.hoveredPlanet) {
+            this.hoveredPlanet = hovered;
+            if (hovered && typeof this.solarSystem.highlightPlanet === 'function') {
+                this.solarSystem.highlightPlanet(hovered);
+            } else if (!hovered && typeof this.solarSystem.removeHighlight === 'function') {
+                this.solarSystem.removeHighlight();
+            }
+        }
+    }
+
+    intersectPlanets(controller) {
+        if (!this.solarSystem) return null;
+
+        this.tempMatrix.identity().extractRotation(controller.matrixWorld);
+        this.raycaster.ray.origin.setFromMatrixPosition(controller.matrixWorld);
+        this.raycaster.ray.direction.set(0, 0, -1).applyMatrix4(this.tempMatrix);
+
+        const intersects = this.raycaster.intersectObjects(this.solarSystem.getSystemObjects(), true);
+        for (const intersect of intersects) {
+            const planet = this.solarSystem.findPlanetObject(intersect.object);
+            if (planet) {
+                return { planet, distance: intersect.distance };
+            }
+        }
+        return null;
+    }
+
+    getActiveEnvironment() {
+        const environment = this.solarSystem?.planetEnvironment;
+        return environment && environment.isInUpdateLoop ? environment : null;
+    }
+
+    // Trigger: first select zooms to a planet, a second select on the same planet enters it.
+    // On a planet surface the trigger throws the ball.
+    onSelect(controller) {
+        const environment = this.getActiveEnvironment();
+        if (environment) {
+            environment.throwBall();
+            return;
+        }
+
+        const hit = this.intersectPlanets(controller);
+        if (!hit) return;
+
+        if (this.selectedPlanet === hit.planet) {
+            this.solarSystem.enterPlanet(hit.planet);
+            this.selectedPlanet = null;
+        } else {
+            this.solarSystem.zoomToPlanet(hit.planet.name);
+            this.selectedPlanet = hit.planet;
+        }
+    }
+
+    // Grip: picks the ball up on a planet surface, otherwise zooms back out to the whole system.
+    onSqueeze() {
+        const environment = this.getActiveEnvironment();
+        if (environment) {
+            if (!environment.isHoldingBall) {
+                environment.pickupBall();
+            }
+            return;
+        }
+
+        this.selectedPlanet = null;
+        this.solarSystem.zoomOut();
+    }
+
+    onSessionEnd() {
+        console.log('VR session ended');
+        if (this.session) {
+            this.session.removeEventListener('end', this.onSessionEnd);
+        }
+        this.session = null;
+        this.restoreDesktopView();
+        if (this.button) {
+            this.button.textContent = 'ENTER VR';
+        }
+    }
+
+    restoreDesktopView() {
+        this.controllers.forEach(controller => {
+            const { onSelect, onSqueeze } = controller.userData.listeners || {};
+            if (onSelect) controller.removeEventListener('select', onSelect);
+            if (onSqueeze) controller.removeEventListener('squeeze', onSqueeze);
+            const ray = controller.getObjectByName('ray');
+            if (ray) {
+                ray.geometry.dispose();
+                ray.material.dispose();
+                controller.remove(ray);
+            }
+            if (controller.parent) {
+                controller.parent.remove(controller);
+            }
+        });
+        this.controllers = [];
+
+        if (this.dolly) {
+            this.dolly.remove(this.camera);
+            this.scene.remove(this.dolly);
+            this.dolly = null;
+            this.camera.position.copy(this.savedCameraPosition);
+            this.camera.lookAt(0, 0, 0);
+        }
+
+        if (this.solarSystem) {
+            this.solarSystem.cameraRig = null;
+            if (this.solarSystem.controls && !this.solarSystem.planetEnvironment) {
+                this.solarSystem.controls.enabled = true;
+            }
+        }
+        this.selectedPlanet = null;
+        this.hoveredPlanet = null;
+    }
+}